@@ -0,0 +1,189 @@
+/**
+ * @typedef {Object} AuditProvider
+ * @property {string} name - unique name, used in data/audit.json and the trade journal
+ * @property {(token: Object) => Promise<AuditResult>} audit - audits a token coming from a listener
+ * @property {boolean} [local] - only needs our own node, the only providers run on tokens found in
+ * the mempool as remote APIs don't know them yet and a back-run can't wait
+ *
+ * @typedef {Object} AuditResult
+ * @property {boolean} success - true if the provider thinks the token is safe
+ * @property {Object|null} results - raw provider data
+ * @property {number} [score] - optional 0-1 safety score, defaults to 1 on success and 0 on failure
+ * @property {Array<Object>} [failedRules] - rules from data/audit_rules.json the token failed
+ */
+
+/**
+ * Runs every registered audit provider on a token and combines their results with a policy:
+ *
+ * - all: every provider must pass
+ * - weighted: the weighted average score of the providers must reach the threshold
+ *
+ * With either policy a failing provider marked as veto rejects the token on its own.
+ */
+export class AuditManager {
+  /**
+   * Constructor
+   * @param {Object} config - parsed data/audit.json
+   */
+  constructor(config = {}) {
+    this.providers = new Map();
+    this.configure(config);
+  }
+
+  /**
+   * Sets how providers are run and combined
+   * @param {Object} config
+   * @param {string} config.mode - 'sequence' or 'parallel'
+   * @param {string} config.policy - 'all' or 'weighted'
+   * @param {number} config.threshold - minimum weighted score when policy is weighted
+   * @param {Object} config.providers - per provider settings keyed by name: enabled, weight, veto
+   */
+  configure({ mode = 'sequence', policy = 'all', threshold = 1, providers = {} } = {}) {
+    if (!['sequence', 'parallel'].includes(mode)) {
+      throw new Error(`Unknown audit mode: ${mode}`);
+    }
+    if (!['all', 'weighted'].includes(policy)) {
+      throw new Error(`Unknown audit policy: ${policy}`);
+    }
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+      throw new Error('Audit threshold must be a number between 0 and 1');
+    }
+
+    this.mode = mode;
+    this.policy = policy;
+    this.threshold = threshold;
+    this.providerSettings = providers;
+  }
+
+  /**
+   * Adds a provider, replacing any provider with the same name
+   * @param {AuditProvider} provider
+   */
+  register(provider) {
+    if (!provider?.name || typeof provider.audit !== 'function') {
+      throw new Error('Audit providers need a name and an audit function');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Removes a provider
+   * @param {string} name
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * Gets the settings of a provider with defaults filled in
+   * @param {string} name
+   */
+  getSettings(name) {
+    return { enabled: true, weight: 1, veto: false, ...this.providerSettings[name] };
+  }
+
+  /**
+   * Gets the providers that are enabled in the config
+   * @returns {Array<AuditProvider>}
+   */
+  getActiveProviders() {
+    return Array.from(this.providers.values()).filter(({ name }) => this.getSettings(name).enabled);
+  }
+
+  /**
+   * Audits a token with all active providers, only the local ones when it comes with a pending
+   * liquidity add
+   * @param {Object} token - token object coming from a listener
+   * @returns {Object} { success, score, vetoedBy, failedRules, checks: [{ name, success, score,
+   * results, failedRules, error }] }
+   */
+  async run(token) {
+    const providers = this.getActiveProviders().filter(
+      provider => !token.liquidityAdd || provider.local
+    );
+    const checks = [];
+
+    if (this.mode === 'parallel') {
+      checks.push(
+        ...(await Promise.all(providers.map(provider => this.runProvider(provider, token))))
+      );
+    } else {
+      for (const provider of providers) {
+        const check = await this.runProvider(provider, token);
+        checks.push(check);
+
+        // No point asking the next provider once the verdict can't change
+        if (!check.success && (this.policy === 'all' || this.getSettings(check.name).veto)) {
+          break;
+        }
+      }
+    }
+
+    return {
+      ...this.combine(checks, providers.length),
+      failedRules: checks.flatMap(check =>
+        check.failedRules.map(rule => ({ ...rule, check: check.name }))
+      ),
+      checks,
+    };
+  }
+
+  /**
+   * Runs one provider, a provider that throws counts as a failure
+   */
+  async runProvider(provider, token) {
+    try {
+      const result = await provider.audit(token);
+      return {
+        name: provider.name,
+        success: Boolean(result?.success),
+        score: result?.score ?? (result?.success ? 1 : 0),
+        results: result?.results ?? null,
+        failedRules: result?.failedRules ?? [],
+      };
+    } catch (error) {
+      console.error(`Audit provider ${provider.name} failed:`, error);
+      return {
+        name: provider.name,
+        success: false,
+        score: 0,
+        results: null,
+        failedRules: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Applies the policy to the provider checks
+   * @param {Array<Object>} checks
+   * @param {number} expected - number of providers that should have run
+   * @returns {Object} { success, score, vetoedBy }
+   */
+  combine(checks, expected) {
+    if (expected === 0) {
+      console.warn('No audit providers are enabled, rejecting token');
+      return { success: false, score: 0, vetoedBy: null };
+    }
+
+    const veto = checks.find(check => !check.success && this.getSettings(check.name).veto);
+
+    // Weighted average, providers skipped by a short circuit are not counted
+    const totalWeight = checks.reduce((sum, { name }) => sum + this.getSettings(name).weight, 0);
+    const score = totalWeight
+      ? checks.reduce((sum, check) => sum + check.score * this.getSettings(check.name).weight, 0) /
+        totalWeight
+      : 0;
+
+    let success;
+    if (veto) {
+      success = false;
+    } else if (this.policy === 'all') {
+      success = checks.length === expected && checks.every(check => check.success);
+    } else {
+      success = score >= this.threshold;
+    }
+
+    return { success, score, vetoedBy: veto?.name ?? null };
+  }
+}
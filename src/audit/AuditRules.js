@@ -0,0 +1,255 @@
+import fs from 'fs';
+
+/**
+ * Rules deciding which audit results reject a token, loaded from data/audit_rules.json.
+ *
+ * Rules are grouped by check name (tokenSecurity, rugpullDetection) and keyed by rule id. A rule
+ * describes a risk: it fails when its condition matches the check's results. Conditions compare a
+ * field of the results, dot paths reach into nested objects e.g. owner.owner_type:
+ *
+ *   { "field": "buy_tax", "operator": "gt", "value": 10, "severity": "reject", "enabled": true }
+ *
+ * A rule can also use "all": [conditions] to fail only when every condition matches. Rules with
+ * severity "warn" are reported but don't reject the token. chains.<chain_id> can override any
+ * part of a rule or add new ones for that chain.
+ */
+
+// Operators a condition can use, each gets the field value from the results and the rule value
+const OPERATORS = {
+  eq: (actual, value) => toText(actual) === toText(value),
+  neq: (actual, value) => toText(actual) !== toText(value),
+  gt: (actual, value) => toNumber(actual) > value,
+  gte: (actual, value) => toNumber(actual) >= value,
+  lt: (actual, value) => toNumber(actual) < value,
+  lte: (actual, value) => toNumber(actual) <= value,
+  in: (actual, value) => value.map(toText).includes(toText(actual)),
+  not_in: (actual, value) => !value.map(toText).includes(toText(actual)),
+  matches: (actual, value) => new RegExp(value, 'i').test(actual ?? ''),
+};
+
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const LIST_OPERATORS = ['in', 'not_in'];
+const SEVERITIES = ['reject', 'warn'];
+const RULE_KEYS = ['field', 'operator', 'value', 'all', 'severity', 'enabled', 'description'];
+
+export class AuditRules {
+  /**
+   * Constructor validates the rules of every chain and throws listing every problem found
+   * @param {Object} config - parsed audit_rules.json
+   */
+  constructor(config = {}) {
+    if (!isObject(config)) {
+      throw new Error('Invalid audit rules:\n  rules must be an object');
+    }
+
+    const { chains = {}, ...checks } = config;
+    this.checks = checks;
+    this.chains = chains;
+
+    const errors = [];
+    validateRules(checks, 'rules', errors);
+
+    if (!isObject(chains)) {
+      errors.push('rules.chains must be an object keyed by chain id');
+    } else {
+      // Overrides are checked merged with the rule they change, the rest was checked above
+      for (const [chainId, overrides] of Object.entries(chains)) {
+        if (!isObject(overrides)) {
+          errors.push(`rules.chains.${chainId} must be an object`);
+          continue;
+        }
+
+        const merged = this.getChainRules(chainId);
+        const overridden = Object.fromEntries(
+          Object.entries(overrides).map(([checkName, rules]) => [
+            checkName,
+            isObject(rules)
+              ? Object.fromEntries(Object.keys(rules).map(id => [id, merged[checkName][id]]))
+              : rules,
+          ])
+        );
+        validateRules(overridden, `rules.chains.${chainId}`, errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid audit rules:\n  ${errors.join('\n  ')}`);
+    }
+  }
+
+  /**
+   * Gets every check's rules with a chain's overrides merged in
+   * @param {string} chainId
+   * @returns {Object} rules keyed by check name then rule id
+   */
+  getChainRules(chainId) {
+    const overrides = this.chains[String(chainId)];
+    if (!isObject(overrides)) return this.checks;
+
+    const rules = {};
+    for (const checkName of new Set([...Object.keys(this.checks), ...Object.keys(overrides)])) {
+      const base = this.checks[checkName] ?? {};
+      const override = overrides[checkName] ?? {};
+
+      rules[checkName] = { ...base };
+      for (const [id, rule] of Object.entries(override)) {
+        rules[checkName][id] = { ...base[id], ...rule };
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * Runs a check's rules against its results
+   * @param {string} checkName - e.g. tokenSecurity
+   * @param {string} chainId - chain of the token
+   * @param {Object} results - raw results of the check
+   * @returns {Object} { passed, score, failedRules } where score is the share of rules that passed
+   */
+  evaluate(checkName, chainId, results) {
+    const rules = Object.entries(this.getChainRules(chainId)[checkName] ?? {}).filter(
+      ([, rule]) => rule.enabled !== false
+    );
+
+    const failedRules = rules
+      .filter(([, rule]) => (rule.all ?? [rule]).every(condition => matches(condition, results)))
+      .map(([id, rule]) => ({
+        id,
+        severity: rule.severity ?? 'reject',
+        description: rule.description ?? null,
+        actual: Object.fromEntries(
+          (rule.all ?? [rule]).map(({ field }) => [field, getField(results, field) ?? null])
+        ),
+      }));
+
+    return {
+      passed: !failedRules.some(rule => rule.severity === 'reject'),
+      score: rules.length ? 1 - failedRules.length / rules.length : 1,
+      failedRules,
+    };
+  }
+}
+
+/**
+ * Loads and validates the rules file
+ * @param {URL|string} path
+ * @returns {AuditRules}
+ */
+export const loadAuditRules = (path = new URL('../../data/audit_rules.json', import.meta.url)) =>
+  new AuditRules(JSON.parse(fs.readFileSync(path, 'utf8')));
+
+/**
+ * Checks if a single condition matches the results
+ */
+const matches = ({ field, operator, value }, results) =>
+  OPERATORS[operator](getField(results, field), value);
+
+/**
+ * Reads a field from the results, following dot paths
+ */
+const getField = (results, field) =>
+  field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), results);
+
+/**
+ * Validates the rules of every check, pushing messages onto errors
+ */
+const validateRules = (checks, path, errors) => {
+  for (const [checkName, rules] of Object.entries(checks)) {
+    if (!isObject(rules)) {
+      errors.push(`${path}.${checkName} must be an object keyed by rule id`);
+      continue;
+    }
+
+    for (const [id, rule] of Object.entries(rules)) {
+      validateRule(rule, `${path}.${checkName}.${id}`, errors);
+    }
+  }
+};
+
+/**
+ * Validates a rule
+ */
+const validateRule = (rule, path, errors) => {
+  if (!isObject(rule)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (!RULE_KEYS.includes(key)) errors.push(`${path}.${key} is not a known setting`);
+  }
+
+  if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+    errors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push(`${path}.enabled must be true or false`);
+  }
+
+  if (rule.all !== undefined) {
+    if (!Array.isArray(rule.all) || rule.all.length === 0) {
+      errors.push(`${path}.all must be a list of conditions`);
+      return;
+    }
+    if (rule.field !== undefined) {
+      errors.push(`${path} can't have both field and all`);
+    }
+    rule.all.forEach((condition, i) => validateCondition(condition, `${path}.all[${i}]`, errors));
+    return;
+  }
+
+  validateCondition(rule, path, errors);
+};
+
+/**
+ * Validates the field, operator and value of a condition
+ */
+const validateCondition = (condition, path, errors) => {
+  if (!isObject(condition)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const { field, operator, value } = condition;
+
+  if (typeof field !== 'string' || field.length === 0) {
+    errors.push(`${path}.field must be a non-empty string`);
+  }
+  if (!(operator in OPERATORS)) {
+    errors.push(`${path}.operator must be one of ${Object.keys(OPERATORS).join(', ')}`);
+    return;
+  }
+
+  if (NUMERIC_OPERATORS.includes(operator) && !Number.isFinite(value)) {
+    errors.push(`${path}.value must be a number for ${operator}`);
+  } else if (LIST_OPERATORS.includes(operator) && !Array.isArray(value)) {
+    errors.push(`${path}.value must be a list for ${operator}`);
+  } else if (operator === 'matches') {
+    if (!isValidRegExp(value)) errors.push(`${path}.value must be a regular expression string`);
+  } else if (value === undefined) {
+    errors.push(`${path}.value is required`);
+  }
+};
+
+/**
+ * GoPlus returns most values as strings, missing numbers count as 0
+ */
+const toNumber = value => {
+  const number = parseFloat(value || 0);
+  return Number.isNaN(number) ? 0 : number;
+};
+
+const isValidRegExp = value => {
+  if (typeof value !== 'string') return false;
+  try {
+    new RegExp(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const toText = value => String(value ?? '').toLowerCase();
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
@@ -0,0 +1,320 @@
+import { ethers } from 'ethers';
+
+// Swaps in the simulation expire after this many seconds
+const DEADLINE_SECONDS = 300;
+
+/**
+ * Simulates a buy, a transfer and a sell of a new token with eth_simulateV1, without sending anything.
+ *
+ * The trades run from a fresh random address whose ETH balance is set with a state override, through
+ * the same router a trading instance would use. Comparing what arrives with what the router quoted
+ * gives the effective buy, transfer and sell taxes, and a revert at any step shows up as a honeypot.
+ *
+ * Works with any node that supports eth_simulateV1, including an anvil fork. Tokens found in the
+ * mempool are simulated behind their pending liquidity add since the pair doesn't exist yet.
+ */
+export class HoneypotSimulator {
+  /**
+   * Constructor
+   * @param {UniswapV2|UniswapV3} instance - initialized trading instance for the token's chain
+   * @param {string} [rpcUrl] - node to simulate on instead of the instance's provider
+   */
+  constructor(instance, rpcUrl = null) {
+    this.instance = instance;
+    this.provider = rpcUrl ? new ethers.JsonRpcProvider(rpcUrl) : null;
+  }
+
+  /**
+   * Runs the buy, transfer and sell simulation
+   * @param {Object} token - token object coming from a listener
+   * @returns {Object} buy_reverted, transfer_reverted and sell_reverted as '1' or '0', simulated
+   * taxes in percent and the first revert reason
+   */
+  async simulate(token) {
+    const tokenAddress = token.newTokenAddress;
+    const wethAddress = this.instance.wethAddress;
+    const route = await this.getRoute(token);
+
+    // Same amount we would buy with, some tokens only block larger buys
+    const { buyAmount } = this.instance.getStrategy(token);
+    const amountIn = ethers.parseEther(buyAmount.toFixed(18));
+
+    const trader = ethers.Wallet.createRandom().address;
+    const receiver = ethers.Wallet.createRandom().address;
+
+    // Both rounds run on the same block so the replayed buy gets the same tokens
+    const block = await this.send('eth_blockNumber', []);
+
+    const results = {
+      block,
+      buy_reverted: '0',
+      transfer_reverted: '0',
+      sell_reverted: '0',
+      simulated_buy_tax: 0,
+      simulated_transfer_tax: 0,
+      simulated_sell_tax: 0,
+      revert_reason: null,
+    };
+
+    // Round 1, buy and see how many tokens arrive
+    const [buyQuote, buy, bought] = await this.run(
+      block,
+      trader,
+      amountIn,
+      [
+        route.quote(wethAddress, tokenAddress, amountIn),
+        route.swap(wethAddress, tokenAddress, amountIn, trader),
+        this.balanceOf(tokenAddress, trader),
+      ],
+      token.liquidityAdd
+    );
+
+    if (!buyQuote.success || !buy.success) {
+      return {
+        ...results,
+        buy_reverted: '1',
+        revert_reason: buyQuote.error ?? buy.error ?? 'Buy reverted',
+      };
+    }
+
+    const expectedOut = route.decodeQuote(buyQuote.data);
+    const received = this.decodeBalance(bought.data);
+    results.simulated_buy_tax = getTax(expectedOut, received);
+
+    if (received === 0n) {
+      return { ...results, buy_reverted: '1', revert_reason: 'Buy returned no tokens' };
+    }
+
+    // Round 2, replay the buy, send a tenth to another address and sell the rest
+    const transferAmount = received / 10n;
+    const sellAmount = received - transferAmount;
+
+    const [, transfer, transferred, approve, sellQuote, sell, sold] = await this.run(
+      block,
+      trader,
+      amountIn,
+      [
+        route.swap(wethAddress, tokenAddress, amountIn, trader),
+        this.erc20Call(tokenAddress, 'transfer', [receiver, transferAmount]),
+        this.balanceOf(tokenAddress, receiver),
+        this.erc20Call(tokenAddress, 'approve', [this.instance.routerAddress, ethers.MaxUint256]),
+        route.quote(tokenAddress, wethAddress, sellAmount),
+        route.swap(tokenAddress, wethAddress, sellAmount, trader),
+        this.balanceOf(wethAddress, trader),
+      ],
+      token.liquidityAdd
+    );
+
+    if (transfer.success) {
+      results.simulated_transfer_tax = getTax(transferAmount, this.decodeBalance(transferred.data));
+    } else {
+      results.transfer_reverted = '1';
+      results.revert_reason = transfer.error ?? 'Transfer reverted';
+    }
+
+    if (!approve.success || !sellQuote.success || !sell.success) {
+      results.sell_reverted = '1';
+      results.revert_reason ??= approve.error ?? sellQuote.error ?? sell.error ?? 'Sell reverted';
+      return results;
+    }
+
+    results.simulated_sell_tax = getTax(
+      route.decodeQuote(sellQuote.data),
+      this.decodeBalance(sold.data)
+    );
+
+    return results;
+  }
+
+  /**
+   * Builds the quote and swap calls for the instance's router, swaps always end in WETH or the token
+   * so balances can be read with balanceOf. Pools that aren't against WETH are routed through their
+   * base token the same way the trading instance would.
+   * @param {Object} token
+   * @returns {Object} { quote, swap, decodeQuote }
+   */
+  async getRoute(token) {
+    const router = this.instance.routerContract.interface;
+    const deadline = () => Math.floor(Date.now() / 1000) + DEADLINE_SECONDS;
+    const isBuy = tokenIn => tokenIn === this.instance.wethAddress;
+
+    if (token.v3) {
+      const quoter = this.instance.quoterContract.interface;
+      const fee = Number(token.fee);
+      const tokenAddress = token.newTokenAddress;
+
+      const buyPath = await this.instance.getMultiHopPath(
+        tokenAddress,
+        token.baseTokenAddress,
+        fee
+      );
+
+      // Multi-hop, WETH -> base token -> token and back
+      if (buyPath) {
+        const sellPath = await this.instance.getMultiHopPath(
+          tokenAddress,
+          token.baseTokenAddress,
+          fee,
+          true
+        );
+        const getPath = tokenIn => (isBuy(tokenIn) ? buyPath : sellPath);
+
+        return {
+          quote: (tokenIn, tokenOut, amountIn) => ({
+            to: this.instance.quoterAddress,
+            data: quoter.encodeFunctionData('quoteExactInput', [getPath(tokenIn), amountIn]),
+          }),
+          swap: (tokenIn, tokenOut, amountIn, recipient) => ({
+            to: this.instance.routerAddress,
+            data: router.encodeFunctionData('exactInput', [
+              { path: getPath(tokenIn), recipient, amountIn, amountOutMinimum: 0 },
+            ]),
+            value: isBuy(tokenIn) ? amountIn : 0n,
+          }),
+          decodeQuote: data => quoter.decodeFunctionResult('quoteExactInput', data)[0],
+        };
+      }
+
+      return {
+        quote: (tokenIn, tokenOut, amountIn) => ({
+          to: this.instance.quoterAddress,
+          data: quoter.encodeFunctionData('quoteExactInputSingle', [
+            { tokenIn, tokenOut, amountIn, fee, sqrtPriceLimitX96: 0 },
+          ]),
+        }),
+        // SwapRouter02 wraps the ETH sent with the call when tokenIn is WETH
+        swap: (tokenIn, tokenOut, amountIn, recipient) => ({
+          to: this.instance.routerAddress,
+          data: router.encodeFunctionData('exactInputSingle', [
+            {
+              tokenIn,
+              tokenOut,
+              fee,
+              recipient,
+              amountIn,
+              amountOutMinimum: 0,
+              sqrtPriceLimitX96: 0,
+            },
+          ]),
+          value: isBuy(tokenIn) ? amountIn : 0n,
+        }),
+        decodeQuote: data => quoter.decodeFunctionResult('quoteExactInputSingle', data)[0],
+      };
+    }
+
+    const buyPath = this.instance.getBuyPath(token.newTokenAddress, token.baseTokenAddress);
+    const getPath = tokenIn => (isBuy(tokenIn) ? buyPath : [...buyPath].reverse());
+
+    return {
+      quote: (tokenIn, tokenOut, amountIn) => ({
+        to: this.instance.routerAddress,
+        data: router.encodeFunctionData('getAmountsOut', [amountIn, getPath(tokenIn)]),
+      }),
+      // Fee on transfer variants so taxed tokens don't revert on the router's own checks
+      swap: (tokenIn, tokenOut, amountIn, recipient) =>
+        isBuy(tokenIn)
+          ? {
+              to: this.instance.routerAddress,
+              data: router.encodeFunctionData(
+                'swapExactETHForTokensSupportingFeeOnTransferTokens',
+                [0, getPath(tokenIn), recipient, deadline()]
+              ),
+              value: amountIn,
+            }
+          : {
+              to: this.instance.routerAddress,
+              data: router.encodeFunctionData(
+                'swapExactTokensForTokensSupportingFeeOnTransferTokens',
+                [amountIn, 0, getPath(tokenIn), recipient, deadline()]
+              ),
+            },
+      decodeQuote: data => router.decodeFunctionResult('getAmountsOut', data)[0].at(-1),
+    };
+  }
+
+  /**
+   * Runs calls in order on top of a block, from the trader with enough ETH for the buy. A pending
+   * liquidity add runs first from its own sender and throws if it reverts
+   * @param {Object} [liquidityAdd] - pending liquidity add from the mempool listener
+   * @returns {Array<Object>} { success, data, error } for every call, the liquidity add left out
+   */
+  async run(block, trader, amountIn, calls, liquidityAdd = null) {
+    const setup = liquidityAdd
+      ? [
+          {
+            from: liquidityAdd.from,
+            to: liquidityAdd.to,
+            data: liquidityAdd.data,
+            value: BigInt(liquidityAdd.value),
+          },
+        ]
+      : [];
+
+    const [result] = await this.send('eth_simulateV1', [
+      {
+        blockStateCalls: [
+          {
+            stateOverrides: { [trader]: { balance: ethers.toQuantity(amountIn * 2n) } },
+            calls: [...setup, ...calls].map(({ from = trader, to, data, value = 0n }) => ({
+              from,
+              to,
+              data,
+              value: ethers.toQuantity(value),
+            })),
+          },
+        ],
+        validation: false,
+      },
+      block,
+    ]);
+
+    const results = result.calls.map(call => ({
+      success: call.status === '0x1',
+      data: call.returnData,
+      error: call.status === '0x1' ? null : (call.error?.message ?? 'execution reverted'),
+    }));
+
+    if (setup.length > 0 && !results[0].success) {
+      throw new Error(`Pending liquidity add reverted: ${results[0].error}`);
+    }
+    return results.slice(setup.length);
+  }
+
+  /**
+   * Sends a JSON-RPC request to the simulation node
+   */
+  send(method, params) {
+    return this.provider
+      ? this.provider.send(method, params)
+      : this.instance.provider.core.send(method, params);
+  }
+
+  /**
+   * Builds an ERC20 call
+   */
+  erc20Call(tokenAddress, method, args) {
+    return {
+      to: tokenAddress,
+      data: this.instance.erc20Interface.encodeFunctionData(method, args),
+    };
+  }
+
+  balanceOf(tokenAddress, account) {
+    return this.erc20Call(tokenAddress, 'balanceOf', [account]);
+  }
+
+  decodeBalance(data) {
+    return this.instance.erc20Interface.decodeFunctionResult('balanceOf', data)[0];
+  }
+}
+
+/**
+ * Percent of the expected amount that didn't arrive
+ * @param {bigint} expected
+ * @param {bigint} actual
+ * @returns {number}
+ */
+const getTax = (expected, actual) => {
+  if (expected <= 0n || actual >= expected) return 0;
+  return Number(((expected - actual) * 10000n) / expected) / 100;
+};
@@ -0,0 +1,40 @@
+import { AuditManager } from './AuditManager.js';
+import { loadAuditRules } from './AuditRules.js';
+import { createGoPlusProviders } from './providers/goPlus.js';
+import { createHoneypotProvider } from './providers/honeypotSimulation.js';
+
+/**
+ * Creates an audit manager with the built in providers registered, in the order they run in
+ * sequence mode. The honeypot simulation goes first, it is local and spends no GoPlus calls.
+ * @param {Object} config - parsed data/audit.json
+ * @param {AuditRules} rules - rules from data/audit_rules.json
+ * @param {Object} [tradingInstances] - needed by the honeypot simulation, skipped without them
+ * @returns {AuditManager}
+ */
+export const createAuditManager = (
+  config = {},
+  rules = loadAuditRules(),
+  tradingInstances = null
+) => {
+  const manager = new AuditManager(config);
+
+  const providers = createGoPlusProviders(rules);
+  if (tradingInstances) {
+    providers.unshift(
+      createHoneypotProvider(tradingInstances, rules, config.providers?.honeypotSimulation)
+    );
+  }
+
+  for (const provider of providers) {
+    manager.register(provider);
+  }
+
+  // Most likely a typo, the settings would silently do nothing
+  for (const name of Object.keys(config.providers ?? {})) {
+    if (!manager.providers.has(name)) {
+      console.warn(`⚠️ data/audit.json has settings for unknown audit provider: ${name}`);
+    }
+  }
+
+  return manager;
+};
@@ -0,0 +1,19 @@
+import { rugpullDetection, tokenSecurity } from '../index.js';
+
+/**
+ * Creates the GoPlus providers
+ * @param {import('../AuditRules.js').AuditRules} rules - rules deciding which results reject a token
+ * @returns {Array<import('../AuditManager.js').AuditProvider>}
+ */
+export const createGoPlusProviders = rules => [
+  // Catches honeypots, taxes, mint and owner privileges
+  {
+    name: 'tokenSecurity',
+    audit: token => tokenSecurity(token.chainId, token.newTokenAddress, rules),
+  },
+  // Catches privileged withdraws, blacklists and risky ownership
+  {
+    name: 'rugpullDetection',
+    audit: token => rugpullDetection(token.chainId, token.newTokenAddress, rules),
+  },
+];
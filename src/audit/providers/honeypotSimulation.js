@@ -0,0 +1,42 @@
+import { HoneypotSimulator } from '../HoneypotSimulator.js';
+import { getTradingInstance } from '../../trading/index.js';
+
+/**
+ * Creates the honeypot simulation provider, it buys, transfers and sells the token on a simulated
+ * block through the trading instance that would snipe it. Useful at launch when GoPlus has no data yet.
+ * @param {Object} tradingInstances - initialized trading instances keyed by name
+ * @param {import('../AuditRules.js').AuditRules} rules - rules deciding which results reject a token
+ * @param {Object} settings - data/audit.json settings of the provider
+ * @param {Object} settings.rpc_urls - optional simulation node per chain id, e.g. an anvil fork
+ * @returns {import('../AuditManager.js').AuditProvider}
+ */
+export const createHoneypotProvider = (tradingInstances, rules, settings = {}) => {
+  // One simulator per trading instance
+  const simulators = new Map();
+
+  const getSimulator = instance => {
+    if (!simulators.has(instance)) {
+      const rpcUrl = settings.rpc_urls?.[String(instance.chainId)] ?? null;
+      simulators.set(instance, new HoneypotSimulator(instance, rpcUrl));
+    }
+    return simulators.get(instance);
+  };
+
+  return {
+    name: 'honeypotSimulation',
+    local: true,
+    audit: async token => {
+      const instance = getTradingInstance(tradingInstances, token);
+      if (!instance) return { success: false, results: null };
+
+      const results = await getSimulator(instance).simulate(token);
+      const { passed, score, failedRules } = rules.evaluate(
+        'honeypotSimulation',
+        token.chainId,
+        results
+      );
+
+      return { success: passed, results, score, failedRules };
+    },
+  };
+};
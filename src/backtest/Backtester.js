@@ -0,0 +1,201 @@
+import { ExitStrategy } from '../trading/ExitStrategy.js';
+import { GRID_PARAMS } from './ParameterGrid.js';
+
+/**
+ * Replays the exit decision loop of the trading classes over recorded swaps. Every pool is bought at
+ * its first recorded price and its Swap events are fed to ExitStrategy like the Swap listener of a
+ * live position, with the time based exit firing on its own timer when the pool goes quiet.
+ *
+ * Sells fill at the quoted price without price impact, slippage or gas. Returns are in multiples of
+ * the buy amount so pairs quoted in different base tokens can be added up.
+ */
+
+// The trading classes fire the time based exit a second after the deadline
+const TIME_EXIT_DELAY_MS = 1000;
+
+// Reasons a position can be closed with, OPEN when the recorded data ends first
+const CLOSE_REASONS = ['TARGET_HIT', 'STOP_LOSS', 'TRAILING_STOP', 'TIME_EXIT', 'OPEN'];
+
+export class Backtester {
+  /**
+   * Constructor
+   * @param {Array<Object>} pools - priced pools from readSwapFile
+   * @param {StrategyConfig} strategy - parameters the grid doesn't set
+   */
+  constructor(pools, strategy) {
+    this.pools = pools;
+    this.strategy = strategy;
+  }
+
+  /**
+   * Backtests every combination of a parameter grid
+   * @param {Array<Object>} combinations - from ParameterGrid.getCombinations
+   * @returns {Array<Object>} results of run in the order of the combinations
+   */
+  runGrid(combinations) {
+    return combinations.map(combination => this.run(combination));
+  }
+
+  /**
+   * Backtests one set of exit parameters over every pool
+   * @param {Object} combination - snake_case exit parameters overriding strategy.json
+   * @returns {Object} { combination, trades, summary }
+   */
+  run(combination = {}) {
+    const trades = [];
+
+    for (const pool of this.pools) {
+      const params = this.strategy.getParams(pool.chainId, pool.version.toLowerCase(), pool.base);
+      for (const [key, value] of Object.entries(combination)) {
+        params[GRID_PARAMS[key]] = value;
+      }
+
+      const trade = simulateTrade(pool, params);
+      if (trade) trades.push(trade);
+    }
+
+    return { combination, trades, summary: summarizeTrades(trades) };
+  }
+}
+
+/**
+ * Holds a position in a pool from its first price until the exit strategy sells all of it or the
+ * recorded events run out
+ * @returns {Object|null} trade, null if the pool has no price
+ */
+const simulateTrade = (pool, params) => {
+  const [entry, ...events] = pool.events;
+  if (!entry) return null;
+
+  // Target and stop loss are set off the entry price like getTargetAndStopLoss does
+  const entryPrice = entry.price;
+  const entryTime = entry.timestamp;
+  const exit = new ExitStrategy({
+    entryPrice,
+    entryTime,
+    targetPrice: entryPrice * params.targetMultiplier,
+    stopLoss: entryPrice * params.stopLossMultiplier,
+    trailingStop: params.trailingStop,
+    takeProfits: params.takeProfits,
+    maxHoldMinutes: params.maxHoldMinutes,
+  });
+
+  const timeLeft = exit.getTimeLeft(entryTime);
+  let timerAt = timeLeft === null ? null : entryTime + timeLeft + TIME_EXIT_DELAY_MS;
+
+  // Holdings are the share of the position left, proceeds are in multiples of the buy amount
+  let holdings = 1;
+  let proceeds = 0;
+  let price = entryPrice;
+  let lastTime = entryTime;
+  let peak = 1;
+  let maxDrawdown = 0;
+  const sells = [];
+
+  const apply = (action, timestamp) => {
+    if (!action) return;
+
+    const sold = holdings * action.portion;
+    proceeds += (sold * price) / entryPrice;
+    holdings = sold >= holdings - 1e-9 ? 0 : holdings - sold;
+    sells.push({ reason: action.reason, portion: action.portion, price, timestamp });
+  };
+
+  for (const event of events) {
+    // The timer checks the exit at the last price if the deadline passes before the next event
+    if (timerAt !== null && event.timestamp > timerAt) {
+      apply(exit.update(price, timerAt), timerAt);
+      timerAt = null;
+      if (holdings === 0) break;
+    }
+
+    price = event.price;
+    lastTime = event.timestamp;
+
+    // Only swaps trigger the listener, other events just move the price
+    if (event.swap) {
+      apply(exit.update(price, event.timestamp), event.timestamp);
+    }
+
+    const equity = proceeds + (holdings * price) / entryPrice;
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+
+    if (holdings === 0) break;
+  }
+
+  const closed = holdings === 0;
+  const exitTime = closed ? sells.at(-1).timestamp : null;
+
+  return {
+    chainId: pool.chainId,
+    version: pool.version,
+    pool: pool.pool,
+    token: pool.token,
+    base: pool.base,
+    entryPrice,
+    entryTime,
+    exitTime,
+    reason: closed ? closeReason(sells.at(-1).reason) : 'OPEN',
+    tiersHit: exit.tiersHit,
+    holdMinutes: ((exitTime ?? lastTime) - entryTime) / 60000,
+    // Open positions are marked at the last recorded price
+    return: proceeds + (holdings * price) / entryPrice - 1,
+    maxDrawdown,
+    sells,
+  };
+};
+
+/**
+ * The last tier of a take-profit ladder closes the position as TARGET_HIT
+ */
+const closeReason = reason => (reason === 'TAKE_PROFIT' ? 'TARGET_HIT' : reason);
+
+/**
+ * Aggregates the trades of a run
+ * @returns {Object} trades, totalReturn, averageReturn, winRate, hitRates per close reason,
+ * tierHitRate, averageHoldMinutes of closed trades, maxDrawdown of the summed returns in buy
+ * amounts and worstTradeDrawdown
+ */
+const summarizeTrades = trades => {
+  const count = trades.length;
+  const rate = matches => (count > 0 ? matches / count : 0);
+
+  const hitRates = Object.fromEntries(
+    CLOSE_REASONS.map(reason => [
+      reason,
+      rate(trades.filter(trade => trade.reason === reason).length),
+    ])
+  );
+
+  const closed = trades.filter(trade => trade.reason !== 'OPEN');
+  const totalReturn = trades.reduce((sum, trade) => sum + trade.return, 0);
+
+  // Drawdown of the running P&L with trades realized in the order they ended
+  const ordered = [...trades].sort(
+    (a, b) => (a.exitTime ?? Infinity) - (b.exitTime ?? Infinity) || a.entryTime - b.entryTime
+  );
+  let cumulative = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (const trade of ordered) {
+    cumulative += trade.return;
+    peak = Math.max(peak, cumulative);
+    maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+  }
+
+  return {
+    trades: count,
+    totalReturn,
+    averageReturn: count > 0 ? totalReturn / count : 0,
+    winRate: rate(trades.filter(trade => trade.return > 0).length),
+    hitRates,
+    tierHitRate: rate(trades.filter(trade => trade.tiersHit > 0).length),
+    averageHoldMinutes:
+      closed.length > 0
+        ? closed.reduce((sum, trade) => sum + trade.holdMinutes, 0) / closed.length
+        : null,
+    maxDrawdown,
+    worstTradeDrawdown: trades.reduce((worst, trade) => Math.max(worst, trade.maxDrawdown), 0),
+  };
+};
@@ -0,0 +1,86 @@
+import { validateParam } from '../trading/StrategyConfig.js';
+
+/**
+ * Exit parameters to backtest, loaded from data/backtest.json. Every key lists the values to try and
+ * every combination of them is backtested:
+ *
+ *   { "target_multiplier": [1.5, 2, 3], "stop_loss_multiplier": [0.5, 0.7], "trailing_stop": [null, 0.25] }
+ *
+ * Parameters the grid doesn't list come from strategy.json, resolved per pair like a live trade.
+ */
+
+// Parameters the grid can vary and the key getParams returns them under
+export const GRID_PARAMS = {
+  target_multiplier: 'targetMultiplier',
+  stop_loss_multiplier: 'stopLossMultiplier',
+  trailing_stop: 'trailingStop',
+  take_profits: 'takeProfits',
+  max_hold_minutes: 'maxHoldMinutes',
+};
+
+export class ParameterGrid {
+  /**
+   * Constructor validates the grid and throws listing every problem found
+   * @param {Object} config - parsed backtest.json
+   */
+  constructor(config = {}) {
+    const errors = [];
+
+    if (!isObject(config)) {
+      errors.push('grid must be an object keyed by parameter');
+    } else {
+      for (const [key, values] of Object.entries(config)) {
+        if (!(key in GRID_PARAMS)) {
+          errors.push(
+            `grid.${key} is not an exit parameter, use one of ${Object.keys(GRID_PARAMS).join(', ')}`
+          );
+          continue;
+        }
+        if (!Array.isArray(values) || values.length === 0) {
+          errors.push(`grid.${key} must be a non-empty list of values`);
+          continue;
+        }
+        values.forEach((value, index) => {
+          const error = validateParam(key, value);
+          if (error) errors.push(`grid.${key}[${index}] ${error}`);
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid backtest grid:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.config = config;
+  }
+
+  /**
+   * Gets every combination of the grid values
+   * @returns {Array<Object>} snake_case parameters, an empty grid gives a single empty combination
+   */
+  getCombinations() {
+    return Object.entries(this.config).reduce(
+      (combinations, [key, values]) =>
+        combinations.flatMap(combination =>
+          values.map(value => ({ ...combination, [key]: value }))
+        ),
+      [{}]
+    );
+  }
+}
+
+/**
+ * Formats a combination for the report e.g. target_multiplier=2 trailing_stop=0.25
+ * @param {Object} combination
+ * @returns {string}
+ */
+export const describeCombination = combination => {
+  const parts = Object.entries(combination).map(([key, value]) =>
+    Array.isArray(value)
+      ? `${key}=${value.map(({ multiplier, percent }) => `${percent * 100}%@${multiplier}x`).join(',')}`
+      : `${key}=${value}`
+  );
+  return parts.length > 0 ? parts.join(' ') : 'strategy.json';
+};
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
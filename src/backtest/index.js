@@ -0,0 +1,225 @@
+import fs from 'fs';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import { Backtester } from './Backtester.js';
+import { ParameterGrid, describeCombination } from './ParameterGrid.js';
+import { recordSwapLogs, readSwapFile } from './swapData.js';
+import { StrategyConfig } from '../trading/StrategyConfig.js';
+import { journal } from '../database/index.js';
+import { destroyProviders } from '../providers/index.js';
+
+dotenv.config();
+
+// Load config once at module level
+const UNISWAP_CONFIG = JSON.parse(
+  fs.readFileSync(new URL('../../data/uniswap.json', import.meta.url), 'utf8')
+);
+
+const DEFAULT_GRID_FILE = new URL('../../data/backtest.json', import.meta.url);
+
+const USAGE = `Usage:
+  npm run backtest -- record --from-block <n> [--to-block <n>] [--chain <id>] [--pair <address>]... [--limit <n>] --out <file.jsonl>
+  npm run backtest -- run --data <file.jsonl> [--grid <backtest.json>] [--report <report.json>]`;
+
+/**
+ * Reads the command and its flags
+ *
+ *   record  fetches the Swap logs of pairs in the trade journal, needs the chain's provider
+ *   run     backtests the exit parameter grid against a recorded file, fully offline
+ */
+const parseBacktestArgs = argv => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'from-block': { type: 'string' },
+      'to-block': { type: 'string' },
+      chain: { type: 'string' },
+      pair: { type: 'string', multiple: true },
+      limit: { type: 'string', default: '100' },
+      out: { type: 'string' },
+      data: { type: 'string' },
+      grid: { type: 'string' },
+      report: { type: 'string' },
+    },
+  });
+
+  const [command] = positionals;
+  const errors = [];
+  const toNumber = (name, value) => {
+    if (value === undefined) return null;
+    if (!/^\d+$/.test(value)) errors.push(`--${name} must be a whole number`);
+    return Number(value);
+  };
+
+  const fromBlock = toNumber('from-block', values['from-block']);
+  const toBlock = toNumber('to-block', values['to-block']);
+  const limit = toNumber('limit', values.limit);
+
+  if (command === 'record') {
+    if (fromBlock === null) errors.push('record needs --from-block');
+    if (!values.out) errors.push('record needs --out');
+    if (fromBlock !== null && toBlock !== null && toBlock < fromBlock) {
+      errors.push('--to-block must not be before --from-block');
+    }
+  } else if (command === 'run') {
+    if (!values.data) {
+      errors.push('run needs --data');
+    } else if (!fs.existsSync(values.data)) {
+      errors.push(`--data file ${values.data} does not exist`);
+    }
+    if (values.grid && !fs.existsSync(values.grid)) {
+      errors.push(`--grid file ${values.grid} does not exist`);
+    }
+  } else {
+    errors.push(command ? `unknown command ${command}` : 'missing command');
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid arguments:\n  ${errors.join('\n  ')}\n\n${USAGE}`);
+  }
+
+  return {
+    command,
+    fromBlock,
+    toBlock,
+    limit,
+    chain: values.chain ?? null,
+    pairs: values.pair?.map(pair => pair.toLowerCase()) ?? null,
+    out: values.out,
+    data: values.data,
+    grid: values.grid ?? DEFAULT_GRID_FILE,
+    report: values.report ?? null,
+  };
+};
+
+/**
+ * Records the Swap logs of the most recent pairs in the trade journal
+ */
+const record = async args => {
+  const pools = journal
+    .getPairs(args.limit)
+    .filter(pair => pair.base_token)
+    .filter(pair => !args.chain || pair.chain_id === args.chain)
+    .filter(pair => !args.pairs || args.pairs.includes(pair.pair_address.toLowerCase()))
+    .map(pair => ({
+      chainId: pair.chain_id,
+      version: pair.version,
+      pool: pair.pair_address,
+      token: pair.new_token,
+      base: pair.base_token,
+      fee: pair.version === 'V2' ? getV2Fee(pair) : Number(pair.fee),
+    }));
+
+  if (pools.length === 0) {
+    console.log('🤷 No matching pairs in the trade journal');
+    return;
+  }
+
+  console.log(`⏪ Recording the swaps of ${pools.length} pairs to ${args.out}...`);
+  const recorded = await recordSwapLogs(pools, args.fromBlock, args.toBlock, args.out);
+  console.log(`✅ Recorded ${recorded} logs`);
+};
+
+/**
+ * Gets the swap fee of a V2 pair from the config of the factory that created it
+ */
+const getV2Fee = pair => {
+  const entry = UNISWAP_CONFIG.find(
+    ({ chain_id, v2 }) =>
+      String(chain_id) === pair.chain_id &&
+      v2?.factory?.toLowerCase() === pair.factory?.toLowerCase()
+  );
+  return entry?.v2.fee ?? null;
+};
+
+/**
+ * Backtests the parameter grid against a recorded file and prints the results, best first
+ */
+const run = async args => {
+  const strategy = new StrategyConfig(
+    JSON.parse(fs.readFileSync(new URL('../../data/strategy.json', import.meta.url), 'utf8'))
+  );
+  const grid = new ParameterGrid(JSON.parse(fs.readFileSync(args.grid, 'utf8')));
+
+  const pools = await readSwapFile(args.data);
+  console.log(`📊 Backtesting ${pools.length} pools...`);
+
+  const combinations = grid.getCombinations();
+  const results = new Backtester(pools, strategy)
+    .runGrid(combinations)
+    .sort((a, b) => b.summary.totalReturn - a.summary.totalReturn);
+
+  console.log(`\n🏆 ${combinations.length} parameter combinations, best first:`);
+  console.table(results.map(({ combination, summary }) => formatSummary(combination, summary)));
+
+  const [best] = results;
+  if (best) {
+    console.log(`\n🔎 Trades of ${describeCombination(best.combination)}:`);
+    console.table(best.trades.map(formatTrade));
+  }
+
+  if (args.report) {
+    fs.writeFileSync(args.report, JSON.stringify(results, null, 2));
+    console.log(`💾 Full report written to ${args.report}`);
+  }
+};
+
+/**
+ * Row of the grid table
+ */
+const formatSummary = (combination, summary) => ({
+  params: describeCombination(combination),
+  trades: summary.trades,
+  'P&L': formatMultiple(summary.totalReturn),
+  'avg P&L': formatPercent(summary.averageReturn),
+  win: formatPercent(summary.winRate),
+  target: formatPercent(summary.hitRates.TARGET_HIT),
+  stop: formatPercent(summary.hitRates.STOP_LOSS),
+  trailing: formatPercent(summary.hitRates.TRAILING_STOP),
+  time: formatPercent(summary.hitRates.TIME_EXIT),
+  open: formatPercent(summary.hitRates.OPEN),
+  'avg hold':
+    summary.averageHoldMinutes === null ? '-' : `${summary.averageHoldMinutes.toFixed(1)}m`,
+  'max DD': formatMultiple(-summary.maxDrawdown),
+});
+
+/**
+ * Row of the per token table
+ */
+const formatTrade = trade => ({
+  chain: trade.chainId,
+  version: trade.version,
+  token: trade.token,
+  reason: trade.reason,
+  'P&L': formatPercent(trade.return),
+  hold: `${trade.holdMinutes.toFixed(1)}m`,
+  'max DD': formatPercent(-trade.maxDrawdown),
+});
+
+const formatPercent = value => `${(value * 100).toFixed(1)}%`;
+
+// Summed returns are in buy amounts, 1.5x means one and a half buys gained
+const formatMultiple = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}x`;
+
+const main = async () => {
+  try {
+    const args = parseBacktestArgs(process.argv.slice(2));
+
+    if (args.command === 'record') {
+      try {
+        await record(args);
+      } finally {
+        await destroyProviders();
+        journal.close();
+      }
+    } else {
+      await run(args);
+    }
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exitCode = 1;
+  }
+};
+
+main();
@@ -0,0 +1,257 @@
+import fs from 'fs';
+import readline from 'readline';
+import { createRequire } from 'module';
+import { ethers } from 'ethers';
+import { getProvider } from '../providers/index.js';
+import { getLogsInChunks } from '../providers/getLogsInChunks.js';
+import { sqrtPriceX96ToPrice } from '../utils/sqrtPriceX96ToPrice.js';
+
+/**
+ * Swap logs of detected pairs saved to a JSONL file so exit strategies can be backtested offline.
+ * Every pool starts with a line describing it, followed by its logs:
+ *
+ *   {"type":"pool","chainId":"8453","version":"V2","pool":"0x..","token":"0x..","base":"0x..","tokenDecimals":18,"baseDecimals":18,"tokenIs0":true,"fee":30}
+ *   {"type":"log","chainId":"8453","pool":"0x..","timestamp":1718000000000,"log":{"blockNumber":1,"logIndex":0,"topics":[],"data":"0x"}}
+ *
+ * V2 pairs record Sync next to Swap since the trading classes price them off the reserves, V3 pools
+ * record Initialize for the opening price next to Swap, which carries the price after the swap.
+ */
+
+// Allows us to use require
+const require = createRequire(import.meta.url);
+
+const { abi: UNISWAP_V2_PAIR_ABI } = require('@uniswap/v2-core/build/UniswapV2Pair.json');
+const {
+  abi: UNISWAP_V3_POOL_ABI,
+} = require('@uniswap/v3-core/artifacts/contracts/UniswapV3Pool.sol/UniswapV3Pool.json');
+const { abi: ERC20_ABI } = require('@uniswap/v2-core/build/ERC20.json');
+
+const PAIR_INTERFACE = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+const POOL_INTERFACE = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+const ERC20_INTERFACE = new ethers.Interface(ERC20_ABI);
+
+// Events recorded for each version, the first one moves the price and the Swap triggers the exit check
+const RECORDED_EVENTS = {
+  V2: ['Sync', 'Swap'],
+  V3: ['Initialize', 'Swap'],
+};
+
+/**
+ * Fetches the Swap logs of pools over a block range and appends them to a JSONL file
+ * @param {Array<Object>} pools - { chainId, version, pool, token, base, fee } fee in basis points for V2
+ * @param {number} fromBlock
+ * @param {number|null} toBlock - latest block of each chain when null
+ * @param {string} file - JSONL file, appended to if it exists
+ * @returns {number} number of logs recorded
+ */
+export const recordSwapLogs = async (pools, fromBlock, toBlock, file) => {
+  let recorded = 0;
+
+  // Block timestamps are shared by every pool of a chain
+  const timestamps = new Map();
+
+  for (const pool of pools) {
+    try {
+      const provider = getProvider(pool.chainId);
+      const poolInterface = pool.version === 'V3' ? POOL_INTERFACE : PAIR_INTERFACE;
+      const lastBlock = toBlock ?? (await provider.core.getBlockNumber());
+
+      const logs = await getLogsInChunks(
+        provider,
+        {
+          address: pool.pool,
+          topics: [
+            RECORDED_EVENTS[pool.version].map(name => poolInterface.getEvent(name).topicHash),
+          ],
+        },
+        fromBlock,
+        lastBlock
+      );
+
+      const [tokenDecimals, baseDecimals] = await Promise.all([
+        getDecimals(provider, pool.token),
+        getDecimals(provider, pool.base),
+      ]);
+
+      const lines = [
+        {
+          type: 'pool',
+          chainId: String(pool.chainId),
+          version: pool.version,
+          pool: pool.pool,
+          token: pool.token,
+          base: pool.base,
+          tokenDecimals,
+          baseDecimals,
+          tokenIs0: pool.token.toLowerCase() < pool.base.toLowerCase(),
+          fee: pool.fee ?? null,
+        },
+      ];
+
+      for (const log of logs) {
+        const blockNumber = Number(log.blockNumber);
+        lines.push({
+          type: 'log',
+          chainId: String(pool.chainId),
+          pool: pool.pool,
+          timestamp: await getBlockTimestamp(provider, blockNumber, timestamps),
+          log: {
+            blockNumber,
+            logIndex: Number(log.logIndex ?? log.index),
+            topics: log.topics,
+            data: log.data,
+          },
+        });
+      }
+
+      await fs.promises.appendFile(file, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+
+      console.log(`📼 Recorded ${logs.length} logs of ${pool.version} pool ${pool.pool}`);
+      recorded += logs.length;
+    } catch (error) {
+      console.error(`Failed to record the logs of pool ${pool.pool}:`, error.message);
+    }
+  }
+
+  return recorded;
+};
+
+/**
+ * Reads a file written by recordSwapLogs and prices every log the way the trading classes do
+ * @param {string} file - JSONL file
+ * @returns {Promise<Array<Object>>} pools with their events { blockNumber, timestamp, price, swap }
+ * in block order, price in base tokens per token and swap true for the logs that trigger the exit check
+ */
+export const readSwapFile = async file => {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  const pools = new Map();
+  let lineNumber = 0;
+  let skipped = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      const entry = JSON.parse(line);
+      const key = `${entry.chainId}:${entry.pool?.toLowerCase()}`;
+
+      if (entry.type === 'pool') {
+        // A pool recorded again over a later range keeps its earlier logs
+        pools.set(key, { ...entry, logs: pools.get(key)?.logs ?? [] });
+      } else if (entry.type === 'log' && pools.has(key)) {
+        pools.get(key).logs.push(entry);
+      } else {
+        throw new Error(entry.type === 'log' ? 'log of an unknown pool' : 'unknown entry type');
+      }
+    } catch (error) {
+      console.error(`Skipping line ${lineNumber} of ${file}: ${error.message}`);
+      skipped++;
+    }
+  }
+
+  if (skipped > 0) {
+    console.warn(`⚠️  Skipped ${skipped} lines of ${file}`);
+  }
+
+  return Array.from(pools.values()).map(({ logs, ...pool }) => ({
+    ...pool,
+    events: priceLogs(pool, logs),
+  }));
+};
+
+/**
+ * Decodes the logs of a pool into prices, deduplicated and in block order
+ */
+const priceLogs = (pool, logs) => {
+  const seen = new Set();
+  const ordered = logs
+    .filter(({ log }) => {
+      const key = `${log.blockNumber}:${log.logIndex}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.logIndex - b.log.logIndex);
+
+  const events = [];
+  let price = null;
+
+  for (const { timestamp, log } of ordered) {
+    const parsed = (pool.version === 'V3' ? POOL_INTERFACE : PAIR_INTERFACE).parseLog(log);
+    if (!parsed) continue;
+
+    if (parsed.name === 'Sync') {
+      price = getV2Price(pool, parsed.args.reserve0, parsed.args.reserve1);
+    } else if (parsed.name === 'Initialize' || (parsed.name === 'Swap' && pool.version === 'V3')) {
+      price = getV3Price(pool, parsed.args.sqrtPriceX96);
+    }
+
+    if (!price) continue;
+
+    events.push({
+      blockNumber: log.blockNumber,
+      timestamp,
+      price,
+      swap: parsed.name === 'Swap',
+    });
+  }
+
+  return events;
+};
+
+/**
+ * Price of one token from the pair reserves, what the router's getAmountsOut quotes including the fee
+ */
+const getV2Price = (pool, reserve0, reserve1) => {
+  const [reserveToken, reserveBase] = pool.tokenIs0 ? [reserve0, reserve1] : [reserve1, reserve0];
+  if (reserveToken === 0n || reserveBase === 0n) return null;
+
+  const amountIn = 10n ** BigInt(pool.tokenDecimals);
+  const amountInWithFee = amountIn * (10_000n - BigInt(pool.fee ?? 30));
+  const amountOut = (amountInWithFee * reserveBase) / (reserveToken * 10_000n + amountInWithFee);
+
+  return parseFloat(ethers.formatUnits(amountOut, pool.baseDecimals));
+};
+
+/**
+ * Price of the token in the base token from a sqrtPriceX96, like UniswapV3.getPrice
+ */
+const getV3Price = (pool, sqrtPriceX96) => {
+  if (sqrtPriceX96 === 0n) return null;
+
+  const rawPrice = pool.tokenIs0
+    ? sqrtPriceX96ToPrice(sqrtPriceX96, pool.tokenDecimals, pool.baseDecimals)
+    : sqrtPriceX96ToPrice(sqrtPriceX96, pool.baseDecimals, pool.tokenDecimals);
+
+  return pool.tokenIs0 ? rawPrice : 1 / rawPrice;
+};
+
+/**
+ * Gets the decimals of a token
+ */
+const getDecimals = async (provider, tokenAddress) => {
+  const result = await provider.core.send('eth_call', [
+    { to: tokenAddress, data: ERC20_INTERFACE.encodeFunctionData('decimals') },
+    'latest',
+  ]);
+  return Number(ERC20_INTERFACE.decodeFunctionResult('decimals', result)[0]);
+};
+
+/**
+ * Gets the ms timestamp of a block, cached per chain and block
+ */
+const getBlockTimestamp = async (provider, blockNumber, timestamps) => {
+  const key = `${provider.chainId}:${blockNumber}`;
+
+  if (!timestamps.has(key)) {
+    const block = await provider.core.send('eth_getBlockByNumber', [
+      ethers.toQuantity(blockNumber),
+      false,
+    ]);
+    timestamps.set(key, Number(block.timestamp) * 1000);
+  }
+
+  return timestamps.get(key);
+};
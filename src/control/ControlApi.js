@@ -0,0 +1,335 @@
+import crypto from 'crypto';
+
+/**
+ * Message protocol of the WebSocket server. Every message is a JSON object with a type, an optional
+ * payload and an optional id that is echoed back so clients can match replies to requests:
+ *
+ *   -> { "id": "1", "type": "position.sell", "payload": { "tokenAddress": "0x..", "portion": 0.5 } }
+ *   <- { "id": "1", "type": "position.sell", "ok": true, "result": { ... } }
+ *   <- { "id": "1", "type": "position.sell", "ok": false, "error": { "code": "NOT_FOUND", "message": "..." } }
+ *
+ * A connection must authenticate before anything else, either with an Authorization: Bearer <token>
+ * header when it connects or with an auth message. A failed auth closes the connection.
+ *
+ * Connections that send events.subscribe also get { "type": "event", "event": "...", "data": ... }
+ * pushed for new pairs, audit verdicts and trades, and the portfolio every few seconds.
+ */
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+
+export const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  NOT_FOUND: 'NOT_FOUND',
+  INTERNAL: 'INTERNAL',
+};
+
+/**
+ * Error sent back to the client with its code
+ */
+export class ControlError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ControlError';
+    this.code = code;
+  }
+}
+
+export class ControlApi {
+  /**
+   * Constructor
+   * @param {WebSocketController} controller - server whose methods the messages call
+   * @param {string} authToken - token clients authenticate with
+   */
+  constructor(controller, authToken) {
+    if (!authToken) {
+      throw new Error('The control API needs an auth token');
+    }
+
+    this.controller = controller;
+    this.authToken = authToken;
+
+    // Handlers of every message type, each gets the payload and the connection and returns the result
+    this.handlers = {
+      'events.subscribe': (payload, connection) => {
+        connection.subscribed = true;
+        return { subscribed: true };
+      },
+      'pair.detected': payload => this.controller.queuePair(requirePair(payload)),
+      'positions.list': payload => this.listPositions(payload),
+      'portfolio.get': () => this.controller.getPortfolio(),
+      'listeners.list': payload => this.getInstances(payload).flatMap(getInstanceListeners),
+      'position.sell': payload => this.sellPosition(requireObject(payload)),
+      'position.targets': payload => this.updateTargets(requireObject(payload)),
+      'token.blacklist': payload => {
+        const { chainId, tokenAddress, reason = null } = requireToken(payload);
+        return this.controller.blacklistToken(chainId, tokenAddress, reason);
+      },
+      'token.unblacklist': payload => {
+        const { chainId, tokenAddress } = requireToken(payload);
+        return this.controller.unblacklistToken(chainId, tokenAddress);
+      },
+      'blacklist.list': () => this.controller.getBlacklist(),
+      'bot.pause': () => this.controller.pause(),
+      'bot.resume': () => this.controller.resume(),
+      'bot.stats': () => this.controller.getStats(),
+      'instances.list': () => this.controller.getTradingInstances(),
+      'rateLimiter.status': () => this.controller.getRateLimiterStatus(),
+      'rateLimiter.reset': () => {
+        this.controller.resetRateLimiter();
+        return this.controller.getRateLimiterStatus();
+      },
+    };
+  }
+
+  /**
+   * Checks a token against the auth token in constant time
+   * @param {string} token
+   * @returns {boolean}
+   */
+  isAuthorized(token) {
+    if (typeof token !== 'string') return false;
+
+    const expected = crypto.createHash('sha256').update(this.authToken).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Checks the Authorization header of a new connection
+   * @param {IncomingMessage} request - upgrade request of the connection
+   * @returns {boolean}
+   */
+  isAuthorizedRequest(request) {
+    const [scheme, token] = (request.headers.authorization ?? '').split(' ');
+    return scheme === 'Bearer' && this.isAuthorized(token);
+  }
+
+  /**
+   * Handles a message of a connection
+   * @param {Object} message - parsed message
+   * @param {Object} connection - connection state, authenticated is set on a successful auth
+   * @returns {Promise<Object>} reply to send back
+   */
+  async handle(message, connection) {
+    const id = message?.id ?? null;
+    const type = typeof message?.type === 'string' ? message.type : null;
+
+    try {
+      if (!type) {
+        throw new ControlError(ERROR_CODES.BAD_REQUEST, 'Messages need a type');
+      }
+
+      if (type === 'auth') {
+        if (!this.isAuthorized(message.payload?.token)) {
+          throw new ControlError(ERROR_CODES.UNAUTHORIZED, 'Invalid auth token');
+        }
+        connection.authenticated = true;
+        return { id, type, ok: true, result: { authenticated: true } };
+      }
+
+      if (!connection.authenticated) {
+        throw new ControlError(ERROR_CODES.UNAUTHORIZED, 'Authenticate before sending messages');
+      }
+
+      const handler = this.handlers[type];
+      if (!handler) {
+        throw new ControlError(ERROR_CODES.UNKNOWN_TYPE, `Unknown message type ${type}`);
+      }
+
+      const result = await handler(message.payload ?? {}, connection);
+      return { id, type, ok: true, result: result ?? null };
+    } catch (error) {
+      if (!(error instanceof ControlError)) {
+        console.error(`Error handling ${type} message:`, error);
+      }
+
+      return {
+        id,
+        type,
+        ok: false,
+        error: {
+          code: error instanceof ControlError ? error.code : ERROR_CODES.INTERNAL,
+          message: error instanceof ControlError ? error.message : 'Internal error',
+        },
+      };
+    }
+  }
+
+  /**
+   * Gets the trading instances a message targets, every instance unless the payload names one
+   * @param {Object} payload - { instance }
+   * @returns {Array<UniswapV2|UniswapV3>}
+   */
+  getInstances({ instance } = {}) {
+    const instances = this.controller.tradingInstances;
+
+    if (instance === undefined) return Object.values(instances);
+
+    if (!instances[instance]) {
+      throw new ControlError(ERROR_CODES.NOT_FOUND, `No trading instance named ${instance}`);
+    }
+    return [instances[instance]];
+  }
+
+  /**
+   * Finds the instance holding a position
+   * @param {string} tokenAddress
+   * @param {string} [instance] - only look in this instance
+   * @returns {Object} { tradingInstance, key } key is the address the position is stored under
+   */
+  findPosition(tokenAddress, instance) {
+    if (typeof tokenAddress !== 'string' || !ADDRESS.test(tokenAddress)) {
+      throw new ControlError(ERROR_CODES.INVALID_PARAMS, 'tokenAddress must be an address');
+    }
+
+    // Positions are keyed by the address the listener sent, match it in any case
+    for (const tradingInstance of this.getInstances({ instance })) {
+      const key = Array.from(tradingInstance.positions.keys()).find(
+        address => address.toLowerCase() === tokenAddress.toLowerCase()
+      );
+      if (key) return { tradingInstance, key };
+    }
+
+    throw new ControlError(ERROR_CODES.NOT_FOUND, `No open position for ${tokenAddress}`);
+  }
+
+  /**
+   * Lists the open positions, with their current price, exit prices and unrealized P&L when asked
+   * @param {Object} payload - { instance, prices }
+   * @returns {Promise<Array<Object>>}
+   */
+  async listPositions({ instance, prices = false } = {}) {
+    const instances = this.getInstances({ instance });
+    if (!prices) return instances.flatMap(getInstancePositions);
+
+    const positions = await Promise.all(
+      instances.flatMap(tradingInstance =>
+        getInstancePositions(tradingInstance).map(async position => {
+          const exit = tradingInstance.listeners.get(position.tokenAddress)?.exit;
+          const quote = await tradingInstance
+            .getPositionPrice(position.tokenAddress)
+            .catch(() => null);
+
+          return {
+            ...position,
+            currentPrice: quote?.currentPrice ?? null,
+            currentPriceUsd: quote?.currentPriceUsd ?? null,
+            pnl: quote?.pnl ?? null,
+            targetPrice: exit?.getTargetPrice() ?? null,
+            stopPrice: exit?.getStopPrice() ?? null,
+          };
+        })
+      )
+    );
+    return positions;
+  }
+
+  /**
+   * Sells part or all of a position
+   * @param {Object} payload - { tokenAddress, portion = 1, instance }
+   * @returns {Promise<Object>} result of the sell
+   */
+  async sellPosition({ tokenAddress, portion = 1, instance }) {
+    if (typeof portion !== 'number' || !(portion > 0 && portion <= 1)) {
+      throw new ControlError(
+        ERROR_CODES.INVALID_PARAMS,
+        'portion must be a number between 0 and 1'
+      );
+    }
+
+    const { tradingInstance, key } = this.findPosition(tokenAddress, instance);
+
+    if (tradingInstance.positions.get(key).selling) {
+      throw new ControlError(ERROR_CODES.INVALID_PARAMS, `A sell of ${key} is already running`);
+    }
+
+    console.log(`🕹️  Manual sell of ${portion * 100}% of ${key} on ${tradingInstance.name}`);
+    const result = await tradingInstance.executeSell(key, 'MANUAL', portion);
+    return { instance: tradingInstance.name, tokenAddress: key, ...result };
+  }
+
+  /**
+   * Moves the target price and/or stop loss of a position
+   * @param {Object} payload - { tokenAddress, targetPrice, stopLoss, instance } prices in the
+   * pair's base token
+   * @returns {Object} { instance, tokenAddress, targetPrice, stopLoss }
+   */
+  updateTargets({ tokenAddress, targetPrice, stopLoss, instance }) {
+    for (const [name, value] of Object.entries({ targetPrice, stopLoss })) {
+      if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+        throw new ControlError(ERROR_CODES.INVALID_PARAMS, `${name} must be a number above 0`);
+      }
+    }
+    if (targetPrice === undefined && stopLoss === undefined) {
+      throw new ControlError(ERROR_CODES.INVALID_PARAMS, 'Set targetPrice and/or stopLoss');
+    }
+    if (targetPrice !== undefined && stopLoss !== undefined && stopLoss >= targetPrice) {
+      throw new ControlError(ERROR_CODES.INVALID_PARAMS, 'stopLoss must be below targetPrice');
+    }
+
+    const { tradingInstance, key } = this.findPosition(tokenAddress, instance);
+
+    let targets;
+    try {
+      targets = tradingInstance.updateTargets(key, { targetPrice, stopLoss });
+    } catch (error) {
+      throw new ControlError(ERROR_CODES.INVALID_PARAMS, error.message);
+    }
+
+    if (!targets) {
+      throw new ControlError(ERROR_CODES.NOT_FOUND, `${key} has no running exit listener`);
+    }
+    return { instance: tradingInstance.name, tokenAddress: key, ...targets };
+  }
+}
+
+/**
+ * Positions of an instance tagged with the instance name
+ */
+const getInstancePositions = tradingInstance =>
+  tradingInstance.getPositions().map(position => ({ instance: tradingInstance.name, ...position }));
+
+/**
+ * Swap listeners of an instance tagged with the instance name
+ */
+const getInstanceListeners = tradingInstance =>
+  tradingInstance
+    .getActiveListeners()
+    .map(listener => ({ instance: tradingInstance.name, ...listener }));
+
+/**
+ * Pairs need at least the addresses the pipeline works with
+ */
+const requirePair = payload => {
+  const pair = requireObject(payload);
+  for (const key of ['newTokenAddress', 'pairAddress']) {
+    if (typeof pair[key] !== 'string' || !ADDRESS.test(pair[key])) {
+      throw new ControlError(ERROR_CODES.INVALID_PARAMS, `${key} must be an address`);
+    }
+  }
+  return pair;
+};
+
+/**
+ * Blacklist messages name a token on a chain
+ */
+const requireToken = payload => {
+  const token = requireObject(payload);
+  if (!/^\d+$/.test(String(token.chainId ?? ''))) {
+    throw new ControlError(ERROR_CODES.INVALID_PARAMS, 'chainId must be a chain id');
+  }
+  if (typeof token.tokenAddress !== 'string' || !ADDRESS.test(token.tokenAddress)) {
+    throw new ControlError(ERROR_CODES.INVALID_PARAMS, 'tokenAddress must be an address');
+  }
+  return { ...token, chainId: String(token.chainId) };
+};
+
+const requireObject = payload => {
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    throw new ControlError(ERROR_CODES.INVALID_PARAMS, 'payload must be an object');
+  }
+  return payload;
+};
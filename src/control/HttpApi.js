@@ -0,0 +1,155 @@
+import fs from 'fs';
+import http from 'http';
+import { journal } from '../database/index.js';
+import { ControlError, ERROR_CODES } from './ControlApi.js';
+
+/**
+ * Read only HTTP API of the bot next to the WebSocket server, and the dashboard that shows its
+ * portfolio. Every endpoint but / and /health needs the control token as Authorization: Bearer.
+ *
+ *   GET /health      is the server running
+ *   GET /stats       server stats
+ *   GET /positions   open positions with their current price and unrealized P&L
+ *   GET /portfolio   realized and unrealized P&L per chain and per instance
+ *   GET /trades, /audits, /pairs   latest journal rows, ?limit=100
+ */
+
+const DASHBOARD_FILE = new URL('./dashboard.html', import.meta.url);
+const MAX_LIMIT = 1000;
+
+const STATUS_CODES = {
+  [ERROR_CODES.BAD_REQUEST]: 400,
+  [ERROR_CODES.INVALID_PARAMS]: 400,
+  [ERROR_CODES.UNAUTHORIZED]: 401,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.INTERNAL]: 500,
+};
+
+export class HttpApi {
+  /**
+   * Constructor
+   * @param {WebSocketController} controller - server the endpoints read from
+   * @param {Object} options
+   * @param {number} options.port
+   * @param {string} options.host - interface to listen on, only this machine by default
+   */
+  constructor(controller, { port = 8070, host = '127.0.0.1' } = {}) {
+    this.controller = controller;
+    this.port = port;
+    this.host = host;
+    this.server = null;
+
+    // Handlers of every endpoint, each gets the query and returns the JSON body
+    this.routes = {
+      '/health': () => ({ ok: true, isRunning: this.controller.isRunning }),
+      '/stats': () => this.controller.getStats(),
+      '/positions': () => this.controller.controlApi.listPositions({ prices: true }),
+      '/portfolio': () => this.controller.getPortfolio(),
+      '/trades': query => journal.getTrades(getLimit(query)),
+      '/audits': query => journal.getAudits(getLimit(query)),
+      '/pairs': query => journal.getPairs(getLimit(query)),
+    };
+  }
+
+  /**
+   * Starts listening
+   */
+  async start() {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`📈 Dashboard on http://${this.host}:${this.port}`);
+  }
+
+  /**
+   * Stops listening
+   */
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Answers a request
+   */
+  async handle(request, response) {
+    try {
+      // The Host header is up to the client, only the path and query are used
+      const url = new URL(request.url, 'http://localhost');
+
+      if (request.method !== 'GET') {
+        throw new ControlError(ERROR_CODES.BAD_REQUEST, 'Only GET is supported');
+      }
+
+      if (url.pathname === '/') {
+        return this.sendDashboard(response);
+      }
+
+      const route = this.routes[url.pathname];
+      if (!route) {
+        throw new ControlError(ERROR_CODES.NOT_FOUND, `No endpoint ${url.pathname}`);
+      }
+
+      if (url.pathname !== '/health' && !this.controller.controlApi.isAuthorizedRequest(request)) {
+        throw new ControlError(
+          ERROR_CODES.UNAUTHORIZED,
+          'Send the control token as a Bearer token'
+        );
+      }
+
+      sendJson(response, 200, await route(url.searchParams));
+    } catch (error) {
+      if (!(error instanceof ControlError)) {
+        console.error(`Error handling ${request.url}:`, error);
+      }
+
+      const code = error instanceof ControlError ? error.code : ERROR_CODES.INTERNAL;
+      sendJson(response, STATUS_CODES[code] ?? 500, {
+        error: {
+          code,
+          message: error instanceof ControlError ? error.message : 'Internal error',
+        },
+      });
+    }
+  }
+
+  /**
+   * Serves the dashboard page, it streams its updates from the WebSocket server
+   */
+  sendDashboard(response) {
+    const html = fs
+      .readFileSync(DASHBOARD_FILE, 'utf8')
+      .replace('__WS_PORT__', JSON.stringify(String(this.controller.port)));
+
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end(html);
+  }
+}
+
+/**
+ * Reads the limit query param of the journal endpoints
+ */
+const getLimit = query => {
+  const limit = query.get('limit') ?? '100';
+  if (!/^\d+$/.test(limit) || Number(limit) === 0 || Number(limit) > MAX_LIMIT) {
+    throw new ControlError(
+      ERROR_CODES.INVALID_PARAMS,
+      `limit must be a number from 1 to ${MAX_LIMIT}`
+    );
+  }
+  return Number(limit);
+};
+
+// BigInt amounts are sent as strings
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { 'Content-Type': 'application/json' });
+  response.end(
+    JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? value.toString() : value))
+  );
+};
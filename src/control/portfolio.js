@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+
+/**
+ * P&L of the journaled positions in ETH, buys are paid in ETH and sells are swapped back to ETH.
+ *
+ * Realized P&L is the ETH a position's sells returned minus the cost of the tokens sold. Unrealized
+ * P&L is the cost of the tokens still held times the price change since entry, so it leaves out
+ * moves of the base token against ETH on pairs that aren't against WETH. Gas is reported apart.
+ */
+
+/**
+ * Builds the portfolio summary
+ * @param {Array<Object>} positions - journal.getPortfolioPositions()
+ * @param {Map<number, Object>} quotes - { currentPrice, pnl } of the open positions by position id
+ * @param {Object} ethUsdPrices - ETH price in USD by chain id, USD values are null without one
+ * @returns {Object} { updatedAt, totals, byChain, byInstance, open }
+ */
+export const buildPortfolio = (positions, quotes = new Map(), ethUsdPrices = {}) => {
+  const summaries = positions.map(position =>
+    summarizePosition(position, quotes.get(position.id) ?? null)
+  );
+
+  const byChain = groupSummaries(summaries, summary => summary.chainId, ethUsdPrices);
+  const byInstance = groupSummaries(
+    summaries,
+    summary => `${summary.instance}${summary.paper ? ' (paper)' : ''}`,
+    ethUsdPrices
+  );
+
+  return {
+    updatedAt: new Date().toISOString(),
+    totals: addUsd(
+      sumSummaries(summaries),
+      // The same ETH price on every chain we trade, use any we have
+      Object.values(ethUsdPrices).find(price => price) ?? null
+    ),
+    byChain,
+    byInstance,
+    open: summaries.filter(summary => summary.status === 'OPEN'),
+  };
+};
+
+/**
+ * P&L of a single position
+ * @param {Object} position - journal position row with its trades
+ * @param {Object|null} quote - { currentPrice, pnl } of an open position
+ */
+const summarizePosition = (position, quote) => {
+  const cost = toEth(position.amount_in);
+  const bought = toBigInt(position.amount);
+  const sells = position.trades.filter(trade => trade.side === 'SELL');
+
+  const sold = sells.reduce((total, sell) => total + toBigInt(sell.amount_in), 0n);
+  const soldFraction =
+    position.status === 'CLOSED'
+      ? 1
+      : bought > 0n
+        ? Math.min(1, Number((sold * 10000n) / bought) / 10000)
+        : 0;
+  const returned = sells.reduce((total, sell) => total + toEth(sell.amount_out), 0);
+
+  // Partial sells keep what is left in cost_held, rows from before it was added use the sells
+  const held =
+    position.status === 'OPEN' && position.cost_held != null
+      ? toEth(position.cost_held)
+      : cost * (1 - soldFraction);
+  const priced = position.status === 'OPEN' && typeof quote?.pnl === 'number';
+
+  return {
+    positionId: position.id,
+    instance: position.instance,
+    chainId: position.chain_id,
+    tokenAddress: position.token_address,
+    status: position.status,
+    paper: Boolean(position.dry_run),
+    cost,
+    realized: sells.length > 0 ? returned - cost * soldFraction : 0,
+    unrealized: priced ? held * quote.pnl : 0,
+    value: position.status === 'OPEN' ? (priced ? held * (1 + quote.pnl) : null) : 0,
+    currentPrice: quote?.currentPrice ?? null,
+    currentPriceUsd: quote?.currentPriceUsd ?? null,
+    pnl: quote?.pnl ?? null,
+    gas: position.trades.reduce((total, trade) => total + toEth(trade.gas_spent), 0),
+    unpriced: position.status === 'OPEN' && !priced,
+  };
+};
+
+/**
+ * Sums the P&L of position summaries
+ */
+const sumSummaries = summaries =>
+  summaries.reduce(
+    (totals, summary) => ({
+      positions: totals.positions + 1,
+      open: totals.open + (summary.status === 'OPEN' ? 1 : 0),
+      unpriced: totals.unpriced + (summary.unpriced ? 1 : 0),
+      invested: totals.invested + summary.cost,
+      realized: totals.realized + summary.realized,
+      unrealized: totals.unrealized + summary.unrealized,
+      gas: totals.gas + summary.gas,
+    }),
+    { positions: 0, open: 0, unpriced: 0, invested: 0, realized: 0, unrealized: 0, gas: 0 }
+  );
+
+/**
+ * Sums the summaries per key
+ */
+const groupSummaries = (summaries, getKey, ethUsdPrices) => {
+  const groups = {};
+  for (const summary of summaries) {
+    const key = getKey(summary);
+    (groups[key] ??= []).push(summary);
+  }
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, group]) => [
+      key,
+      addUsd(sumSummaries(group), ethUsdPrices[group[0].chainId] ?? null),
+    ])
+  );
+};
+
+/**
+ * Adds the USD value of the ETH totals, null without an ETH price
+ */
+const addUsd = (totals, ethUsd) => ({
+  ...totals,
+  net: totals.realized + totals.unrealized - totals.gas,
+  usd: ethUsd
+    ? {
+        ethUsd,
+        realized: totals.realized * ethUsd,
+        unrealized: totals.unrealized * ethUsd,
+        net: (totals.realized + totals.unrealized - totals.gas) * ethUsd,
+      }
+    : null,
+});
+
+const toBigInt = value => (value ? BigInt(value) : 0n);
+
+const toEth = value => (value ? parseFloat(ethers.formatEther(BigInt(value))) : 0);
@@ -0,0 +1,505 @@
+import Database from 'better-sqlite3';
+
+/**
+ * SQLite backed journal of everything the bot sees and does: detected pairs, audit verdicts,
+ * positions and the buy/sell transactions that open and close them.
+ *
+ * Amounts are stored as strings so bigint token amounts survive the round trip.
+ */
+export class TradeJournal {
+  /**
+   * Constructor
+   * @param {string} dbPath - path of the SQLite file, created if it doesn't exist
+   */
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  /**
+   * Opens the database and creates the tables if needed. Safe to call more than once.
+   */
+  open() {
+    if (this.db) return this.db;
+
+    this.db = new Database(this.dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.createTables();
+
+    return this.db;
+  }
+
+  /**
+   * Creates the journal tables
+   */
+  createTables() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS pairs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain_id TEXT NOT NULL,
+        version TEXT NOT NULL,
+        new_token TEXT NOT NULL,
+        base_token TEXT,
+        pair_address TEXT NOT NULL,
+        fee TEXT,
+        detected_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS audits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain_id TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        check_name TEXT NOT NULL,
+        passed INTEGER NOT NULL,
+        results TEXT,
+        failed_rules TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS positions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        instance TEXT NOT NULL,
+        chain_id TEXT NOT NULL,
+        version TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        base_token TEXT,
+        pair_address TEXT,
+        fee TEXT,
+        status TEXT NOT NULL DEFAULT 'OPEN',
+        dry_run INTEGER NOT NULL DEFAULT 0,
+        amount_in TEXT,
+        amount TEXT,
+        entry_price REAL,
+        target_price REAL,
+        stop_loss REAL,
+        highest_price REAL,
+        tiers_hit INTEGER NOT NULL DEFAULT 0,
+        exit_price REAL,
+        exit_reason TEXT,
+        opened_at TEXT NOT NULL,
+        closed_at TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        position_id INTEGER REFERENCES positions(id),
+        side TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        amount_in TEXT,
+        amount_out TEXT,
+        price REAL,
+        tx_hash TEXT,
+        gas_spent TEXT,
+        reason TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS blacklist (
+        chain_id TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        reason TEXT,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (chain_id, token_address)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_positions_status ON positions (status, instance);
+      CREATE INDEX IF NOT EXISTS idx_trades_position ON trades (position_id);
+      CREATE INDEX IF NOT EXISTS idx_audits_token ON audits (token_address);
+    `);
+
+    // Columns added after the first release
+    this.addColumn('positions', 'dry_run', 'INTEGER NOT NULL DEFAULT 0');
+    this.addColumn('positions', 'highest_price', 'REAL');
+    this.addColumn('positions', 'tiers_hit', 'INTEGER NOT NULL DEFAULT 0');
+    this.addColumn('audits', 'failed_rules', 'TEXT');
+    this.addColumn('pairs', 'dex', 'TEXT');
+    this.addColumn('pairs', 'factory', 'TEXT');
+    this.addColumn('positions', 'entry_price_usd', 'REAL');
+    this.addColumn('positions', 'exit_price_usd', 'REAL');
+    // What is left after partial sells, amount and amount_in stay what the buy got and paid
+    this.addColumn('positions', 'amount_held', 'TEXT');
+    this.addColumn('positions', 'cost_held', 'TEXT');
+  }
+
+  /**
+   * Adds a column to an existing table if it isn't there yet
+   * @param {string} table
+   * @param {string} column
+   * @param {string} definition - SQL type and constraints
+   */
+  addColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(({ name }) => name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  /**
+   * Records a pair/pool that was picked up by one of the listeners
+   * @param {Object} token - token object coming from a listener
+   * @returns {number} row id
+   */
+  recordPair(token) {
+    const result = this.open()
+      .prepare(
+        `INSERT INTO pairs (chain_id, version, dex, factory, new_token, base_token, pair_address, fee,
+           detected_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        String(token.chainId),
+        token.v3 ? 'V3' : 'V2',
+        token.dex ?? null,
+        token.factoryAddress ?? null,
+        token.newTokenAddress,
+        token.baseTokenAddress ?? null,
+        token.pairAddress,
+        token.fee ?? null,
+        new Date().toISOString()
+      );
+
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Records the verdict of a single audit check
+   * @param {Object} token - token object that was audited
+   * @param {string} checkName - name of the check e.g. tokenSecurity
+   * @param {Object} check - { success, results, failedRules } returned by the audit provider
+   */
+  recordAudit(token, checkName, check) {
+    this.open()
+      .prepare(
+        `INSERT INTO audits (chain_id, token_address, check_name, passed, results, failed_rules,
+           created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`
+      )
+      .run(
+        String(token.chainId),
+        token.newTokenAddress,
+        checkName,
+        check.success ? 1 : 0,
+        check.results ? JSON.stringify(check.results) : null,
+        check.failedRules?.length ? JSON.stringify(check.failedRules) : null,
+        new Date().toISOString()
+      );
+  }
+
+  /**
+   * Opens a position and records the buy that created it
+   * @param {Object} buy
+   * @returns {number} the position id
+   */
+  recordBuy({
+    instance,
+    token,
+    amountIn,
+    amount,
+    entryPrice,
+    entryPriceUsd = null,
+    targetPrice,
+    stopLoss,
+    txHash,
+    gasSpent,
+    dryRun = false,
+  }) {
+    const db = this.open();
+    const now = new Date().toISOString();
+
+    const insert = db.transaction(() => {
+      const position = db
+        .prepare(
+          `INSERT INTO positions (instance, chain_id, version, token_address, base_token, pair_address,
+             fee, dry_run, amount_in, amount, amount_held, cost_held, entry_price, entry_price_usd,
+             target_price, stop_loss, opened_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .run(
+          instance,
+          String(token.chainId),
+          token.v3 ? 'V3' : 'V2',
+          token.newTokenAddress,
+          token.baseTokenAddress ?? null,
+          token.pairAddress ?? token.poolAddress ?? null,
+          token.fee ?? null,
+          dryRun ? 1 : 0,
+          toText(amountIn),
+          toText(amount),
+          toText(amount),
+          toText(amountIn),
+          entryPrice,
+          entryPriceUsd,
+          targetPrice,
+          stopLoss,
+          now
+        );
+
+      const positionId = Number(position.lastInsertRowid);
+
+      db.prepare(
+        `INSERT INTO trades (position_id, side, token_address, amount_in, amount_out, price, tx_hash,
+           gas_spent, created_at)
+         VALUES (?, 'BUY', ?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        positionId,
+        token.newTokenAddress,
+        toText(amountIn),
+        toText(amount),
+        entryPrice,
+        txHash,
+        toText(gasSpent),
+        now
+      );
+
+      return positionId;
+    });
+
+    return insert();
+  }
+
+  /**
+   * Records a sell and closes the position it belongs to, a partial sell lowers the amount held and
+   * its cost by the share of the tokens sold
+   * @param {Object} sell
+   */
+  recordSell({
+    positionId,
+    tokenAddress,
+    amountIn,
+    amountOut,
+    exitPrice,
+    exitPriceUsd = null,
+    txHash,
+    gasSpent,
+    reason,
+    closePosition = true,
+  }) {
+    const db = this.open();
+    const now = new Date().toISOString();
+
+    const insert = db.transaction(() => {
+      db.prepare(
+        `INSERT INTO trades (position_id, side, token_address, amount_in, amount_out, price, tx_hash,
+           gas_spent, reason, created_at)
+         VALUES (?, 'SELL', ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(
+        positionId ?? null,
+        tokenAddress,
+        toText(amountIn),
+        toText(amountOut),
+        exitPrice ?? null,
+        txHash,
+        toText(gasSpent),
+        reason ?? null,
+        now
+      );
+
+      if (positionId && closePosition) {
+        db.prepare(
+          `UPDATE positions SET status = 'CLOSED', exit_price = ?, exit_price_usd = ?, exit_reason = ?,
+             closed_at = ?
+           WHERE id = ?`
+        ).run(exitPrice ?? null, exitPriceUsd, reason ?? null, now, positionId);
+      } else if (positionId) {
+        const position = db
+          .prepare(`SELECT amount, amount_in, amount_held, cost_held FROM positions WHERE id = ?`)
+          .get(positionId);
+        if (!position) return;
+
+        const held = BigInt(position.amount_held ?? position.amount ?? 0);
+        const cost = BigInt(position.cost_held ?? position.amount_in ?? 0);
+        const sold = BigInt(amountIn ?? 0);
+        const left = sold < held ? held - sold : 0n;
+
+        db.prepare(`UPDATE positions SET amount_held = ?, cost_held = ? WHERE id = ?`).run(
+          toText(left),
+          toText(held > 0n ? (cost * left) / held : 0n),
+          positionId
+        );
+      }
+    });
+
+    insert();
+  }
+
+  /**
+   * Saves the state of a position's exit strategy so trailing stops and take-profit tiers survive
+   * a restart
+   * @param {number} positionId
+   * @param {Object} state - highestPrice, tiersHit
+   */
+  updateExitState(positionId, { highestPrice, tiersHit }) {
+    this.open()
+      .prepare(`UPDATE positions SET highest_price = ?, tiers_hit = ? WHERE id = ?`)
+      .run(highestPrice, tiersHit, positionId);
+  }
+
+  /**
+   * Saves a manually moved target price and stop loss so they're used again after a restart
+   * @param {number} positionId
+   * @param {Object} targets - targetPrice, stopLoss
+   */
+  updateTargets(positionId, { targetPrice, stopLoss }) {
+    this.open()
+      .prepare(`UPDATE positions SET target_price = ?, stop_loss = ? WHERE id = ?`)
+      .run(targetPrice ?? null, stopLoss ?? null, positionId);
+  }
+
+  /**
+   * Closes a position without a sell, e.g. when the tokens are no longer in the wallet
+   * @param {number} positionId
+   * @param {string} reason
+   */
+  closePosition(positionId, reason) {
+    this.open()
+      .prepare(
+        `UPDATE positions SET status = 'CLOSED', exit_reason = ?, closed_at = ? WHERE id = ?`
+      )
+      .run(reason, new Date().toISOString(), positionId);
+  }
+
+  /**
+   * Gets the open positions, optionally only the ones owned by a trading instance
+   * @param {string} [instance]
+   * @param {boolean} [dryRun] - only paper positions when true, only live positions when false
+   * @returns {Array<Object>}
+   */
+  getOpenPositions(instance, dryRun) {
+    const db = this.open();
+
+    if (instance) {
+      return db
+        .prepare(
+          `SELECT * FROM positions WHERE status = 'OPEN' AND instance = ? AND dry_run = ? ORDER BY id`
+        )
+        .all(instance, dryRun ? 1 : 0);
+    }
+
+    return db.prepare(`SELECT * FROM positions WHERE status = 'OPEN' ORDER BY id`).all();
+  }
+
+  /**
+   * Gets the most recent positions
+   * @param {number} limit
+   */
+  getPositions(limit = 100) {
+    return this.open().prepare(`SELECT * FROM positions ORDER BY id DESC LIMIT ?`).all(limit);
+  }
+
+  /**
+   * Gets the most recent trades
+   * @param {number} limit
+   */
+  getTrades(limit = 100) {
+    return this.open().prepare(`SELECT * FROM trades ORDER BY id DESC LIMIT ?`).all(limit);
+  }
+
+  /**
+   * Gets every position with its trades, oldest first, for the P&L of the portfolio
+   * @returns {Array<Object>} position rows with a trades array
+   */
+  getPortfolioPositions() {
+    const db = this.open();
+    const positions = db.prepare(`SELECT * FROM positions ORDER BY id`).all();
+    const trades = db
+      .prepare(`SELECT * FROM trades WHERE position_id IS NOT NULL ORDER BY id`)
+      .all();
+
+    const tradesByPosition = new Map();
+    for (const trade of trades) {
+      if (!tradesByPosition.has(trade.position_id)) tradesByPosition.set(trade.position_id, []);
+      tradesByPosition.get(trade.position_id).push(trade);
+    }
+
+    return positions.map(position => ({
+      ...position,
+      trades: tradesByPosition.get(position.id) ?? [],
+    }));
+  }
+
+  /**
+   * Gets the most recent audits
+   * @param {number} limit
+   */
+  getAudits(limit = 100) {
+    return this.open()
+      .prepare(`SELECT * FROM audits ORDER BY id DESC LIMIT ?`)
+      .all(limit)
+      .map(audit => ({
+        ...audit,
+        results: audit.results ? JSON.parse(audit.results) : null,
+        failed_rules: audit.failed_rules ? JSON.parse(audit.failed_rules) : [],
+      }));
+  }
+
+  /**
+   * Gets the most recently detected pairs
+   * @param {number} limit
+   */
+  getPairs(limit = 100) {
+    return this.open().prepare(`SELECT * FROM pairs ORDER BY id DESC LIMIT ?`).all(limit);
+  }
+
+  /**
+   * Adds a token to the blacklist, new pairs of it are never audited or bought
+   * @param {string} chainId
+   * @param {string} tokenAddress
+   * @param {string} [reason]
+   */
+  addToBlacklist(chainId, tokenAddress, reason = null) {
+    this.open()
+      .prepare(
+        `INSERT OR REPLACE INTO blacklist (chain_id, token_address, reason, created_at)
+         VALUES (?, ?, ?, ?)`
+      )
+      .run(String(chainId), tokenAddress.toLowerCase(), reason, new Date().toISOString());
+  }
+
+  /**
+   * Removes a token from the blacklist
+   * @param {string} chainId
+   * @param {string} tokenAddress
+   * @returns {boolean} true if the token was blacklisted
+   */
+  removeFromBlacklist(chainId, tokenAddress) {
+    const result = this.open()
+      .prepare(`DELETE FROM blacklist WHERE chain_id = ? AND token_address = ?`)
+      .run(String(chainId), tokenAddress.toLowerCase());
+    return result.changes > 0;
+  }
+
+  /**
+   * Checks if a token is blacklisted
+   * @param {string} chainId
+   * @param {string} tokenAddress
+   * @returns {boolean}
+   */
+  isBlacklisted(chainId, tokenAddress) {
+    return Boolean(
+      this.open()
+        .prepare(`SELECT 1 FROM blacklist WHERE chain_id = ? AND token_address = ?`)
+        .get(String(chainId), tokenAddress.toLowerCase())
+    );
+  }
+
+  /**
+   * Gets every blacklisted token
+   */
+  getBlacklist() {
+    return this.open().prepare(`SELECT * FROM blacklist ORDER BY created_at DESC`).all();
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    if (!this.db) return;
+    this.db.close();
+    this.db = null;
+  }
+}
+
+/**
+ * Stores bigints and numbers as text, keeps null for missing values
+ */
+const toText = value => (value === undefined || value === null ? null : value.toString());
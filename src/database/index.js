@@ -0,0 +1,11 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { TradeJournal } from './TradeJournal.js';
+
+dotenv.config();
+
+// Default location of the journal, can be overridden with DB_PATH
+const DEFAULT_DB_PATH = fileURLToPath(new URL('../../data/sniper.db', import.meta.url));
+
+// Create a shared journal instance for the server and all trading instances
+export const journal = new TradeJournal(process.env.DB_PATH || DEFAULT_DB_PATH);
@@ -0,0 +1,454 @@
+import { ethers } from 'ethers';
+import { STOP_REASONS } from '../trading/ExitStrategy.js';
+
+// Actions a swap is sent for, each with its own aggressiveness
+export const GAS_ACTIONS = ['buy', 'take_profit', 'stop_loss', 'sell'];
+
+// Values used for anything data/gas.json doesn't set
+export const DEFAULT_GAS = {
+  fee_history_blocks: 10,
+  max_gas_spend_eth: null,
+  min_priority_fee_gwei: 0.001,
+  stuck_after_seconds: 30,
+  speed_up_multiplier: 1.25,
+  max_speed_ups: 2,
+  cancel_stuck: true,
+  actions: {
+    buy: { priority_percentile: 90, base_fee_multiplier: 2 },
+    take_profit: { priority_percentile: 50, base_fee_multiplier: 1.5 },
+    stop_loss: { priority_percentile: 90, base_fee_multiplier: 2 },
+    sell: { priority_percentile: 50, base_fee_multiplier: 1.5 },
+  },
+};
+
+// Nodes only accept a replacement paying at least 10% more
+const MIN_REPLACEMENT_BUMP = 1.1;
+
+// Estimates are raised by this much in case state changes before the swap is mined
+const GAS_LIMIT_BUFFER_PERCENT = 120n;
+
+const CANCEL_GAS_LIMIT = 21000n;
+const RECEIPT_POLL_MS = 3000;
+
+/**
+ * Sets the fees of a chain's swaps and gets them mined.
+ *
+ * EIP-1559 fees come from eth_feeHistory: the priority fee is the median of the action's reward
+ * percentile over the last fee_history_blocks blocks and the max fee adds the next base fee times
+ * the action's base_fee_multiplier, so stop losses can outbid take profits. Chains without a base
+ * fee get the node's gas price. A swap whose worst case gas cost is over max_gas_spend_eth has its
+ * max fee lowered to fit, or isn't sent when that can't cover the next base fee.
+ *
+ * Transactions not mined within stuck_after_seconds are sent again with the same nonce and higher
+ * fees up to max_speed_ups times, then replaced with a 0 ETH transfer to ourselves to cancel them.
+ */
+export class GasManager {
+  /**
+   * Constructor
+   * @param {string} chainId
+   * @param {Object} settings - the chain's resolved settings, see DEFAULT_GAS
+   * @param {Object} provider - the chain's provider
+   */
+  constructor(chainId, settings, provider) {
+    this.chainId = String(chainId);
+    this.settings = settings;
+    this.provider = provider;
+
+    this.maxGasSpend =
+      settings.max_gas_spend_eth === null
+        ? null
+        : ethers.parseEther(settings.max_gas_spend_eth.toFixed(18));
+    this.minPriorityFee = ethers.parseUnits(settings.min_priority_fee_gwei.toFixed(9), 'gwei');
+    this.stuckAfterMs = settings.stuck_after_seconds * 1000;
+  }
+
+  /**
+   * Sets the gas limit and fees of a transaction. A gas limit already set is kept, and so are fees
+   * already set so preparing twice changes nothing
+   * @param {Object} wallet - signer of the trading wallet, the estimate is sent from it
+   * @param {Object} tx - unsigned transaction
+   * @param {string} action - buy, take_profit, stop_loss or sell
+   * @returns {Promise<Object>} the transaction with gasLimit and maxFeePerGas/maxPriorityFeePerGas or
+   * gasPrice, throws when the gas would cost more than max_gas_spend_eth
+   */
+  async prepare(wallet, tx, action) {
+    const gasLimit =
+      tx.gasLimit == null ? await this.estimateGas(wallet.address, tx) : BigInt(tx.gasLimit);
+    if (tx.maxFeePerGas != null || tx.gasPrice != null) return { ...tx, gasLimit };
+
+    const { fees, baseFee } = await this.getFees(action);
+    return { ...tx, gasLimit, ...this.capFees(fees, baseFee, gasLimit, action) };
+  }
+
+  /**
+   * Estimates the gas of a transaction with a 20% buffer
+   * @param {string} from
+   * @param {Object} tx
+   * @returns {Promise<bigint>}
+   */
+  async estimateGas(from, tx) {
+    const estimate = await this.provider.core.send('eth_estimateGas', [
+      {
+        from,
+        to: tx.to,
+        data: tx.data ?? '0x',
+        value: ethers.toQuantity(tx.value ?? 0n),
+      },
+    ]);
+
+    return (BigInt(estimate) * GAS_LIMIT_BUFFER_PERCENT) / 100n;
+  }
+
+  /**
+   * Gets the fees of an action from the recent blocks
+   * @param {string} action
+   * @returns {Promise<Object>} { fees, baseFee } baseFee is the next block's, null without EIP-1559
+   */
+  async getFees(action) {
+    const { priority_percentile, base_fee_multiplier } = this.getAction(action);
+
+    const history = await this.provider.core.send('eth_feeHistory', [
+      ethers.toQuantity(this.settings.fee_history_blocks),
+      'latest',
+      [priority_percentile],
+    ]);
+
+    // The last base fee is the one of the next block
+    const baseFee = BigInt(history?.baseFeePerGas?.at(-1) ?? 0);
+    if (baseFee === 0n) {
+      const gasPrice = BigInt((await this.provider.core.getGasPrice()).toString());
+      return { fees: { gasPrice: multiply(gasPrice, base_fee_multiplier) }, baseFee: null };
+    }
+
+    const rewards = (history.reward ?? []).map(([reward]) => BigInt(reward)).sort(compare);
+    const median = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n;
+    const maxPriorityFeePerGas = median > this.minPriorityFee ? median : this.minPriorityFee;
+
+    return {
+      fees: {
+        maxFeePerGas: multiply(baseFee, base_fee_multiplier) + maxPriorityFeePerGas,
+        maxPriorityFeePerGas,
+      },
+      baseFee,
+    };
+  }
+
+  /**
+   * Lowers the max fee so the worst case gas cost fits max_gas_spend_eth
+   * @param {Object} fees - { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+   * @param {bigint|null} baseFee - next block's base fee
+   * @param {bigint} gasLimit
+   * @param {string} action - for the error message
+   * @returns {Object} fees, throws when they can't fit
+   */
+  capFees(fees, baseFee, gasLimit, action) {
+    if (this.maxGasSpend === null) return fees;
+
+    const maxPrice = this.maxGasSpend / gasLimit;
+    if ((fees.maxFeePerGas ?? fees.gasPrice) <= maxPrice) return fees;
+
+    // Legacy gas prices are paid in full, a lower one may never be mined
+    const minimum = baseFee === null ? fees.gasPrice : baseFee + fees.maxPriorityFeePerGas;
+    if (maxPrice < minimum) {
+      throw new Error(
+        `Gas for the ${action} would cost over ${ethers.formatEther(this.maxGasSpend)} ETH ` +
+          `(${ethers.formatEther(minimum * gasLimit)} ETH at the current fees)`
+      );
+    }
+
+    return baseFee === null ? { gasPrice: maxPrice } : { ...fees, maxFeePerGas: maxPrice };
+  }
+
+  /**
+   * Worst case gas cost of a prepared transaction
+   * @param {Object} tx - transaction from prepare
+   * @returns {bigint}
+   */
+  getMaxCost(tx) {
+    return BigInt(tx.gasLimit) * BigInt(tx.maxFeePerGas ?? tx.gasPrice);
+  }
+
+  /**
+   * Sends a prepared transaction and waits for it, speeding it up or cancelling it when it gets stuck
+   * @param {Object} wallet - signer of the trading wallet
+   * @param {Object} tx - transaction from prepare
+   * @param {string} action - fees of a speed up are at least the action's current ones
+   * @returns {Promise<Object>} { hash, receipt } of the transaction that got mined, throws when it
+   * was cancelled or is still pending after every replacement
+   */
+  async sendTransaction(wallet, tx, action) {
+    const nonce =
+      tx.nonce ??
+      Number(await this.provider.core.send('eth_getTransactionCount', [wallet.address, 'pending']));
+
+    let current = { ...tx, nonce };
+    const sent = [(await wallet.sendTransaction(current)).hash];
+    let cancelHash = null;
+    let speedUps = 0;
+
+    for (let round = 0; round <= this.settings.max_speed_ups + 1; round++) {
+      const mined = await this.waitForAny(sent, this.stuckAfterMs);
+      if (mined) {
+        if (mined.hash === cancelHash) {
+          throw new Error(`Stuck transaction ${sent[0]} was cancelled`);
+        }
+        return mined;
+      }
+      if (cancelHash) break;
+
+      const speedUp =
+        speedUps < this.settings.max_speed_ups ? await this.getSpeedUp(current, action) : null;
+      if (!speedUp && !this.settings.cancel_stuck) break;
+
+      const replacement = speedUp ?? {
+        to: wallet.address,
+        value: 0n,
+        data: '0x',
+        gasLimit: CANCEL_GAS_LIMIT,
+        nonce,
+        ...bumpFees(current, this.settings.speed_up_multiplier),
+      };
+
+      try {
+        const { hash } = await wallet.sendTransaction(replacement);
+        sent.push(hash);
+        current = replacement;
+        if (speedUp) speedUps++;
+        else cancelHash = hash;
+
+        console.warn(
+          `⛽ ${sent[0]} not mined after ${this.settings.stuck_after_seconds}s, ` +
+            `${speedUp ? 'sped up' : 'cancelled'} with ${hash}`
+        );
+      } catch (error) {
+        // Nonce too low means one of them just got mined, the next wait finds it
+        if (!/nonce too low|already known/i.test(error.message)) {
+          console.error(`Failed to replace stuck transaction ${sent[0]}:`, error.message);
+        }
+      }
+    }
+
+    const mined = await this.waitForAny(sent, this.stuckAfterMs);
+    if (mined && mined.hash !== cancelHash) return mined;
+
+    throw new Error(
+      mined ? `Stuck transaction ${sent[0]} was cancelled` : `Transaction ${sent[0]} is stuck`
+    );
+  }
+
+  /**
+   * Builds the next speed up of a stuck transaction: its fees bumped by speed_up_multiplier or the
+   * action's current fees, whichever is higher
+   * @param {Object} tx - the transaction being replaced
+   * @param {string} action
+   * @returns {Promise<Object|null>} null when it would go over max_gas_spend_eth
+   */
+  async getSpeedUp(tx, action) {
+    const bumped = bumpFees(tx, this.settings.speed_up_multiplier);
+    const { fees } = await this.getFees(action);
+    for (const [key, value] of Object.entries(fees)) {
+      if (value > (bumped[key] ?? 0n)) bumped[key] = value;
+    }
+
+    const speedUp = { ...tx, ...bumped };
+    if (this.maxGasSpend !== null && this.getMaxCost(speedUp) > this.maxGasSpend) return null;
+
+    return speedUp;
+  }
+
+  /**
+   * Polls the receipts of a transaction and its replacements
+   * @param {Array<string>} hashes
+   * @param {number} timeoutMs
+   * @returns {Promise<Object|null>} { hash, receipt } of the mined one, null if none was mined in time
+   */
+  async waitForAny(hashes, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+
+      for (const hash of hashes) {
+        try {
+          const receipt = await this.provider.core.getTransactionReceipt(hash);
+          if (receipt?.blockNumber) return { hash, receipt };
+        } catch (error) {
+          console.log(`Receipt of ${hash} not ready yet...`);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Gets the settings of an action
+   * @param {string} action
+   * @returns {Object} { priority_percentile, base_fee_multiplier }
+   */
+  getAction(action) {
+    const settings = this.settings.actions[action];
+    if (!settings) throw new Error(`Unknown gas action ${action}`);
+    return settings;
+  }
+}
+
+/**
+ * Gets the gas action of a sell from its exit reason
+ * @param {string} reason - e.g. STOP_LOSS, TAKE_PROFIT or MANUAL
+ * @returns {string} stop_loss, take_profit or sell
+ */
+export const getSellAction = reason => {
+  if (STOP_REASONS.includes(reason)) return 'stop_loss';
+  if (reason === 'TAKE_PROFIT' || reason === 'TARGET_HIT') return 'take_profit';
+  return 'sell';
+};
+
+/**
+ * Resolves the settings of a chain, the chain's entry over the root ones and its actions merged one
+ * by one
+ * @param {Object} config - parsed gas.json
+ * @param {string} chainId
+ * @returns {Object}
+ */
+export const resolveGasSettings = (config, chainId) => {
+  const { chains, actions: rootActions, ...root } = config;
+  const { actions: chainActions, ...chain } = chains?.[String(chainId)] ?? {};
+
+  return {
+    ...DEFAULT_GAS,
+    ...root,
+    ...chain,
+    actions: Object.fromEntries(
+      GAS_ACTIONS.map(action => [
+        action,
+        { ...DEFAULT_GAS.actions[action], ...rootActions?.[action], ...chainActions?.[action] },
+      ])
+    ),
+  };
+};
+
+// Validators for every setting, each returns an error message or null
+const SETTING_VALIDATORS = {
+  fee_history_blocks: value =>
+    Number.isInteger(value) && value > 0 && value <= 1024
+      ? null
+      : 'must be a whole number between 1 and 1024',
+  max_gas_spend_eth: value =>
+    value === null || (isNumber(value) && value > 0) ? null : 'must be null or a number above 0',
+  min_priority_fee_gwei: value => (isNumber(value) && value >= 0 ? null : 'must be 0 or more'),
+  stuck_after_seconds: value => (isNumber(value) && value > 0 ? null : 'must be a number above 0'),
+  speed_up_multiplier: value =>
+    isNumber(value) && value >= MIN_REPLACEMENT_BUMP
+      ? null
+      : `must be ${MIN_REPLACEMENT_BUMP} or more, nodes reject smaller bumps`,
+  max_speed_ups: value =>
+    Number.isInteger(value) && value >= 0 ? null : 'must be a whole number, 0 or more',
+  cancel_stuck: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+};
+
+const ACTION_VALIDATORS = {
+  priority_percentile: value =>
+    isNumber(value) && value >= 0 && value <= 100 ? null : 'must be a number between 0 and 100',
+  base_fee_multiplier: value => (isNumber(value) && value >= 1 ? null : 'must be 1 or more'),
+};
+
+/**
+ * Checks gas.json and throws listing every problem found
+ * @param {Object} config - { ...settings, actions, chains: { [chainId]: { ...settings, actions } } }
+ */
+export const validateGasConfig = config => {
+  const errors = [];
+
+  if (!isObject(config)) {
+    errors.push('config must be an object');
+  } else {
+    validateLayer(config, 'gas', errors, true);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid gas config:\n  ${errors.join('\n  ')}`);
+  }
+};
+
+/**
+ * Validates the settings of the root or a chain, pushing messages onto errors
+ */
+const validateLayer = (layer, path, errors, root = false) => {
+  for (const [key, value] of Object.entries(layer)) {
+    const keyPath = `${path}.${key}`;
+
+    if (key in SETTING_VALIDATORS) {
+      const error = SETTING_VALIDATORS[key](value);
+      if (error) errors.push(`${keyPath} ${error}`);
+    } else if (key === 'actions') {
+      validateActions(value, keyPath, errors);
+    } else if (key === 'chains' && root) {
+      if (!isObject(value)) {
+        errors.push(`${keyPath} must be an object keyed by chain id`);
+        continue;
+      }
+      for (const [chainId, chain] of Object.entries(value)) {
+        if (isObject(chain)) validateLayer(chain, `${keyPath}.${chainId}`, errors);
+        else errors.push(`${keyPath}.${chainId} must be an object`);
+      }
+    } else {
+      errors.push(`${keyPath} is not a known setting`);
+    }
+  }
+};
+
+/**
+ * Validates an actions map, pushing messages onto errors
+ */
+const validateActions = (actions, path, errors) => {
+  if (!isObject(actions)) {
+    errors.push(`${path} must be an object keyed by action`);
+    return;
+  }
+
+  for (const [action, settings] of Object.entries(actions)) {
+    if (!GAS_ACTIONS.includes(action)) {
+      errors.push(`${path}.${action} is not an action, use ${GAS_ACTIONS.join(', ')}`);
+      continue;
+    }
+    if (!isObject(settings)) {
+      errors.push(`${path}.${action} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(settings)) {
+      const error =
+        key in ACTION_VALIDATORS ? ACTION_VALIDATORS[key](value) : 'is not a known setting';
+      if (error) errors.push(`${path}.${action}.${key} ${error}`);
+    }
+  }
+};
+
+/**
+ * Raises every fee of a transaction by a multiplier, at least by the 10% nodes need to replace it
+ * @param {Object} tx
+ * @param {number} multiplier
+ * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+ */
+const bumpFees = (tx, multiplier) => {
+  const keys = tx.maxFeePerGas == null ? ['gasPrice'] : ['maxFeePerGas', 'maxPriorityFeePerGas'];
+  return Object.fromEntries(
+    keys.map(key => {
+      const fee = BigInt(tx[key]);
+      const minimum = multiply(fee, MIN_REPLACEMENT_BUMP) + 1n;
+      const bumped = multiply(fee, multiplier);
+      return [key, bumped > minimum ? bumped : minimum];
+    })
+  );
+};
+
+/**
+ * Multiplies a wei amount by a float
+ */
+const multiply = (value, multiplier) => (value * BigInt(Math.round(multiplier * 1000))) / 1000n;
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import { GasManager, resolveGasSettings, validateGasConfig } from './GasManager.js';
+import { getProvider } from '../providers/index.js';
+
+// Load config once at module level, a bad config stops the bot before it trades
+const GAS_CONFIG = JSON.parse(
+  fs.readFileSync(new URL('../../data/gas.json', import.meta.url), 'utf8')
+);
+validateGasConfig(GAS_CONFIG);
+
+// One gas manager per chain, shared by the trading instances of the chain
+const gasManagers = new Map();
+
+/**
+ * Gets the gas manager of a chain
+ * @param {string} chainId
+ * @returns {GasManager}
+ */
+export const getGasManager = chainId => {
+  const key = String(chainId);
+
+  if (!gasManagers.has(key)) {
+    gasManagers.set(
+      key,
+      new GasManager(key, resolveGasSettings(GAS_CONFIG, key), getProvider(key))
+    );
+  }
+
+  return gasManagers.get(key);
+};
@@ -1,10 +1,28 @@
 import fs from 'fs';
+import crypto from 'crypto';
+import { parseArgs } from 'util';
 import dotenv from 'dotenv';
 import WebSocket from 'ws';
 import { V2TokenPairListener } from './listeners/V2TokenPairListener.js';
 import { V3TokenPairListener } from './listeners/V3TokenPairListener.js';
+import { MempoolListener } from './listeners/MempoolListener.js';
+import { LogRecorder } from './listeners/LogRecorder.js';
+import { backfillListeners, replayLogFile } from './listeners/history.js';
 import { WebSocketController } from './server.js';
-import { createTradingInstances, stopAllInstanceListeners } from './trading/index.js';
+import { HttpApi } from './control/HttpApi.js';
+import {
+  createTradingInstances,
+  getTradingInstance,
+  stopAllInstanceListeners,
+} from './trading/index.js';
+import { StrategyConfig } from './trading/StrategyConfig.js';
+import { createAuditManager } from './audit/createAuditManager.js';
+import { loadAuditRules } from './audit/AuditRules.js';
+import { journal } from './database/index.js';
+import { tokenRegistry } from './utils/newTokenChecker.js';
+import { destroyProviders, isLocalChain } from './providers/index.js';
+import { usdOracle } from './pricing/index.js';
+import { Notifier } from './notifications/Notifier.js';
 
 dotenv.config();
 
@@ -13,32 +31,175 @@ const UNISWAP_CONFIG = JSON.parse(
   fs.readFileSync(new URL('../data/uniswap.json', import.meta.url), 'utf8')
 );
 
-const activateListeners = server => {
-  for (const { chain_id: chainId, v2, v3 } of UNISWAP_CONFIG) {
+// Strategy parameters are validated here so a bad config stops the bot before it trades
+const STRATEGY_CONFIG = new StrategyConfig(
+  JSON.parse(fs.readFileSync(new URL('../data/strategy.json', import.meta.url), 'utf8'))
+);
+
+// Audit provider settings and the rules they check, the manager needs the trading instances
+const AUDIT_CONFIG = JSON.parse(
+  fs.readFileSync(new URL('../data/audit.json', import.meta.url), 'utf8')
+);
+const AUDIT_RULES = loadAuditRules();
+
+// Notification sinks, their tokens come from .env
+const NOTIFIER = new Notifier(
+  JSON.parse(fs.readFileSync(new URL('../data/notifications.json', import.meta.url), 'utf8'))
+);
+
+/**
+ * Reads the command line flags, the bot listens live unless --from-block or --replay is given
+ *
+ *   --from-block <n> [--to-block <n>]  run the listeners over past blocks, to the latest by default
+ *   --replay <file.jsonl>              replay logs recorded with --record
+ *   --record <file.jsonl>              append every factory log the listeners get to a file
+ *   --chain <id>                       only listen on one chain
+ */
+const parseRunArgs = argv => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      'from-block': { type: 'string' },
+      'to-block': { type: 'string' },
+      replay: { type: 'string' },
+      record: { type: 'string' },
+      chain: { type: 'string' },
+    },
+  });
+
+  const errors = [];
+  const toBlockNumber = (name, value) => {
+    if (value === undefined) return null;
+    if (!/^\d+$/.test(value)) errors.push(`--${name} must be a block number`);
+    return Number(value);
+  };
+
+  const fromBlock = toBlockNumber('from-block', values['from-block']);
+  const toBlock = toBlockNumber('to-block', values['to-block']);
+
+  if (toBlock !== null && fromBlock === null) {
+    errors.push('--to-block needs --from-block');
+  }
+  if (fromBlock !== null && toBlock !== null && toBlock < fromBlock) {
+    errors.push('--to-block must not be before --from-block');
+  }
+  if (values.replay && fromBlock !== null) {
+    errors.push("--replay can't be combined with --from-block");
+  }
+  if (values.replay && !fs.existsSync(values.replay)) {
+    errors.push(`--replay file ${values.replay} does not exist`);
+  }
+  if (values.chain && !UNISWAP_CONFIG.some(({ chain_id }) => String(chain_id) === values.chain)) {
+    errors.push(`--chain ${values.chain} is not in uniswap.json`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid arguments:\n  ${errors.join('\n  ')}`);
+  }
+
+  return {
+    fromBlock,
+    toBlock,
+    replay: values.replay ?? null,
+    record: values.record ?? null,
+    chain: values.chain ?? null,
+  };
+};
+
+const ARGS = parseRunArgs(process.argv.slice(2));
+
+// Logs are recorded in every mode, a recorded backfill can be replayed later
+const RECORDER = ARGS.record ? new LogRecorder(ARGS.record) : null;
+
+// Token of the control API, without CONTROL_TOKEN only our own listener client can connect
+const CONTROL_TOKEN = process.env.CONTROL_TOKEN || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Logs how each chain trades the past pairs of a backfill or replay. Buying them on a public chain
+ * would spend real funds on old launches, so only chains whose rpc is a local node keep their
+ * dry_run setting and the rest are forced into dry-run
+ */
+const logOfflineTrading = () => {
+  const chainIds = new Set(UNISWAP_CONFIG.map(({ chain_id }) => String(chain_id)));
+
+  for (const chainId of chainIds) {
+    if (isLocalChain(chainId)) {
+      console.log(`🧪 Chain ${chainId} runs on a local node, its dry_run settings apply`);
+    } else {
+      console.log(`🧪 Chain ${chainId} isn't a local node, its instances are forced into dry-run`);
+    }
+  }
+};
+
+/**
+ * Creates the pair listeners of every dex, and the mempool listeners of the dexes with mempool set
+ * when listening live
+ * @param {WebSocket} server - client the listeners send new pairs to
+ * @param {boolean} live - subscribe to new pairs, off when backfilling or replaying
+ * @param {Object} tradingInstances - trading instances the mempool listeners quote with
+ * @returns {Array<V2TokenPairListener|V3TokenPairListener|MempoolListener>}
+ */
+const activateListeners = (server, live = true, tradingInstances = {}) => {
+  const listeners = [];
+  const options = { live, recorder: RECORDER };
+
+  for (const { chain_id: chainId, dex, mempool, v2, v3 } of UNISWAP_CONFIG) {
+    if (ARGS.chain && String(chainId) !== ARGS.chain) continue;
+
     if (v2?.factory) {
-      new V2TokenPairListener(v2.factory, chainId, server);
+      listeners.push(new V2TokenPairListener(v2.factory, chainId, server, dex, options));
     }
 
     if (v3?.factory) {
-      new V3TokenPairListener(v3.factory, chainId, server);
+      listeners.push(new V3TokenPairListener(v3.factory, chainId, server, dex, options));
+    }
+
+    // Pending launches are bought in a bundle right behind their liquidity add
+    if (live && mempool) {
+      const findInstance = (version, isV3) =>
+        version?.factory
+          ? getTradingInstance(tradingInstances, {
+              chainId,
+              v3: isV3,
+              factoryAddress: version.factory,
+            })
+          : null;
+
+      listeners.push(
+        new MempoolListener(chainId, server, dex, {
+          v2: findInstance(v2, false),
+          v3: findInstance(v3, true),
+          positionManager: v3?.position_manager ?? null,
+        })
+      );
     }
   }
+
+  return listeners;
 };
 
+// Started by main and stopped on shutdown
+let tradingInstances = null;
+let server = null;
+let httpApi = null;
+let wsClient = null;
+
 /**
  * Starts the program by activating listeners on all Uniswap v3 and v2 protocols
  */
 const main = async () => {
-  let tradingInstances = null;
-  let server = null;
-  let wsClient = null;
-
   try {
     console.log('🚀 Starting EVM Sniper Bot...');
 
+    // Past pairs are only traded for real against a local node
+    const live = !ARGS.replay && ARGS.fromBlock === null;
+    if (!live) logOfflineTrading();
+
     // Step 1: Create and initialize all trading instances
     console.log('📊 Creating trading instances...');
-    tradingInstances = await createTradingInstances(UNISWAP_CONFIG);
+    tradingInstances = await createTradingInstances(UNISWAP_CONFIG, STRATEGY_CONFIG, {
+      offline: !live,
+    });
 
     console.log('✅ All trading instances created successfully:');
     Object.keys(tradingInstances).forEach(name => {
@@ -47,12 +208,34 @@ const main = async () => {
 
     // Step 2: Initialize the websocket server
     console.log('🔌 Starting WebSocket server...');
-    server = new WebSocketController(process.env.PORT, tradingInstances);
+    const auditManager = createAuditManager(AUDIT_CONFIG, AUDIT_RULES, tradingInstances);
+    server = new WebSocketController(process.env.PORT, tradingInstances, auditManager, {
+      authToken: CONTROL_TOKEN,
+      getEthUsdPrice: chainId => usdOracle.getEthUsdPrice(chainId),
+    });
     await server.startServer();
 
+    // Notify on the pipeline's events and the trades of every instance
+    NOTIFIER.watch(server);
+    Object.values(tradingInstances).forEach(instance => NOTIFIER.watch(instance));
+    if (NOTIFIER.getSinkTypes().length > 0) {
+      console.log(`🔔 Sending notifications to ${NOTIFIER.getSinkTypes().join(', ')}`);
+    }
+
+    // The REST API and dashboard are optional
+    if (process.env.HTTP_PORT) {
+      httpApi = new HttpApi(server, {
+        port: Number(process.env.HTTP_PORT),
+        host: process.env.HTTP_HOST || undefined,
+      });
+      await httpApi.start();
+    }
+
     // Step 3: Create the client connection
     console.log('🔗 Connecting WebSocket client...');
-    wsClient = new WebSocket(`ws://localhost:${process.env.PORT}`);
+    wsClient = new WebSocket(`ws://localhost:${process.env.PORT}`, {
+      headers: { Authorization: `Bearer ${CONTROL_TOKEN}` },
+    });
 
     // Wait for connection to open
     await new Promise((resolve, reject) => {
@@ -63,9 +246,24 @@ const main = async () => {
       setTimeout(() => reject(new Error('Connection timeout')), 10000);
     });
 
-    // Step 4: Activate new pairs/pools listeners for each blockchain
-    console.log('👂 Activating blockchain listeners...');
-    activateListeners(wsClient);
+    // Step 4: Activate new pairs/pools listeners for each blockchain, or run them over past logs
+    console.log(
+      live ? '👂 Activating blockchain listeners...' : '📼 Creating offline listeners...'
+    );
+    const listeners = activateListeners(wsClient, live, tradingInstances);
+
+    if (ARGS.replay) {
+      await replayLogFile(listeners, ARGS.replay);
+    } else if (ARGS.fromBlock !== null) {
+      await backfillListeners(listeners, ARGS.fromBlock, ARGS.toBlock, RECORDER);
+    }
+
+    if (!live) {
+      console.log('🏁 All past logs sent, open positions are still watched. Ctrl+C to exit.');
+    }
+
+    // Pick up known token changes without a restart
+    tokenRegistry.watch();
 
     console.log('🎉 Welcome to the EVM Sniper Bot! All systems operational.');
 
@@ -88,6 +286,10 @@ const main = async () => {
       wsClient.close();
     }
 
+    if (httpApi) {
+      await httpApi.stop();
+    }
+
     if (server) {
       await server.stopServer();
     }
@@ -102,15 +304,33 @@ process.on('SIGINT', async () => {
 
   try {
     // Stop all trading instance listeners first
-    if (global.tradingInstances) {
-      await stopAllInstanceListeners(global.tradingInstances);
+    if (tradingInstances) {
+      await stopAllInstanceListeners(tradingInstances);
+    }
+
+    // Then the listeners' client, the REST API and the server
+    wsClient?.close();
+
+    if (httpApi) {
+      await httpApi.stop();
     }
 
-    // Then stop the server
-    if (global.server) {
-      await global.server.stopServer();
+    if (server) {
+      await server.stopServer();
     }
 
+    // Stop watching the known tokens
+    tokenRegistry.close();
+
+    // Close the chain providers
+    await destroyProviders();
+
+    // Flush the recorded logs
+    await RECORDER?.close();
+
+    // Flush and close the trade journal
+    journal.close();
+
     console.log('✅ Graceful shutdown complete');
     process.exit(0);
   } catch (error) {
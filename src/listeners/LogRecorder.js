@@ -0,0 +1,46 @@
+import fs from 'fs';
+
+/**
+ * Appends the factory logs the listeners get to a JSONL file, one log per line with the chain and
+ * factory it came from, so a day of launches can be replayed with --replay
+ */
+export class LogRecorder {
+  /**
+   * Constructor
+   * @param {string} file - JSONL file, appended to if it exists
+   */
+  constructor(file) {
+    this.file = file;
+    this.stream = fs.createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', error => console.error(`Failed to record logs to ${file}:`, error));
+  }
+
+  /**
+   * Records a log
+   * @param {V2TokenPairListener|V3TokenPairListener} listener - listener that got the log
+   * @param {Object} log - raw log from the provider
+   */
+  record(listener, log) {
+    const entry = {
+      chainId: String(listener.chainId),
+      factoryAddress: listener.factoryAddress,
+      log: {
+        address: log.address,
+        topics: log.topics,
+        data: log.data,
+        blockNumber: Number(log.blockNumber),
+        transactionHash: log.transactionHash,
+        logIndex: Number(log.logIndex ?? log.index),
+      },
+    };
+
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Flushes and closes the file
+   */
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
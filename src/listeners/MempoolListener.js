@@ -0,0 +1,200 @@
+import { ethers } from 'ethers';
+import { getProvider, getSubscriptions } from '../providers/index.js';
+import { findNewToken } from '../utils/newTokenChecker.js';
+import { decodeV2LiquidityAdd, decodeV3LiquidityAdd } from './decodeLiquidityAdd.js';
+
+// Pending hashes remembered so a transaction seen twice is only sent once
+const SEEN_TRANSACTIONS_LIMIT = 10000;
+
+/**
+ * This class watches the mempool for the first liquidity of new pairs: addLiquidity/addLiquidityETH
+ * on the V2 router and createAndInitializePoolIfNecessary + mint on the V3 position manager.
+ *
+ * The pending transaction is sent to the server as a pair.detected with its decoded amounts and the
+ * signed transaction under liquidityAdd, so the buy can be bundled right behind it. Only pairs
+ * against WETH that don't exist yet are sent, the rest are left to the pair listeners.
+ */
+export class MempoolListener {
+  /**
+   * Constructor
+   * @param {string} chainId - target blockchain id
+   * @param {WebSocket} server - the websocket server that takes the newly created tokens and processes them
+   * @param {string} dex - id of the dex in uniswap.json, sent with every pair so it's traded on the same dex
+   * @param {Object} targets
+   * @param {UniswapV2} [targets.v2] - trading instance whose router is watched
+   * @param {UniswapV3} [targets.v3] - trading instance of the pools the position manager creates
+   * @param {string} [targets.positionManager] - NonfungiblePositionManager address
+   */
+  constructor(
+    chainId,
+    server,
+    dex = 'uniswap',
+    { v2 = null, v3 = null, positionManager = null } = {}
+  ) {
+    this.totalSent = 0;
+    this.chainId = String(chainId);
+    this.dex = dex;
+    this.server = server;
+    this.seen = new Set();
+
+    // Watched address -> trading instance that buys what it launches
+    this.targets = new Map();
+    if (v2) this.targets.set(v2.routerAddress.toLowerCase(), { instance: v2, v3: false });
+    if (v3 && positionManager) {
+      this.targets.set(positionManager.toLowerCase(), { instance: v3, v3: true });
+    }
+
+    // Subscriptions of the targeted blockchain, shared with the trading instances
+    this.subscriptions = getSubscriptions(chainId);
+
+    this.activateListener();
+  }
+
+  /**
+   * Starts watching the pending transactions sent to the router and position manager
+   */
+  activateListener() {
+    if (this.targets.size === 0) return;
+
+    console.log('************* | Activating mempool listener | *************');
+    for (const { instance } of this.targets.values()) {
+      if (!instance.dryRun && !instance.relay) {
+        console.warn(`⚠️ ${instance.name} has no relay in relay.json, its back-runs will fail`);
+      }
+    }
+
+    this.subscriptions
+      .watchPending(Array.from(this.targets.keys()), tx => {
+        this.processTransaction(tx).catch(err => {
+          console.log('Error processing pending transaction', err);
+        });
+      })
+      .catch(error => {
+        console.error(
+          `There was an error activating the ${this.chainId} mempool listener.\n` + error
+        );
+      });
+  }
+
+  /**
+   * Decodes a pending transaction and sends it to the server when it launches a new WETH pair
+   * @param {Object} tx - pending transaction as eth_getTransactionByHash returns it
+   */
+  async processTransaction(tx) {
+    if (!tx?.hash || !tx.to || this.seen.has(tx.hash)) return;
+
+    this.seen.add(tx.hash);
+    if (this.seen.size > SEEN_TRANSACTIONS_LIMIT) {
+      this.seen.delete(this.seen.values().next().value);
+    }
+
+    const target = this.targets.get(tx.to.toLowerCase());
+    if (!target) return;
+
+    const { instance, v3 } = target;
+    const decoded = v3
+      ? decodeV3LiquidityAdd(tx.input)
+      : decodeV2LiquidityAdd(tx.input, BigInt(tx.value), instance.wethAddress);
+    if (!decoded) return;
+
+    // Find out which token is new
+    const [tokenA, tokenB] = decoded.tokens;
+    const { newToken, baseToken } = findNewToken(this.chainId, tokenA, tokenB);
+    if (!newToken) return;
+
+    // Our buy can only be quoted from the liquidity add when it goes straight into the pair
+    if (!instance.isWeth(baseToken)) return;
+
+    // Liquidity added to a pair that already exists isn't a launch
+    const pairAddress = v3
+      ? await instance.getPoolAddress(tokenA, tokenB, decoded.fee)
+      : await instance.getPairAddress(tokenA, tokenB);
+    if (!pairAddress) {
+      console.log(`Skipping pending ${tx.hash}, the dex has no init code hash to compute its pair`);
+      return;
+    }
+    const code = await getProvider(this.chainId).core.send('eth_getCode', [pairAddress, 'latest']);
+    if (code !== '0x') return;
+
+    const signedTx = toSignedTransaction(tx);
+    if (!signedTx) {
+      console.log(`Skipping pending ${tx.hash}, it can't be rebuilt for a bundle`);
+      return;
+    }
+
+    const baseIsA = tokenA.toLowerCase() === baseToken.toLowerCase();
+    const [baseAmount, tokenAmount] = baseIsA ? decoded.amounts : [...decoded.amounts].reverse();
+
+    // Same shape as the pair listeners plus the liquidity add, numbers as strings for JSON
+    const data = {
+      chainId: this.chainId,
+      newTokenAddress: newToken,
+      baseTokenAddress: baseToken,
+      pairAddress,
+      newTokenIs0: newToken.toLowerCase() < baseToken.toLowerCase(),
+      v3,
+      ...(v3 && { fee: String(decoded.fee) }),
+      dex: this.dex,
+      factoryAddress: instance.factoryAddress,
+      blockNumber: null,
+      liquidityAdd: {
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to,
+        data: tx.input,
+        value: BigInt(tx.value).toString(),
+        signedTx,
+        baseAmount: baseAmount.toString(),
+        tokenAmount: tokenAmount.toString(),
+        ...(v3 && { sqrtPriceX96: decoded.sqrtPriceX96.toString() }),
+      },
+    };
+
+    console.log(`👀 Pending ${v3 ? 'V3' : 'V2'} liquidity add for ${newToken} in ${tx.hash}`);
+
+    // Send it to the websocket server
+    this.server.send(JSON.stringify({ type: 'pair.detected', payload: data }));
+
+    // Increment the total sent
+    this.totalSent++;
+  }
+}
+
+/**
+ * Rebuilds the signed raw transaction of a pending transaction so it can go in a bundle
+ * @param {Object} tx - transaction as eth_getTransactionByHash returns it
+ * @returns {string|null} serialized transaction, null for blob and set code transactions or when
+ * the rebuilt hash doesn't match
+ */
+const toSignedTransaction = tx => {
+  const type = Number(tx.type ?? 0);
+  if (type > 2) return null;
+
+  try {
+    const signed = ethers.Transaction.from({
+      type,
+      chainId: tx.chainId == null ? undefined : BigInt(tx.chainId),
+      nonce: Number(tx.nonce),
+      to: tx.to,
+      data: tx.input,
+      value: BigInt(tx.value),
+      gasLimit: BigInt(tx.gas),
+      ...(type === 2
+        ? {
+            maxFeePerGas: BigInt(tx.maxFeePerGas),
+            maxPriorityFeePerGas: BigInt(tx.maxPriorityFeePerGas),
+          }
+        : { gasPrice: BigInt(tx.gasPrice) }),
+      ...(type > 0 && { accessList: tx.accessList ?? [] }),
+      signature: {
+        r: tx.r,
+        s: tx.s,
+        v: tx.yParity == null ? BigInt(tx.v) : 27 + Number(tx.yParity),
+      },
+    });
+
+    return signed.hash === tx.hash ? signed.serialized : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -1,7 +1,7 @@
 import { createRequire } from 'module';
 import { ethers } from 'ethers';
-import { Alchemy } from 'alchemy-sdk';
-import { getAlchemySettings } from '../utils/getAlchemySettings.js';
+import { getProvider, getSubscriptions } from '../providers/index.js';
+import { getLogsInChunks } from '../providers/getLogsInChunks.js';
 import { findNewToken } from '../utils/newTokenChecker.js';
 
 // Allows us to use require
@@ -20,22 +20,44 @@ const FACTORY_V3_INTERFACE = new ethers.Interface(UniswapV3FactoryABI);
  */
 export class V3TokenPairListener {
   /**
-   * Constructor creates the Alchemy provider based on the given chainId
+   * Constructor gets the subscriptions of the given chainId
    * @param {string} factoryAddress - target factory address
    * @param {string} chainId - target blockchain id
    * @param {WebSocket} server - the websocket server that takes the newly created tokens and processes them
+   * @param {string} dex - id of the dex in uniswap.json, sent with every pair so it's traded on the same dex
+   * @param {Object} options
+   * @param {boolean} options.live - subscribe to new pools, off when only backfilling or replaying
+   * @param {LogRecorder} options.recorder - records every log we get so it can be replayed later
    */
-  constructor(factoryAddress, chainId, server) {
+  constructor(
+    factoryAddress,
+    chainId,
+    server,
+    dex = 'uniswap',
+    { live = true, recorder = null } = {}
+  ) {
     this.totalSent = 0;
     this.chainId = chainId;
     this.factoryAddress = factoryAddress;
+    this.dex = dex;
     this.server = server;
+    this.recorder = recorder;
 
-    // Create a provider for the targeted blockchain
-    this.provider = new Alchemy(getAlchemySettings(String(chainId)));
+    // Subscriptions of the targeted blockchain, shared with the trading instances
+    this.subscriptions = getSubscriptions(chainId);
 
-    // Start the PairCreated event listener
-    this.activateListener();
+    // Start the PoolCreated event listener
+    if (live) this.activateListener();
+  }
+
+  /**
+   * Gets the filter for the PoolCreated events of the factory
+   */
+  getFilter() {
+    return {
+      address: this.factoryAddress,
+      topics: [FACTORY_V3_INTERFACE.getEvent('PoolCreated').topicHash],
+    };
   }
 
   /**
@@ -45,21 +67,37 @@ export class V3TokenPairListener {
     console.log('************* | Activating V3 listener | *************');
     try {
       // Filter for PoolCreated events indicating a new pool
-      const filter = {
-        address: this.factoryAddress,
-        topics: [FACTORY_V3_INTERFACE.getEvent('PoolCreated').topicHash],
-      };
-
-      // Start the listener
-      this.provider.ws.on(filter, log => {
-        // When triggered send the log for processing
-        this.processEventLog(log);
-      });
+      const filter = this.getFilter();
+
+      // Start the listener, the subscription manager reconnects and backfills missed pairs
+      this.subscriptions
+        .subscribe(filter, log => {
+          this.recorder?.record(this, log);
+
+          // When triggered send the log for processing
+          this.processEventLog(log).catch(err => {
+            console.log('Error processing event log', err);
+          });
+        })
+        .catch(error => {
+          console.error(`There was an error activating the ${this.chainId} V3 listener.\n` + error);
+        });
     } catch (error) {
       console.error(`There was an error activating the ${this.chainId} V3 listener.\n` + error);
     }
   }
 
+  /**
+   * Gets the PoolCreated events of a past block range, hand them to processEventLog to run them through
+   * the pipeline as if they came in live
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @returns {Promise<Array<Object>>} logs in block order
+   */
+  getPastLogs(fromBlock, toBlock) {
+    return getLogsInChunks(getProvider(this.chainId), this.getFilter(), fromBlock, toBlock);
+  }
+
   /**
    * Decoded v3 log data
    * @param {*} log encoded event data
@@ -77,12 +115,12 @@ export class V3TokenPairListener {
     let data;
 
     // Find out which token is new
-    const { newToken, baseToken, newTokenIs0 } = findNewToken(token0, token1);
+    const { newToken, baseToken, newTokenIs0 } = findNewToken(this.chainId, token0, token1);
 
     // console.log("NewToken ", newToken);
     // console.log("BaseToken ", baseToken);
 
-    // If both tokens are known, return
+    // If the new token could not be identified, return
     if (!newToken && !baseToken) {
       // console.log('************* | Unable to identify which token is new! | *************');
       return;
@@ -97,10 +135,13 @@ export class V3TokenPairListener {
       newTokenIs0,
       v3: true,
       fee: fee.toString(),
+      dex: this.dex,
+      factoryAddress: this.factoryAddress,
+      blockNumber: log.blockNumber == null ? null : Number(log.blockNumber),
     };
 
     // Send it to the server
-    this.server.send(JSON.stringify(data));
+    this.server.send(JSON.stringify({ type: 'pair.detected', payload: data }));
 
     // Increment the total sent
     this.totalSent++;
@@ -0,0 +1,94 @@
+import { createRequire } from 'module';
+import { ethers } from 'ethers';
+
+// Allows us to use require
+const require = createRequire(import.meta.url);
+
+const {
+  abi: UNISWAP_V2_ROUTER_ABI,
+} = require('@uniswap/v2-periphery/build/IUniswapV2Router02.json');
+
+// NonfungiblePositionManager, only the calls a launch goes through
+const POSITION_MANAGER_ABI = [
+  'function createAndInitializePoolIfNecessary(address token0, address token1, uint24 fee, uint160 sqrtPriceX96) payable returns (address pool)',
+  'function mint((address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline) params) payable returns (uint256 tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)',
+  'function multicall(bytes[] data) payable returns (bytes[] results)',
+];
+
+const V2_ROUTER_INTERFACE = new ethers.Interface(UNISWAP_V2_ROUTER_ABI);
+const POSITION_MANAGER_INTERFACE = new ethers.Interface(POSITION_MANAGER_ABI);
+
+/**
+ * Decodes a pending addLiquidity / addLiquidityETH call to a V2 router. A new pair is created with
+ * exactly the desired amounts, so they are its first reserves
+ * @param {string} data - calldata
+ * @param {bigint} value - ETH sent with the call
+ * @param {string} wethAddress - WETH of the router, the other side of addLiquidityETH
+ * @returns {Object|null} { v3, tokens, amounts } or null for any other call
+ */
+export const decodeV2LiquidityAdd = (data, value, wethAddress) => {
+  const call = parseCall(V2_ROUTER_INTERFACE, data);
+
+  if (call?.name === 'addLiquidityETH') {
+    const { token, amountTokenDesired } = call.args;
+    return { v3: false, tokens: [token, wethAddress], amounts: [amountTokenDesired, value] };
+  }
+
+  if (call?.name === 'addLiquidity') {
+    const { tokenA, tokenB, amountADesired, amountBDesired } = call.args;
+    return { v3: false, tokens: [tokenA, tokenB], amounts: [amountADesired, amountBDesired] };
+  }
+
+  return null;
+};
+
+/**
+ * Decodes a pending V3 launch: createAndInitializePoolIfNecessary and mint on the same pool, usually
+ * in one multicall. A mint alone goes to a pool that already has a price, it is left to the
+ * PoolCreated listener
+ * @param {string} data - calldata
+ * @returns {Object|null} { v3, tokens, amounts, fee, sqrtPriceX96 } tokens sorted as token0, token1
+ * and amounts the desired ones of the mint, null for any other call
+ */
+export const decodeV3LiquidityAdd = data => {
+  const call = parseCall(POSITION_MANAGER_INTERFACE, data);
+  if (!call) return null;
+
+  const calls =
+    call.name === 'multicall'
+      ? call.args.data.map(inner => parseCall(POSITION_MANAGER_INTERFACE, inner)).filter(Boolean)
+      : [call];
+
+  const create = calls.find(({ name }) => name === 'createAndInitializePoolIfNecessary');
+  if (!create) return null;
+
+  const { token0, token1, fee, sqrtPriceX96 } = create.args;
+  const mint = calls.find(
+    ({ name, args }) =>
+      name === 'mint' &&
+      args.params.token0 === token0 &&
+      args.params.token1 === token1 &&
+      args.params.fee === fee
+  );
+  if (!mint) return null;
+
+  return {
+    v3: true,
+    tokens: [token0, token1],
+    amounts: [mint.args.params.amount0Desired, mint.args.params.amount1Desired],
+    fee: Number(fee),
+    sqrtPriceX96,
+  };
+};
+
+/**
+ * Parses calldata with an interface
+ * @returns {ethers.TransactionDescription|null} null when the selector isn't in the interface
+ */
+const parseCall = (contractInterface, data) => {
+  try {
+    return contractInterface.parseTransaction({ data });
+  } catch {
+    return null;
+  }
+};
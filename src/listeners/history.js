@@ -0,0 +1,121 @@
+import fs from 'fs';
+import readline from 'readline';
+import { getProvider } from '../providers/index.js';
+
+/**
+ * Runs the pair listeners over a past block range. The logs of every factory on a chain are merged
+ * in block order and go through the same pipeline as live events
+ * @param {Array<V2TokenPairListener|V3TokenPairListener>} listeners
+ * @param {number} fromBlock
+ * @param {number|null} toBlock - latest block of each chain when null
+ * @param {LogRecorder} [recorder] - records the logs so the run can be replayed
+ * @returns {number} number of logs processed
+ */
+export const backfillListeners = async (listeners, fromBlock, toBlock = null, recorder = null) => {
+  let processed = 0;
+
+  for (const [chainId, chainListeners] of groupByChain(listeners)) {
+    const lastBlock = toBlock ?? (await getProvider(chainId).core.getBlockNumber());
+    console.log(`⏪ Backfilling chain ${chainId} from block ${fromBlock} to ${lastBlock}...`);
+
+    const entries = [];
+    for (const listener of chainListeners) {
+      const logs = await listener.getPastLogs(fromBlock, lastBlock);
+      entries.push(...logs.map(log => ({ listener, log })));
+    }
+
+    entries.sort(
+      (a, b) =>
+        Number(a.log.blockNumber) - Number(b.log.blockNumber) ||
+        Number(a.log.logIndex ?? a.log.index) - Number(b.log.logIndex ?? b.log.index)
+    );
+
+    for (const { listener, log } of entries) {
+      recorder?.record(listener, log);
+      await processLog(listener, log);
+    }
+
+    console.log(`✅ Backfilled ${entries.length} logs on chain ${chainId}`);
+    processed += entries.length;
+  }
+
+  return processed;
+};
+
+/**
+ * Replays a file written by LogRecorder in the order it was recorded
+ * @param {Array<V2TokenPairListener|V3TokenPairListener>} listeners
+ * @param {string} file - JSONL file
+ * @returns {number} number of logs processed
+ */
+export const replayLogFile = async (listeners, file) => {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+  let processed = 0;
+  let skipped = 0;
+  let lineNumber = 0;
+
+  console.log(`⏯️  Replaying ${file}...`);
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      console.error(`Skipping line ${lineNumber} of ${file}: not valid JSON`);
+      skipped++;
+      continue;
+    }
+
+    // Logs go to the listener of the factory that emitted them
+    const listener = listeners.find(
+      ({ chainId, factoryAddress }) =>
+        String(chainId) === String(entry.chainId) &&
+        factoryAddress.toLowerCase() === entry.factoryAddress?.toLowerCase()
+    );
+
+    if (!listener) {
+      console.error(
+        `Skipping line ${lineNumber} of ${file}: no listener for factory ${entry.factoryAddress}`
+      );
+      skipped++;
+      continue;
+    }
+
+    await processLog(listener, entry.log);
+    processed++;
+  }
+
+  console.log(`✅ Replayed ${processed} logs${skipped ? `, skipped ${skipped}` : ''}`);
+  return processed;
+};
+
+/**
+ * Processes a log without letting a bad one stop the run
+ */
+const processLog = async (listener, log) => {
+  try {
+    await listener.processEventLog(log);
+  } catch (error) {
+    console.error(
+      `Error processing log ${log.transactionHash}:${log.logIndex ?? log.index}`,
+      error
+    );
+  }
+};
+
+/**
+ * Groups listeners by chain id
+ * @returns {Map<string, Array>}
+ */
+const groupByChain = listeners => {
+  const chains = new Map();
+  for (const listener of listeners) {
+    const chainId = String(listener.chainId);
+    chains.set(chainId, [...(chains.get(chainId) ?? []), listener]);
+  }
+  return chains;
+};
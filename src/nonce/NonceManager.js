@@ -0,0 +1,141 @@
+// Nonces are read from the chain again after this long, catches transactions sent from outside the bot
+const RESYNC_AFTER_MS = 60_000;
+
+// A transaction the node still doesn't count after this long was dropped, e.g. by a private relay
+const DROPPED_AFTER_MS = 10 * 60_000;
+
+/**
+ * Hands out the nonces of a chain's wallets so trading instances can send at the same time.
+ *
+ * Nonces come from a local counter, one caller at a time per wallet, instead of each transaction
+ * asking the node. Transactions are tracked until the chain's nonce passes them, which covers swaps
+ * sitting in a private relay the node can't see, or until the node still doesn't know them after
+ * DROPPED_AFTER_MS.
+ *
+ * A failed send puts the wallet out of sync. The next nonce is then read from the chain again, and
+ * nonces no tracked transaction holds are handed out first so later transactions aren't stuck
+ * behind a gap.
+ */
+export class NonceManager {
+  /**
+   * Constructor
+   * @param {string} chainId
+   * @param {Object} provider - the chain's provider
+   */
+  constructor(chainId, provider) {
+    this.chainId = String(chainId);
+    this.provider = provider;
+
+    // Wallet address -> { next, free, pending, syncedAt, queue }
+    this.wallets = new Map();
+  }
+
+  /**
+   * Sends a transaction with the wallet's next nonce
+   * @param {string} address - wallet sending the transaction
+   * @param {Function} send - gets the nonce, sends the transaction and resolves with it (or an
+   * object with its hash)
+   * @returns {Promise<*>} what send resolved with, rethrows its error after marking the wallet for a
+   * resync
+   */
+  async send(address, send) {
+    const wallet = this.getWallet(address);
+    const nonce = await this.acquire(address);
+
+    try {
+      const result = await send(nonce);
+      wallet.pending.set(nonce, { hash: result?.hash ?? null, sentAt: Date.now() });
+      return result;
+    } catch (error) {
+      // Whether the nonce got used is up to the chain now
+      wallet.pending.delete(nonce);
+      wallet.next = null;
+      console.warn(
+        `🔢 Nonce ${nonce} on chain ${this.chainId} failed, resyncing: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Reserves the next nonce of a wallet, callers are served one at a time
+   * @param {string} address
+   * @returns {Promise<number>}
+   */
+  async acquire(address) {
+    const wallet = this.getWallet(address);
+
+    const acquired = wallet.queue.then(async () => {
+      if (wallet.next === null || Date.now() - wallet.syncedAt > RESYNC_AFTER_MS) {
+        await this.sync(address);
+      }
+
+      const nonce = wallet.free.length > 0 ? wallet.free.shift() : wallet.next++;
+      wallet.pending.set(nonce, { hash: null, sentAt: null });
+      return nonce;
+    });
+
+    // A failed sync mustn't block the callers behind it
+    wallet.queue = acquired.catch(() => {});
+    return acquired;
+  }
+
+  /**
+   * Reads a wallet's nonces from the chain, drops the tracked transactions that were mined or
+   * dropped and collects the nonces between the chain's and ours that nothing holds
+   * @param {string} address
+   */
+  async sync(address) {
+    const wallet = this.getWallet(address);
+    const [mined, pending] = await Promise.all(
+      ['latest', 'pending'].map(async block =>
+        Number(await this.provider.core.send('eth_getTransactionCount', [address, block]))
+      )
+    );
+
+    for (const [nonce, { sentAt }] of wallet.pending) {
+      const dropped = nonce >= pending && sentAt !== null && Date.now() - sentAt > DROPPED_AFTER_MS;
+      if (nonce < mined || dropped) wallet.pending.delete(nonce);
+    }
+
+    const highest = Math.max(pending - 1, ...wallet.pending.keys());
+    wallet.next = highest + 1;
+    wallet.free = [];
+    for (let nonce = pending; nonce < wallet.next; nonce++) {
+      if (!wallet.pending.has(nonce)) wallet.free.push(nonce);
+    }
+    wallet.syncedAt = Date.now();
+  }
+
+  /**
+   * Gets the transactions of a wallet that were sent but not seen mined yet
+   * @param {string} address
+   * @returns {Array<Object>} { nonce, hash } hash is null while it is being sent
+   */
+  getPending(address) {
+    return Array.from(this.getWallet(address).pending, ([nonce, { hash }]) => ({
+      nonce,
+      hash,
+    })).sort((a, b) => a.nonce - b.nonce);
+  }
+
+  /**
+   * Gets the state of a wallet, created unsynced on first use
+   * @param {string} address
+   */
+  getWallet(address) {
+    const key = address.toLowerCase();
+
+    if (!this.wallets.has(key)) {
+      this.wallets.set(key, {
+        next: null,
+        free: [],
+        pending: new Map(),
+        syncedAt: 0,
+        queue: Promise.resolve(),
+      });
+    }
+
+    return this.wallets.get(key);
+  }
+}
@@ -0,0 +1,20 @@
+import { NonceManager } from './NonceManager.js';
+import { getProvider } from '../providers/index.js';
+
+// One nonce manager per chain, shared by the trading instances of the chain as they use one wallet
+const nonceManagers = new Map();
+
+/**
+ * Gets the nonce manager of a chain
+ * @param {string} chainId
+ * @returns {NonceManager}
+ */
+export const getNonceManager = chainId => {
+  const key = String(chainId);
+
+  if (!nonceManagers.has(key)) {
+    nonceManagers.set(key, new NonceManager(key, getProvider(key)));
+  }
+
+  return nonceManagers.get(key);
+};
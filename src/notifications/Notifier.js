@@ -0,0 +1,227 @@
+import { NOTIFICATIONS } from './messages.js';
+import { SINK_TYPES } from './sinks.js';
+
+const DEFAULT_MAX_PER_MINUTE = 20;
+const WINDOW_MS = 60000;
+
+const SINK_KEYS = ['type', 'enabled', 'events', 'max_per_minute'];
+
+/**
+ * Sends trade and audit notifications to the sinks in data/notifications.json:
+ *
+ *   { "sinks": [{ "type": "telegram", "bot_token": "${TELEGRAM_BOT_TOKEN}", "chat_id": "..",
+ *                 "events": ["buy.filled", "sell.filled"], "max_per_minute": 20 }] }
+ *
+ * Sinks are a generic webhook, the Telegram bot API or a Discord webhook. Each one gets the
+ * notifications listed in its events ("*" for all of them, see NOTIFICATIONS) and at most
+ * max_per_minute, the rest are dropped and counted in the next one sent. ${NAME} in a setting is
+ * replaced with the environment variable so tokens stay in .env.
+ */
+export class Notifier {
+  /**
+   * Constructor validates the config and throws listing every problem found
+   * @param {Object} config - parsed notifications.json
+   * @param {Object} env - environment variables settings are expanded from
+   */
+  constructor(config = {}, env = process.env) {
+    const errors = validateConfig(config, env);
+    if (errors.length > 0) {
+      throw new Error(`Invalid notifications config:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.sinks = (config.sinks ?? [])
+      .filter(sink => sink.enabled !== false)
+      .map(({ type, events = ['*'], max_per_minute, ...settings }) => ({
+        sink: new SINK_TYPES[type].Sink(expandSettings(settings, env)),
+        events: new Set(events),
+        maxPerMinute: max_per_minute ?? DEFAULT_MAX_PER_MINUTE,
+        sentAt: [],
+        dropped: 0,
+      }));
+  }
+
+  /**
+   * Sends notifications for the events of an emitter, the controller or a trading instance
+   * @param {EventEmitter} emitter
+   * @returns {Notifier}
+   */
+  watch(emitter) {
+    if (this.sinks.length === 0) return this;
+
+    const sources = new Set(Object.values(NOTIFICATIONS).map(({ source }) => source));
+    for (const source of sources) {
+      emitter.on(source, data => {
+        this.notify(source, data).catch(error => {
+          console.error(`Failed to send the ${source} notifications:`, error);
+        });
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Sends the notifications of an event to the sinks that want them
+   * @param {string} source - event name, e.g. audit.verdict
+   * @param {Object} data - event data
+   * @returns {Promise<void>} resolves once every sink answered, sink errors are only logged
+   */
+  async notify(source, data) {
+    const deliveries = [];
+
+    for (const [event, { source: eventSource, when, format }] of Object.entries(NOTIFICATIONS)) {
+      if (eventSource !== source) continue;
+
+      let text;
+      try {
+        if (when && !when(data)) continue;
+        text = format(data);
+      } catch (error) {
+        console.error(`Failed to format the ${event} notification:`, error);
+        continue;
+      }
+
+      for (const entry of this.sinks) {
+        if (entry.events.has('*') || entry.events.has(event)) {
+          deliveries.push(this.deliver(entry, { event, text, data }));
+        }
+      }
+    }
+
+    await Promise.all(deliveries);
+  }
+
+  /**
+   * Sends a notification to one sink unless it is over its rate limit
+   * @param {Object} entry - sink with its filter and rate limit state
+   * @param {Object} notification - { event, text, data }
+   */
+  async deliver(entry, notification) {
+    const now = Date.now();
+    entry.sentAt = entry.sentAt.filter(time => now - time < WINDOW_MS);
+
+    if (entry.sentAt.length >= entry.maxPerMinute) {
+      if (entry.dropped === 0) {
+        console.warn(`⚠️ ${entry.sink.type} notifications rate limited, dropping until it clears`);
+      }
+      entry.dropped++;
+      return;
+    }
+
+    entry.sentAt.push(now);
+
+    let text = notification.text;
+    if (entry.dropped > 0) {
+      text += `\n(${entry.dropped} notifications dropped by the rate limit)`;
+      entry.dropped = 0;
+    }
+
+    try {
+      await entry.sink.send({ ...notification, text });
+    } catch (error) {
+      console.error(
+        `❌ Failed to send ${notification.event} to ${entry.sink.type}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * Types of the enabled sinks
+   * @returns {Array<string>}
+   */
+  getSinkTypes() {
+    return this.sinks.map(({ sink }) => sink.type);
+  }
+}
+
+/**
+ * Replaces ${NAME} in every string setting with the environment variable
+ * @param {Object} settings
+ * @param {Object} env
+ * @returns {Object}
+ */
+const expandSettings = (settings, env) =>
+  Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? value.replace(ENV_REFERENCE, (match, name) => env[name]) : value,
+    ])
+  );
+
+const ENV_REFERENCE = /\$\{(\w+)\}/g;
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Checks the notifications config, only enabled sinks need their environment variables set
+ * @param {Object} config
+ * @param {Object} env
+ * @returns {Array<string>} errors
+ */
+const validateConfig = (config, env) => {
+  if (!isObject(config)) return ['config must be an object'];
+
+  const errors = [];
+  for (const key of Object.keys(config)) {
+    if (key !== 'sinks') errors.push(`${key} is not a known setting`);
+  }
+
+  if (config.sinks === undefined) return errors;
+  if (!Array.isArray(config.sinks)) return [...errors, 'sinks must be an array'];
+
+  config.sinks.forEach((sink, index) => {
+    const path = `sinks[${index}]`;
+    if (!isObject(sink)) {
+      errors.push(`${path} must be an object`);
+      return;
+    }
+
+    const type = SINK_TYPES[sink.type];
+    if (!type) {
+      errors.push(`${path}.type must be one of ${Object.keys(SINK_TYPES).join(', ')}`);
+      return;
+    }
+
+    for (const key of Object.keys(sink)) {
+      if (![...SINK_KEYS, ...type.required, ...type.optional].includes(key)) {
+        errors.push(`${path}.${key} is not a known ${sink.type} setting`);
+      }
+    }
+    if (sink.enabled !== undefined && typeof sink.enabled !== 'boolean') {
+      errors.push(`${path}.enabled must be true or false`);
+    }
+    if (
+      sink.max_per_minute !== undefined &&
+      !(Number.isInteger(sink.max_per_minute) && sink.max_per_minute > 0)
+    ) {
+      errors.push(`${path}.max_per_minute must be a whole number above 0`);
+    }
+    if (sink.events !== undefined) {
+      if (!Array.isArray(sink.events) || sink.events.length === 0) {
+        errors.push(`${path}.events must be a list of notifications`);
+      } else {
+        for (const event of sink.events) {
+          if (event !== '*' && !NOTIFICATIONS[event]) {
+            errors.push(`${path}.events has unknown notification ${event}`);
+          }
+        }
+      }
+    }
+
+    for (const key of type.required) {
+      if (sink[key] === undefined || sink[key] === null || sink[key] === '') {
+        errors.push(`${path}.${key} must be set`);
+      }
+    }
+
+    if (sink.enabled === false) return;
+    for (const key of [...type.required, ...type.optional]) {
+      if (typeof sink[key] !== 'string') continue;
+      for (const [, name] of sink[key].matchAll(ENV_REFERENCE)) {
+        if (!env[name]) errors.push(`${path}.${key} uses ${name} which is not set`);
+      }
+    }
+  });
+
+  return errors;
+};
@@ -0,0 +1,101 @@
+import { ethers } from 'ethers';
+import { chainIdToString } from '../utils/chainIdToString.js';
+import { formatUsd } from '../utils/formatUsd.js';
+
+/**
+ * Notifications sinks can subscribe to. Each one is sent when its source event is emitted by the
+ * controller or a trading instance and `when` (if set) accepts the event data.
+ */
+export const NOTIFICATIONS = {
+  'pair.detected': {
+    source: 'pair.detected',
+    format: data =>
+      [
+        `🆕 New ${data.dex ?? ''} ${data.v3 ? 'V3' : 'V2'} pair on ${chainName(data)}`,
+        `Token: ${data.newTokenAddress}`,
+        `Pair: ${data.pairAddress}`,
+      ].join('\n'),
+  },
+  'audit.passed': {
+    source: 'audit.verdict',
+    when: data => data.passed,
+    format: data =>
+      [
+        `🛡️ ${data.newTokenAddress} passed the audit on ${chainName(data)}`,
+        `Score: ${data.score}`,
+        ...formatRules(data.failedRules, 'Warnings'),
+      ].join('\n'),
+  },
+  'audit.failed': {
+    source: 'audit.verdict',
+    when: data => !data.passed,
+    format: data =>
+      [
+        `🚫 ${data.newTokenAddress} failed the audit on ${chainName(data)}`,
+        ...formatRules(data.failedRules, 'Failed'),
+      ].join('\n'),
+  },
+  'buy.filled': {
+    source: 'buy.filled',
+    format: data =>
+      [
+        `💰 Bought ${data.tokenAddress} on ${data.instance}${paper(data)}`,
+        `Spent: ${formatAmount(data.amountIn, data)}`,
+        `Entry price: ${formatPrice(data.entryPrice, data.baseSymbol)} (${formatUsd(data.entryPriceUsd)})`,
+        `Tx: ${data.txHash}`,
+      ].join('\n'),
+  },
+  'sell.filled': {
+    source: 'sell.filled',
+    format: data =>
+      [
+        `✅ Sold ${data.partial ? 'part of ' : ''}${data.tokenAddress} on ${data.instance}${paper(data)}`,
+        `Reason: ${data.reason}`,
+        `Received: ${formatAmount(data.amountOut, data)}`,
+        `Exit price: ${formatPrice(data.exitPrice, data.baseSymbol)} (${formatUsd(data.exitPriceUsd)})`,
+        `P&L: ${formatPnl(data.pnl)}`,
+        `Tx: ${data.txHash}`,
+      ].join('\n'),
+  },
+  'stoploss.hit': {
+    source: 'stoploss.hit',
+    format: data =>
+      [
+        `🛑 ${data.reason === 'TRAILING_STOP' ? 'Trailing stop' : 'Stop loss'} hit for ${data.tokenAddress} on ${data.instance}${paper(data)}`,
+        `Price: ${formatPrice(data.price)}, stop: ${formatPrice(data.stopPrice)}`,
+      ].join('\n'),
+  },
+  'trade.error': {
+    source: 'trade.error',
+    format: data =>
+      [
+        `❌ ${data.action ?? 'Trade'} error for ${data.tokenAddress ?? 'unknown token'}${data.instance ? ` on ${data.instance}` : ''}`,
+        data.error ?? 'unknown error',
+      ].join('\n'),
+  },
+};
+
+const chainName = data => data.chain ?? chainIdToString(data.chainId) ?? `chain ${data.chainId}`;
+
+const paper = data => (data.dryRun ? ' (paper)' : '');
+
+const formatRules = (rules, label) =>
+  rules?.length ? [`${label}: ${rules.map(rule => `${rule.check}.${rule.id}`).join(', ')}`] : [];
+
+// Trade events say which token their amounts are in, ETH when they don't
+const formatAmount = (amount, { amountDecimals = 18, amountSymbol = 'ETH' } = {}) => {
+  try {
+    return `${ethers.formatUnits(amount, amountDecimals)} ${amountSymbol}`;
+  } catch {
+    return 'n/a';
+  }
+};
+
+// Prices are quoted in the pair's base token
+const formatPrice = (price, baseSymbol = null) =>
+  typeof price === 'number' && Number.isFinite(price)
+    ? `${price.toPrecision(4)}${baseSymbol ? ` ${baseSymbol}` : ''}`
+    : 'n/a';
+
+const formatPnl = pnl =>
+  typeof pnl === 'number' ? `${pnl >= 0 ? '+' : ''}${(pnl * 100).toFixed(1)}%` : 'n/a';
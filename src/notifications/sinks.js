@@ -0,0 +1,95 @@
+// Slow endpoints shouldn't pile up requests
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Discord rejects longer messages
+const DISCORD_MAX_LENGTH = 2000;
+
+const DEFAULT_TELEGRAM_API = 'https://api.telegram.org';
+
+/**
+ * Posts the notification as JSON: { event, text, data, timestamp }
+ */
+export class WebhookSink {
+  /**
+   * Constructor
+   * @param {Object} config
+   * @param {string} config.url
+   */
+  constructor({ url }) {
+    this.type = 'webhook';
+    this.url = url;
+  }
+
+  async send({ event, text, data }) {
+    await postJson(this.url, { event, text, data, timestamp: new Date().toISOString() });
+  }
+}
+
+/**
+ * Sends the notification text to a chat with the Telegram bot API
+ */
+export class TelegramSink {
+  /**
+   * Constructor
+   * @param {Object} config
+   * @param {string} config.bot_token - token from @BotFather
+   * @param {string} config.chat_id - chat, group or channel the bot posts to
+   * @param {string} config.api_url - bot API server, api.telegram.org by default
+   */
+  constructor({ bot_token, chat_id, api_url = DEFAULT_TELEGRAM_API }) {
+    this.type = 'telegram';
+    this.url = `${api_url.replace(/\/$/, '')}/bot${bot_token}/sendMessage`;
+    this.chatId = chat_id;
+  }
+
+  async send({ text }) {
+    await postJson(this.url, { chat_id: this.chatId, text, disable_web_page_preview: true });
+  }
+}
+
+/**
+ * Sends the notification text to a Discord channel webhook
+ */
+export class DiscordSink {
+  /**
+   * Constructor
+   * @param {Object} config
+   * @param {string} config.url - webhook URL from the channel's integrations
+   */
+  constructor({ url }) {
+    this.type = 'discord';
+    this.url = url;
+  }
+
+  async send({ text }) {
+    await postJson(this.url, { content: text.slice(0, DISCORD_MAX_LENGTH) });
+  }
+}
+
+// Sink class of each type in data/notifications.json and the settings it needs
+export const SINK_TYPES = {
+  webhook: { Sink: WebhookSink, required: ['url'], optional: [] },
+  telegram: { Sink: TelegramSink, required: ['bot_token', 'chat_id'], optional: ['api_url'] },
+  discord: { Sink: DiscordSink, required: ['url'], optional: [] },
+};
+
+/**
+ * Posts a JSON body and throws when the endpoint doesn't answer with a 2xx
+ * @param {string} url
+ * @param {Object} body - BigInt values are sent as strings
+ */
+const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body, (key, value) =>
+      typeof value === 'bigint' ? value.toString() : value
+    ),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`HTTP ${response.status} ${detail}`.trim());
+  }
+};
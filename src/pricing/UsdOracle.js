@@ -0,0 +1,384 @@
+import { createRequire } from 'module';
+import { ethers } from 'ethers';
+import { sqrtPriceX96ToPrice } from '../utils/sqrtPriceX96ToPrice.js';
+
+/**
+ * USD prices read on chain, configured in data/usd_oracle.json:
+ *
+ *   { "cache_seconds": 30, "chains": { "8453": { "eth_usd_feed": "0x..", "max_feed_age_seconds": 1500, "usd_token": "0x.." } } }
+ *
+ * ETH is priced by the chain's Chainlink ETH/USD feed. When the feed is missing, stale or fails the
+ * deepest WETH/usd_token pool of the chain's dexes is used instead. Stablecoin base tokens count as
+ * $1 and other base tokens are priced against WETH in their deepest pool. Prices are cached for
+ * cache_seconds and null when nothing could price them.
+ */
+
+// Allows us to use require
+const require = createRequire(import.meta.url);
+
+const { abi: UNISWAP_V2_FACTORY_ABI } = require('@uniswap/v2-core/build/UniswapV2Factory.json');
+const { abi: UNISWAP_V2_PAIR_ABI } = require('@uniswap/v2-core/build/UniswapV2Pair.json');
+const {
+  abi: UNISWAP_V3_FACTORY_ABI,
+} = require('@uniswap/v3-core/artifacts/contracts/UniswapV3Factory.sol/UniswapV3Factory.json');
+const {
+  abi: UNISWAP_V3_POOL_ABI,
+} = require('@uniswap/v3-core/artifacts/contracts/UniswapV3Pool.sol/UniswapV3Pool.json');
+const { abi: ERC20_ABI } = require('@uniswap/v2-core/build/ERC20.json');
+
+// Chainlink AggregatorV3Interface, only the parts we read
+const CHAINLINK_FEED_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+];
+
+const FEED_INTERFACE = new ethers.Interface(CHAINLINK_FEED_ABI);
+const V2_FACTORY_INTERFACE = new ethers.Interface(UNISWAP_V2_FACTORY_ABI);
+const V2_PAIR_INTERFACE = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
+const V3_FACTORY_INTERFACE = new ethers.Interface(UNISWAP_V3_FACTORY_ABI);
+const V3_POOL_INTERFACE = new ethers.Interface(UNISWAP_V3_POOL_ABI);
+const ERC20_INTERFACE = new ethers.Interface(ERC20_ABI);
+
+const DEFAULT_CACHE_SECONDS = 30;
+const DEFAULT_FEE_TIERS = [100, 500, 3000, 10000];
+
+// Liquidity moves slowly, the deepest pool of a pair is looked up again after this long
+const POOL_REFRESH_MS = 60 * 60 * 1000;
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const CHAIN_KEYS = ['eth_usd_feed', 'max_feed_age_seconds', 'usd_token'];
+
+export class UsdOracle {
+  /**
+   * Constructor validates the config and throws listing every problem found
+   * @param {Object} config - parsed usd_oracle.json
+   * @param {Object} options
+   * @param {Function} options.getProvider - (chainId) => provider of the chain
+   * @param {TokenRegistry} options.tokenRegistry - known tokens, finds WETH and the stablecoins
+   * @param {Array<Object>} options.dexes - entries of uniswap.json, searched for fallback pools
+   */
+  constructor(config, { getProvider, tokenRegistry, dexes = [] }) {
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid USD oracle config:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.chains = config.chains ?? {};
+    this.cacheMs = (config.cache_seconds ?? DEFAULT_CACHE_SECONDS) * 1000;
+    this.getProvider = getProvider;
+    this.tokenRegistry = tokenRegistry;
+    this.dexes = dexes;
+
+    // Prices and pending lookups keyed by chain and token, deepest pools keyed by chain and pair
+    this.prices = new Map();
+    this.pools = new Map();
+    this.feedDecimals = new Map();
+  }
+
+  /**
+   * Gets the price of ETH in USD
+   * @param {string} chainId
+   * @returns {Promise<number|null>}
+   */
+  async getEthUsdPrice(chainId) {
+    return this.cached(`${chainId}:eth`, async () => {
+      const chain = this.chains[String(chainId)];
+      if (!chain) return null;
+
+      if (chain.eth_usd_feed) {
+        try {
+          const price = await this.readFeed(chainId, chain);
+          if (price !== null) return price;
+        } catch (error) {
+          console.error(`Chainlink ETH/USD feed of chain ${chainId} failed:`, error.message);
+        }
+      }
+
+      if (!chain.usd_token) return null;
+
+      const weth = this.getWeth(chainId);
+      return weth ? this.getPoolPrice(chainId, weth, chain.usd_token) : null;
+    });
+  }
+
+  /**
+   * Gets the price of a base token in USD
+   * @param {string} chainId
+   * @param {string} tokenAddress - WETH, a stablecoin or another known token with a WETH pool
+   * @returns {Promise<number|null>}
+   */
+  async getTokenUsdPrice(chainId, tokenAddress) {
+    const known = this.tokenRegistry.getToken(chainId, tokenAddress);
+
+    if (known?.role === 'native_wrapper') return this.getEthUsdPrice(chainId);
+    if (known?.role === 'stablecoin') return 1;
+
+    return this.cached(`${chainId}:${tokenAddress.toLowerCase()}`, async () => {
+      const weth = this.getWeth(chainId);
+      if (!weth) return null;
+
+      const [priceInEth, ethUsd] = await Promise.all([
+        this.getPoolPrice(chainId, tokenAddress, weth),
+        this.getEthUsdPrice(chainId),
+      ]);
+      return priceInEth !== null && ethUsd !== null ? priceInEth * ethUsd : null;
+    });
+  }
+
+  /**
+   * Converts an amount of a base token to USD
+   * @param {string} chainId
+   * @param {string} tokenAddress - base token the amount is in
+   * @param {number} amount
+   * @returns {Promise<number|null>}
+   */
+  async toUsd(chainId, tokenAddress, amount) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+
+    const price = await this.getTokenUsdPrice(chainId, tokenAddress);
+    return price === null ? null : amount * price;
+  }
+
+  /**
+   * Caches a lookup for cacheMs, failed lookups are logged and give null
+   * @param {string} key
+   * @param {Function} lookup - async () => price
+   */
+  async cached(key, lookup) {
+    const entry = this.prices.get(key);
+    if (entry && entry.expires > Date.now()) return entry.price;
+
+    // Callers asking at the same time share one lookup
+    if (entry?.pending) return entry.pending;
+
+    const pending = lookup()
+      .catch(error => {
+        console.error(`Failed to get the USD price of ${key}:`, error.message);
+        return null;
+      })
+      .then(price => {
+        this.prices.set(key, { price, expires: Date.now() + this.cacheMs });
+        return price;
+      });
+
+    this.prices.set(key, { ...entry, expires: 0, pending });
+    return pending;
+  }
+
+  /**
+   * Reads the Chainlink feed
+   * @returns {Promise<number|null>} null if the answer is stale or not positive
+   */
+  async readFeed(chainId, chain) {
+    const feed = chain.eth_usd_feed;
+
+    if (!this.feedDecimals.has(feed)) {
+      const [decimals] = await this.call(chainId, feed, FEED_INTERFACE, 'decimals');
+      this.feedDecimals.set(feed, Number(decimals));
+    }
+
+    const { answer, updatedAt } = await this.call(chainId, feed, FEED_INTERFACE, 'latestRoundData');
+
+    const age = Date.now() / 1000 - Number(updatedAt);
+    if (answer <= 0n || (chain.max_feed_age_seconds && age > chain.max_feed_age_seconds)) {
+      console.log(`⚠️  Chainlink ETH/USD feed of chain ${chainId} is stale, using the pool price`);
+      return null;
+    }
+
+    return parseFloat(ethers.formatUnits(answer, this.feedDecimals.get(feed)));
+  }
+
+  /**
+   * Gets the price of a token in a quote token from their deepest pool
+   * @returns {Promise<number|null>}
+   */
+  async getPoolPrice(chainId, tokenAddress, quoteAddress) {
+    const pool = await this.getDeepestPool(chainId, tokenAddress, quoteAddress);
+    if (!pool) return null;
+
+    const [tokenDecimals, quoteDecimals] = await Promise.all([
+      this.getDecimals(chainId, tokenAddress),
+      this.getDecimals(chainId, quoteAddress),
+    ]);
+    const tokenIs0 = BigInt(tokenAddress) < BigInt(quoteAddress);
+
+    if (pool.version === 'V2') {
+      const [reserve0, reserve1] = await this.call(
+        chainId,
+        pool.address,
+        V2_PAIR_INTERFACE,
+        'getReserves'
+      );
+      const [tokenReserve, quoteReserve] = tokenIs0 ? [reserve0, reserve1] : [reserve1, reserve0];
+      if (tokenReserve === 0n) return null;
+
+      return (
+        parseFloat(ethers.formatUnits(quoteReserve, quoteDecimals)) /
+        parseFloat(ethers.formatUnits(tokenReserve, tokenDecimals))
+      );
+    }
+
+    const { sqrtPriceX96 } = await this.call(chainId, pool.address, V3_POOL_INTERFACE, 'slot0');
+    if (sqrtPriceX96 === 0n) return null;
+
+    // Price of token0 in token1
+    const rawPrice = tokenIs0
+      ? sqrtPriceX96ToPrice(sqrtPriceX96, tokenDecimals, quoteDecimals)
+      : sqrtPriceX96ToPrice(sqrtPriceX96, quoteDecimals, tokenDecimals);
+    return tokenIs0 ? rawPrice : 1 / rawPrice;
+  }
+
+  /**
+   * Finds the pool of a pair holding the most quote tokens across the chain's V2 and V3 factories,
+   * cached for an hour
+   * @returns {Promise<Object|null>} { version, address }
+   */
+  async getDeepestPool(chainId, tokenAddress, quoteAddress) {
+    const key = `${chainId}:${tokenAddress.toLowerCase()}:${quoteAddress.toLowerCase()}`;
+    const cached = this.pools.get(key);
+    if (cached && cached.expires > Date.now()) return cached.pool;
+
+    const candidates = [];
+    for (const dex of this.dexes.filter(entry => String(entry.chain_id) === String(chainId))) {
+      if (dex.v2?.factory) {
+        candidates.push(
+          this.call(chainId, dex.v2.factory, V2_FACTORY_INTERFACE, 'getPair', [
+            tokenAddress,
+            quoteAddress,
+          ]).then(([address]) => ({ version: 'V2', address }))
+        );
+      }
+
+      for (const fee of dex.v3?.factory ? (dex.v3.fee_tiers ?? DEFAULT_FEE_TIERS) : []) {
+        candidates.push(
+          this.call(chainId, dex.v3.factory, V3_FACTORY_INTERFACE, 'getPool', [
+            tokenAddress,
+            quoteAddress,
+            fee,
+          ]).then(([address]) => ({ version: 'V3', address }))
+        );
+      }
+    }
+
+    const results = await Promise.allSettled(candidates);
+    let failed = results.some(result => result.status === 'rejected');
+
+    const pools = results
+      .filter(
+        result => result.status === 'fulfilled' && result.value.address !== ethers.ZeroAddress
+      )
+      .map(result => result.value);
+
+    const depths = await Promise.all(
+      pools.map(pool =>
+        this.call(chainId, quoteAddress, ERC20_INTERFACE, 'balanceOf', [pool.address])
+          .then(([balance]) => balance)
+          .catch(() => {
+            failed = true;
+            return 0n;
+          })
+      )
+    );
+
+    let deepest = null;
+    pools.forEach((pool, index) => {
+      if (depths[index] > 0n && (!deepest || depths[index] > deepest.depth)) {
+        deepest = { ...pool, depth: depths[index] };
+      }
+    });
+
+    // Finding no pool because of failed calls is only cached like a price, the rpc may be back soon
+    const pool = deepest ? { version: deepest.version, address: deepest.address } : null;
+    const refreshMs = !pool && failed ? this.cacheMs : POOL_REFRESH_MS;
+    this.pools.set(key, { pool, expires: Date.now() + refreshMs });
+    return pool;
+  }
+
+  /**
+   * Gets the WETH address of a chain from the known tokens
+   * @returns {string|null}
+   */
+  getWeth(chainId) {
+    return (
+      this.tokenRegistry.getChainTokens(chainId).find(token => token.role === 'native_wrapper')
+        ?.address ?? null
+    );
+  }
+
+  /**
+   * Gets the decimals of a token, from the known tokens when it's there
+   */
+  async getDecimals(chainId, tokenAddress) {
+    const known = this.tokenRegistry.getToken(chainId, tokenAddress);
+    if (known) return known.decimals;
+
+    const [decimals] = await this.call(chainId, tokenAddress, ERC20_INTERFACE, 'decimals');
+    return Number(decimals);
+  }
+
+  /**
+   * Calls a view function through the chain's provider
+   * @returns {Promise<ethers.Result>}
+   */
+  async call(chainId, address, contractInterface, method, args = []) {
+    const result = await this.getProvider(chainId).core.send('eth_call', [
+      { to: address, data: contractInterface.encodeFunctionData(method, args) },
+      'latest',
+    ]);
+    return contractInterface.decodeFunctionResult(method, result);
+  }
+}
+
+/**
+ * Validates usd_oracle.json
+ * @returns {Array<string>} errors
+ */
+const validateConfig = config => {
+  const errors = [];
+
+  if (!isObject(config)) return ['config must be an object'];
+
+  for (const key of Object.keys(config)) {
+    if (key !== 'cache_seconds' && key !== 'chains') errors.push(`${key} is not a known setting`);
+  }
+
+  if (
+    config.cache_seconds !== undefined &&
+    !(Number.isFinite(config.cache_seconds) && config.cache_seconds >= 0)
+  ) {
+    errors.push('cache_seconds must be a number of at least 0');
+  }
+
+  if (config.chains === undefined) return errors;
+  if (!isObject(config.chains)) return [...errors, 'chains must be an object keyed by chain id'];
+
+  for (const [chainId, chain] of Object.entries(config.chains)) {
+    const path = `chains.${chainId}`;
+    if (!isObject(chain)) {
+      errors.push(`${path} must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(chain)) {
+      if (!CHAIN_KEYS.includes(key)) errors.push(`${path}.${key} is not a known setting`);
+    }
+    for (const key of ['eth_usd_feed', 'usd_token']) {
+      if (chain[key] !== undefined && chain[key] !== null && !ADDRESS.test(chain[key])) {
+        errors.push(`${path}.${key} must be an address`);
+      }
+    }
+    if (
+      chain.max_feed_age_seconds !== undefined &&
+      !(Number.isFinite(chain.max_feed_age_seconds) && chain.max_feed_age_seconds > 0)
+    ) {
+      errors.push(`${path}.max_feed_age_seconds must be a number above 0`);
+    }
+    if (!chain.eth_usd_feed && !chain.usd_token) {
+      errors.push(`${path} needs an eth_usd_feed or a usd_token`);
+    }
+  }
+
+  return errors;
+};
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
@@ -0,0 +1,15 @@
+import fs from 'fs';
+import { UsdOracle } from './UsdOracle.js';
+import { getProvider } from '../providers/index.js';
+import { tokenRegistry } from '../utils/newTokenChecker.js';
+
+// Load config once at module level
+const UNISWAP_CONFIG = JSON.parse(
+  fs.readFileSync(new URL('../../data/uniswap.json', import.meta.url), 'utf8')
+);
+
+// Create a shared oracle for the server, the trading instances and the reports
+export const usdOracle = new UsdOracle(
+  JSON.parse(fs.readFileSync(new URL('../../data/usd_oracle.json', import.meta.url), 'utf8')),
+  { getProvider, tokenRegistry, dexes: UNISWAP_CONFIG }
+);
@@ -0,0 +1,69 @@
+import { Alchemy, Wallet } from 'alchemy-sdk';
+import { getAlchemySettings } from '../utils/getAlchemySettings.js';
+
+/**
+ * Chain provider backed by Alchemy, used for chains Alchemy supports when uniswap.json doesn't set
+ * its own rpc URLs
+ */
+export class AlchemyProvider {
+  /**
+   * Constructor
+   * @param {string} chainId
+   */
+  constructor(chainId) {
+    const settings = getAlchemySettings(String(chainId));
+    if (!settings) {
+      throw new Error(
+        `Alchemy doesn't support chain ${chainId}, set rpc URLs for it in uniswap.json`
+      );
+    }
+
+    this.name = 'alchemy';
+    this.chainId = String(chainId);
+    this.settings = settings;
+    this.alchemy = new Alchemy(settings);
+    this.socket = this.alchemy;
+
+    // Alchemy already splits its API this way
+    this.core = this.alchemy.core;
+    this.ws = this.alchemy.ws;
+  }
+
+  /**
+   * Creates a wallet connected to this provider
+   * @param {string} privateKey
+   */
+  getSigner(privateKey) {
+    return new Wallet(privateKey, this.alchemy);
+  }
+
+  /**
+   * Calls listener with every pending transaction sent to one of the addresses
+   * @param {Array<string>} toAddresses
+   * @param {Function} listener - gets the transaction as eth_getTransactionByHash returns it
+   * @returns {Function} stops watching
+   */
+  watchPendingTransactions(toAddresses, listener) {
+    const filter = { method: 'alchemy_pendingTransactions', toAddress: toAddresses };
+    const ws = this.ws;
+
+    ws.on(filter, listener);
+    return () => ws.off(filter, listener);
+  }
+
+  /**
+   * Drops the websocket and its subscriptions and opens a new one, HTTP calls are left alone
+   */
+  async reconnect() {
+    this.socket.ws.removeAllListeners();
+    this.socket = new Alchemy(this.settings);
+    this.ws = this.socket.ws;
+  }
+
+  /**
+   * Removes every websocket subscription
+   */
+  async destroy() {
+    this.socket.ws.removeAllListeners();
+  }
+}
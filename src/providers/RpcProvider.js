@@ -0,0 +1,110 @@
+import { ethers } from 'ethers';
+
+/**
+ * Chain provider for any EVM node, e.g. a self hosted node, a paid RPC or a local anvil fork.
+ *
+ * Exposes the same core/ws split as the Alchemy SDK so the listeners and trading classes don't care
+ * which one they get. Subscriptions use the websocket URL when one is set and fall back to polling
+ * the HTTP URL.
+ */
+export class RpcProvider {
+  /**
+   * Constructor
+   * @param {string} chainId
+   * @param {Object} urls
+   * @param {string} urls.http - JSON-RPC URL
+   * @param {string} [urls.ws] - websocket URL used for subscriptions
+   */
+  constructor(chainId, { http, ws = null }) {
+    this.name = 'rpc';
+    this.chainId = String(chainId);
+
+    // The chain id is known up front, no need to ask the node before every call
+    const network = ethers.Network.from(Number(chainId));
+    this.http = new ethers.JsonRpcProvider(http, network, { staticNetwork: network });
+    this.wsUrl = ws;
+    this.socket = null;
+
+    this.core = {
+      getGasPrice: async () => (await this.http.getFeeData()).gasPrice,
+      getBalance: address => this.http.getBalance(address),
+      getBlockNumber: () => this.http.getBlockNumber(),
+      getTransactionReceipt: txHash => this.http.getTransactionReceipt(txHash),
+      getLogs: filter => this.http.getLogs(filter),
+      send: (method, params) => this.http.send(method, params),
+    };
+
+    this.ws = {
+      on: (filter, listener) => this.getSubscriber().on(filter, listener),
+      off: (filter, listener) => this.getSubscriber().off(filter, listener),
+    };
+  }
+
+  /**
+   * Gets the provider subscriptions go through, the websocket is only opened once something subscribes
+   */
+  getSubscriber() {
+    if (!this.wsUrl) return this.http;
+
+    if (!this.socket) {
+      this.socket = new ethers.WebSocketProvider(this.wsUrl, Number(this.chainId));
+    }
+    return this.socket;
+  }
+
+  /**
+   * Calls listener with every pending transaction sent to one of the addresses. Nodes only push
+   * pending hashes, so each one is fetched and the ones to other addresses dropped
+   * @param {Array<string>} toAddresses
+   * @param {Function} listener - gets the transaction as eth_getTransactionByHash returns it
+   * @returns {Function} stops watching
+   */
+  watchPendingTransactions(toAddresses, listener) {
+    const targets = new Set(toAddresses.map(address => address.toLowerCase()));
+    const subscriber = this.getSubscriber();
+
+    const onPending = async hash => {
+      try {
+        const tx = await this.http.send('eth_getTransactionByHash', [hash]);
+        if (tx?.to && targets.has(tx.to.toLowerCase())) listener(tx);
+      } catch (error) {
+        // Already mined or dropped before we got to it
+      }
+    };
+
+    subscriber.on('pending', onPending);
+    return () => subscriber.off('pending', onPending);
+  }
+
+  /**
+   * Creates a wallet connected to this provider
+   * @param {string} privateKey
+   */
+  getSigner(privateKey) {
+    return new ethers.Wallet(privateKey, this.http);
+  }
+
+  /**
+   * Drops the websocket and its subscriptions, the next subscription opens a new one. Without a
+   * websocket the polling subscriptions are removed
+   */
+  async reconnect() {
+    if (this.socket) {
+      await this.socket.destroy();
+      this.socket = null;
+    } else {
+      await this.http.removeAllListeners();
+    }
+  }
+
+  /**
+   * Closes the websocket and stops polling
+   */
+  async destroy() {
+    if (this.socket) {
+      await this.socket.destroy();
+      this.socket = null;
+    }
+    this.http.destroy();
+  }
+}
@@ -0,0 +1,253 @@
+import { getLogsInChunks } from './getLogsInChunks.js';
+
+/**
+ * Keeps the log and pending transaction subscriptions of a chain alive.
+ *
+ * New heads are watched to tell a quiet chain from a dead socket: when none arrive for staleAfterMs
+ * the socket is reopened with exponential backoff, every filter is subscribed again and the logs
+ * of the blocks we missed are fetched with eth_getLogs and handed to the listeners. Logs are
+ * deduplicated so a log seen live and again in the backfill is only delivered once.
+ */
+
+// Logs remembered for deduplication
+const SEEN_LOGS_LIMIT = 10000;
+
+const MAX_BACKOFF_MS = 60000;
+
+export class SubscriptionManager {
+  /**
+   * Constructor
+   * @param {AlchemyProvider|RpcProvider} provider - provider of the chain
+   * @param {Object} options
+   * @param {number} options.staleAfterMs - reconnect when no new head arrived for this long
+   */
+  constructor(provider, { staleAfterMs = 60000 } = {}) {
+    this.provider = provider;
+    this.staleAfterMs = staleAfterMs;
+
+    this.subscriptions = new Set();
+    this.pendingWatchers = new Set();
+    this.seenLogs = new Set();
+
+    this.lastBlock = null;
+    this.lastHeadAt = null;
+    this.starting = null;
+    this.watchdog = null;
+    this.reconnecting = false;
+    this.attempts = 0;
+    this.retryTimeout = null;
+
+    this.onBlock = this.onBlock.bind(this);
+  }
+
+  /**
+   * Subscribes to the logs matching a filter, starts watching new heads on the first subscription
+   * @param {Object} filter - { address, topics }
+   * @param {Function} listener - called with every matching log
+   * @param {Object} options
+   * @param {string} options.backfill - 'all' delivers every missed log, 'last' only the newest one
+   * per reconnect for listeners that only care about the latest state e.g. price watchers
+   */
+  async subscribe(filter, listener, { backfill = 'all' } = {}) {
+    const subscription = { filter, listener, backfill, handler: null };
+    subscription.handler = log => this.deliver(subscription, log);
+
+    this.subscriptions.add(subscription);
+    this.provider.ws.on(filter, subscription.handler);
+
+    try {
+      await this.ensureStarted();
+    } catch (error) {
+      this.unsubscribe(filter, listener);
+      throw error;
+    }
+  }
+
+  /**
+   * Watches the pending transactions sent to some addresses, kept across reconnects. Pending
+   * transactions missed while the socket was down are gone, there is nothing to backfill
+   * @param {Array<string>} toAddresses
+   * @param {Function} listener - called with every pending transaction
+   */
+  async watchPending(toAddresses, listener) {
+    const watcher = {
+      toAddresses,
+      listener,
+      stop: this.provider.watchPendingTransactions(toAddresses, listener),
+    };
+    this.pendingWatchers.add(watcher);
+
+    try {
+      await this.ensureStarted();
+    } catch (error) {
+      watcher.stop();
+      this.pendingWatchers.delete(watcher);
+      throw error;
+    }
+  }
+
+  /**
+   * Starts watching new heads once. Listeners subscribe side by side so they share the start, a
+   * failed start is forgotten so the next subscription tries again
+   */
+  ensureStarted() {
+    this.starting ??= this.start().catch(error => {
+      this.starting = null;
+      throw error;
+    });
+    return this.starting;
+  }
+
+  /**
+   * Removes a subscription
+   * @param {Object} filter
+   * @param {Function} listener
+   * @returns {boolean} true if the subscription existed
+   */
+  unsubscribe(filter, listener) {
+    for (const subscription of this.subscriptions) {
+      if (subscription.listener === listener && subscription.filter === filter) {
+        this.provider.ws.off(filter, subscription.handler);
+        this.subscriptions.delete(subscription);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Starts watching new heads and the staleness watchdog
+   */
+  async start() {
+    this.lastBlock = await this.provider.core.getBlockNumber();
+    this.lastHeadAt = Date.now();
+    this.provider.ws.on('block', this.onBlock);
+
+    this.watchdog = setInterval(() => {
+      if (!this.reconnecting && Date.now() - this.lastHeadAt > this.staleAfterMs) {
+        console.warn(
+          `⚠️  No new blocks on chain ${this.provider.chainId} for ${this.staleAfterMs / 1000}s, reconnecting...`
+        );
+        this.reconnect();
+      }
+    }, this.staleAfterMs / 2);
+  }
+
+  /**
+   * Stops the watchdog and removes every subscription
+   */
+  stop() {
+    clearInterval(this.watchdog);
+    clearTimeout(this.retryTimeout);
+    this.watchdog = null;
+    this.starting = null;
+
+    this.provider.ws.off('block', this.onBlock);
+    for (const subscription of this.subscriptions) {
+      this.provider.ws.off(subscription.filter, subscription.handler);
+    }
+    this.subscriptions.clear();
+
+    this.pendingWatchers.forEach(watcher => watcher.stop());
+    this.pendingWatchers.clear();
+  }
+
+  /**
+   * Records the newest block we have seen live
+   */
+  onBlock(blockNumber) {
+    this.lastHeadAt = Date.now();
+    this.lastBlock = Math.max(this.lastBlock ?? 0, Number(blockNumber));
+  }
+
+  /**
+   * Reopens the socket, subscribes again and backfills the missed blocks. Retries with exponential
+   * backoff until it succeeds
+   */
+  async reconnect() {
+    if (this.reconnecting) return;
+    this.reconnecting = true;
+
+    try {
+      await this.provider.reconnect();
+
+      this.provider.ws.on('block', this.onBlock);
+      for (const subscription of this.subscriptions) {
+        this.provider.ws.on(subscription.filter, subscription.handler);
+      }
+      for (const watcher of this.pendingWatchers) {
+        watcher.stop = this.provider.watchPendingTransactions(
+          watcher.toAddresses,
+          watcher.listener
+        );
+      }
+
+      // Everything from the last block we saw live, the duplicates are dropped on delivery
+      const fromBlock = this.lastBlock;
+      const toBlock = await this.provider.core.getBlockNumber();
+      await this.backfill(fromBlock, toBlock);
+
+      this.lastBlock = Math.max(this.lastBlock, toBlock);
+      this.lastHeadAt = Date.now();
+      this.attempts = 0;
+      this.reconnecting = false;
+
+      console.log(
+        `🔌 Reconnected chain ${this.provider.chainId} subscriptions, backfilled blocks ${fromBlock}-${toBlock}`
+      );
+    } catch (error) {
+      const delay = Math.min(1000 * 2 ** this.attempts, MAX_BACKOFF_MS);
+      this.attempts++;
+
+      console.error(
+        `Failed to reconnect chain ${this.provider.chainId}, retrying in ${delay / 1000}s:`,
+        error.message
+      );
+
+      this.retryTimeout = setTimeout(() => {
+        this.reconnecting = false;
+        this.reconnect();
+      }, delay);
+    }
+  }
+
+  /**
+   * Fetches the logs of every subscription between two blocks and delivers them in order
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   */
+  async backfill(fromBlock, toBlock) {
+    for (const subscription of this.subscriptions) {
+      const logs = await getLogsInChunks(this.provider, subscription.filter, fromBlock, toBlock);
+
+      const missed = subscription.backfill === 'last' ? logs.slice(-1) : logs;
+      for (const log of missed) {
+        this.deliver(subscription, log);
+      }
+    }
+  }
+
+  /**
+   * Hands a log to its listener unless it was already delivered
+   */
+  deliver(subscription, log) {
+    const key = `${log.transactionHash}:${log.logIndex ?? log.index}:${subscription.filter.address}`;
+    if (this.seenLogs.has(key)) return;
+
+    this.seenLogs.add(key);
+    if (this.seenLogs.size > SEEN_LOGS_LIMIT) {
+      this.seenLogs.delete(this.seenLogs.values().next().value);
+    }
+
+    // A log proves the socket is alive up to its block
+    if (log.blockNumber != null) {
+      this.lastBlock = Math.max(this.lastBlock ?? 0, Number(log.blockNumber));
+    }
+
+    try {
+      subscription.listener(log);
+    } catch (error) {
+      console.error('Subscription listener failed:', error);
+    }
+  }
+}
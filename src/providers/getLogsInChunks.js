@@ -0,0 +1,21 @@
+// Blocks per eth_getLogs request, most nodes cap the range
+const LOGS_CHUNK = 2000;
+
+/**
+ * Gets the logs matching a filter over a block range, split into requests the node will accept
+ * @param {AlchemyProvider|RpcProvider} provider
+ * @param {Object} filter - { address, topics }
+ * @param {number} fromBlock
+ * @param {number} toBlock
+ * @returns {Promise<Array<Object>>} logs in block order
+ */
+export const getLogsInChunks = async (provider, filter, fromBlock, toBlock) => {
+  const logs = [];
+
+  for (let start = fromBlock; start <= toBlock; start += LOGS_CHUNK) {
+    const end = Math.min(start + LOGS_CHUNK - 1, toBlock);
+    logs.push(...(await provider.core.getLogs({ ...filter, fromBlock: start, toBlock: end })));
+  }
+
+  return logs;
+};
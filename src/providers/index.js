@@ -0,0 +1,130 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { AlchemyProvider } from './AlchemyProvider.js';
+import { RpcProvider } from './RpcProvider.js';
+import { SubscriptionManager } from './SubscriptionManager.js';
+
+dotenv.config();
+
+// Load config once at module level
+const UNISWAP_CONFIG = JSON.parse(
+  fs.readFileSync(new URL('../../data/uniswap.json', import.meta.url), 'utf8')
+);
+
+// One provider and subscription manager per chain, shared by the listeners, wallets and trading instances
+const providers = new Map();
+const subscriptions = new Map();
+
+// Seconds without a new block before a chain's socket counts as dead
+const DEFAULT_STALE_AFTER_SECONDS = 60;
+
+// Hosts of rpc URLs that count as a local node
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '0.0.0.0'];
+
+/**
+ * Gets the provider of a chain. Chains with rpc URLs in uniswap.json use them, the rest use Alchemy
+ * @param {string} chainId
+ * @returns {AlchemyProvider|RpcProvider}
+ */
+export const getProvider = chainId => {
+  const key = String(chainId);
+
+  if (!providers.has(key)) {
+    providers.set(key, createProvider(key, getRpcUrls(key)));
+  }
+
+  return providers.get(key);
+};
+
+/**
+ * Gets the subscription manager of a chain, log subscriptions should go through it so they survive
+ * a dropped socket
+ * @param {string} chainId
+ * @returns {SubscriptionManager}
+ */
+export const getSubscriptions = chainId => {
+  const key = String(chainId);
+
+  if (!subscriptions.has(key)) {
+    const staleAfterSeconds =
+      getChainEntry(key)?.stale_after_seconds ?? DEFAULT_STALE_AFTER_SECONDS;
+    subscriptions.set(
+      key,
+      new SubscriptionManager(getProvider(key), { staleAfterMs: staleAfterSeconds * 1000 })
+    );
+  }
+
+  return subscriptions.get(key);
+};
+
+/**
+ * Creates a provider without caching it
+ * @param {string} chainId
+ * @param {Object|null} rpc - { http, ws } urls
+ * @returns {AlchemyProvider|RpcProvider}
+ */
+export const createProvider = (chainId, rpc = null) => {
+  if (rpc?.http) {
+    return new RpcProvider(chainId, {
+      http: expandEnv(rpc.http),
+      ws: rpc.ws ? expandEnv(rpc.ws) : null,
+    });
+  }
+
+  return new AlchemyProvider(chainId);
+};
+
+/**
+ * Checks if a chain's rpc URL points at this machine, e.g. an anvil fork
+ * @param {string} chainId
+ * @returns {boolean}
+ */
+export const isLocalChain = chainId => {
+  const http = getRpcUrls(String(chainId))?.http;
+  if (!http) return false;
+
+  try {
+    return LOCAL_HOSTS.includes(new URL(expandEnv(http)).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Closes every provider
+ */
+export const destroyProviders = async () => {
+  subscriptions.forEach(manager => manager.stop());
+  subscriptions.clear();
+
+  await Promise.all(Array.from(providers.values()).map(provider => provider.destroy()));
+  providers.clear();
+};
+
+/**
+ * Gets the rpc URLs of a chain, every dex entry of a chain shares the first one that sets them
+ * @param {string} chainId
+ * @returns {Object|null}
+ */
+const getRpcUrls = chainId =>
+  UNISWAP_CONFIG.find(entry => String(entry.chain_id) === chainId && entry.rpc)?.rpc ?? null;
+
+/**
+ * Gets the first dex entry of a chain
+ * @param {string} chainId
+ * @returns {Object|undefined}
+ */
+const getChainEntry = chainId => UNISWAP_CONFIG.find(entry => String(entry.chain_id) === chainId);
+
+/**
+ * Replaces ${NAME} in a URL with the environment variable so keys stay in .env
+ * @param {string} url
+ * @returns {string}
+ */
+const expandEnv = url =>
+  url.replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Environment variable ${name} used in an rpc URL is not set`);
+    }
+    return process.env[name];
+  });
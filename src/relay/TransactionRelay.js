@@ -0,0 +1,276 @@
+import { ethers } from 'ethers';
+
+export const RELAY_METHODS = ['eth_sendPrivateTransaction', 'eth_sendBundle'];
+
+const DEFAULT_TARGET_BLOCKS = 25;
+const DEFAULT_FALLBACK_AFTER_SECONDS = 30;
+const RECEIPT_POLL_MS = 3000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Sends swaps to a private relay so they skip the public mempool and can't be sandwiched.
+ *
+ * The transaction is signed locally and sent with eth_sendPrivateTransaction (Flashbots Protect
+ * style) or as a one transaction bundle with eth_sendBundle for each of the next target_blocks
+ * blocks. Requests are signed with an X-Flashbots-Signature header, the relay only uses it for
+ * reputation so a throwaway key is generated when none is set.
+ *
+ * With fallback_to_public the same signed transaction is broadcast to the chain's node when the
+ * relay refuses it or it isn't mined within fallback_after_seconds. Both carry the same nonce so
+ * only one of them can be mined.
+ */
+export class TransactionRelay {
+  /**
+   * Constructor
+   * @param {string} chainId
+   * @param {Object} config - the chain's entry of relay.json
+   * @param {string} config.url - relay JSON-RPC URL
+   * @param {string} config.method - eth_sendPrivateTransaction or eth_sendBundle
+   * @param {number} config.target_blocks - blocks the transaction may be included in
+   * @param {boolean} config.fallback_to_public - broadcast publicly when the relay fails
+   * @param {number} config.fallback_after_seconds - how long to wait for the relay to get it mined
+   * @param {Object} provider - the chain's provider, watches for receipts and broadcasts fallbacks
+   * @param {string} [authKey] - private key requests are signed with
+   */
+  constructor(chainId, config, provider, authKey = null) {
+    this.chainId = String(chainId);
+    this.url = config.url;
+    this.method = config.method ?? RELAY_METHODS[0];
+    this.targetBlocks = config.target_blocks ?? DEFAULT_TARGET_BLOCKS;
+    this.fallbackToPublic = config.fallback_to_public ?? true;
+    this.fallbackAfterMs = (config.fallback_after_seconds ?? DEFAULT_FALLBACK_AFTER_SECONDS) * 1000;
+    this.provider = provider;
+    this.authSigner = authKey ? new ethers.Wallet(authKey) : ethers.Wallet.createRandom();
+    this.requestId = 0;
+  }
+
+  /**
+   * Signs a transaction and submits it to the relay
+   * @param {Object} wallet - signer of the trading wallet
+   * @param {Object} tx - unsigned transaction, e.g. from contract.method.populateTransaction
+   * @returns {Promise<Object>} { hash, relayed } relayed is false when it went out publicly
+   */
+  async sendTransaction(wallet, tx) {
+    const signedTx = await wallet.signTransaction(await wallet.populateTransaction(tx));
+    const hash = ethers.keccak256(signedTx);
+
+    try {
+      await this.submit(signedTx);
+      console.log(`🕶️  Sent ${hash} to the private relay of chain ${this.chainId}`);
+    } catch (error) {
+      if (!this.fallbackToPublic) throw error;
+
+      console.warn(`⚠️ Private relay failed (${error.message}), broadcasting ${hash} publicly`);
+      await this.broadcast(signedTx);
+      return { hash, relayed: false };
+    }
+
+    if (!this.fallbackToPublic) return { hash, relayed: true };
+
+    // Relays drop transactions silently, give it a while before going public
+    if (await this.waitForInclusion(hash)) return { hash, relayed: true };
+
+    console.warn(`⚠️ ${hash} not mined through the relay, broadcasting publicly`);
+    await this.broadcast(signedTx);
+    return { hash, relayed: false };
+  }
+
+  /**
+   * Signs a transaction and sends it with eth_sendBundle right behind already signed ones, e.g. a
+   * pending liquidity add we back-run. The bundle only makes sense as a whole so it is never
+   * broadcast publicly
+   * @param {Object} wallet - signer of the trading wallet
+   * @param {Array<string>} leadingTxs - signed transactions that go first
+   * @param {Object} tx - unsigned transaction, needs a gasLimit as it can't be estimated before
+   * the leading ones are mined
+   * @returns {Promise<Object>} { hash, included } included is false when the bundle wasn't mined
+   * within fallback_after_seconds
+   */
+  async sendBundle(wallet, leadingTxs, tx) {
+    const signedTx = await wallet.signTransaction(await wallet.populateTransaction(tx));
+    const hash = ethers.keccak256(signedTx);
+
+    await this.submitBundle([...leadingTxs, signedTx]);
+    console.log(
+      `🕶️  Sent ${hash} in a bundle of ${leadingTxs.length + 1} to chain ${this.chainId}`
+    );
+
+    return { hash, included: await this.waitForInclusion(hash) };
+  }
+
+  /**
+   * Submits a signed transaction with the configured relay method
+   * @param {string} signedTx
+   */
+  async submit(signedTx) {
+    if (this.method === 'eth_sendBundle') {
+      await this.submitBundle([signedTx]);
+      return;
+    }
+
+    const blockNumber = await this.provider.core.getBlockNumber();
+    await this.request('eth_sendPrivateTransaction', [
+      {
+        tx: signedTx,
+        maxBlockNumber: ethers.toQuantity(blockNumber + this.targetBlocks),
+        preferences: { fast: true },
+      },
+    ]);
+  }
+
+  /**
+   * Submits signed transactions as a bundle for each of the next target_blocks blocks
+   * @param {Array<string>} signedTxs - in the order they must be mined
+   */
+  async submitBundle(signedTxs) {
+    const blockNumber = await this.provider.core.getBlockNumber();
+
+    // A bundle only targets one block, so it is sent for each block it may land in
+    const results = await Promise.allSettled(
+      Array.from({ length: this.targetBlocks }, (_, index) =>
+        this.request('eth_sendBundle', [
+          { txs: signedTxs, blockNumber: ethers.toQuantity(blockNumber + index + 1) },
+        ])
+      )
+    );
+
+    if (results.every(({ status }) => status === 'rejected')) {
+      throw results[0].reason;
+    }
+  }
+
+  /**
+   * Sends a signed JSON-RPC request to the relay
+   * @param {string} method
+   * @param {Array} params
+   * @returns {Promise<*>} the result, throws on an HTTP or JSON-RPC error
+   */
+  async request(method, params) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params });
+    const signature = await this.authSigner.signMessage(ethers.id(body));
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Flashbots-Signature': `${this.authSigner.address}:${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const reply = await response.json().catch(() => null);
+    if (reply?.error) {
+      throw new Error(`${method} failed: ${reply.error.message ?? JSON.stringify(reply.error)}`);
+    }
+    if (!response.ok || !reply) {
+      throw new Error(`${method} failed: HTTP ${response.status}`);
+    }
+
+    return reply.result;
+  }
+
+  /**
+   * Polls for a receipt until fallback_after_seconds have passed
+   * @param {string} hash
+   * @returns {Promise<boolean>} whether the transaction was mined
+   */
+  async waitForInclusion(hash) {
+    const deadline = Date.now() + this.fallbackAfterMs;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, RECEIPT_POLL_MS));
+      try {
+        const receipt = await this.provider.core.getTransactionReceipt(hash);
+        if (receipt?.blockNumber) return true;
+      } catch (error) {
+        console.log(`Receipt of ${hash} not ready yet...`);
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Sends a signed transaction to the chain's node, a nonce error means the relayed copy got mined
+   * first and is ignored
+   * @param {string} signedTx
+   */
+  async broadcast(signedTx) {
+    try {
+      await this.provider.core.send('eth_sendRawTransaction', [signedTx]);
+    } catch (error) {
+      if (/nonce too low|already known/i.test(error.message)) return;
+      throw error;
+    }
+  }
+}
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const CHAIN_KEYS = [
+  'enabled',
+  'url',
+  'method',
+  'target_blocks',
+  'fallback_to_public',
+  'fallback_after_seconds',
+];
+
+/**
+ * Checks relay.json and throws listing every problem found
+ * @param {Object} config - { chains: { [chainId]: { url, method, ... } } }
+ */
+export const validateRelayConfig = config => {
+  const errors = [];
+
+  if (!isObject(config)) {
+    errors.push('config must be an object');
+  } else {
+    for (const key of Object.keys(config)) {
+      if (key !== 'chains') errors.push(`${key} is not a known setting`);
+    }
+    if (config.chains !== undefined && !isObject(config.chains)) {
+      errors.push('chains must be an object keyed by chain id');
+    }
+  }
+
+  for (const [chainId, chain] of Object.entries(isObject(config?.chains) ? config.chains : {})) {
+    const path = `chains.${chainId}`;
+    if (!isObject(chain)) {
+      errors.push(`${path} must be an object`);
+      continue;
+    }
+
+    for (const key of Object.keys(chain)) {
+      if (!CHAIN_KEYS.includes(key)) errors.push(`${path}.${key} is not a known setting`);
+    }
+    if (typeof chain.url !== 'string' || !/^https?:\/\//.test(chain.url)) {
+      errors.push(`${path}.url must be an http(s) URL`);
+    }
+    if (chain.method !== undefined && !RELAY_METHODS.includes(chain.method)) {
+      errors.push(`${path}.method must be one of ${RELAY_METHODS.join(', ')}`);
+    }
+    for (const key of ['enabled', 'fallback_to_public']) {
+      if (chain[key] !== undefined && typeof chain[key] !== 'boolean') {
+        errors.push(`${path}.${key} must be true or false`);
+      }
+    }
+    if (
+      chain.target_blocks !== undefined &&
+      !(Number.isInteger(chain.target_blocks) && chain.target_blocks > 0)
+    ) {
+      errors.push(`${path}.target_blocks must be a whole number above 0`);
+    }
+    if (
+      chain.fallback_after_seconds !== undefined &&
+      !(Number.isFinite(chain.fallback_after_seconds) && chain.fallback_after_seconds > 0)
+    ) {
+      errors.push(`${path}.fallback_after_seconds must be a number above 0`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid relay config:\n  ${errors.join('\n  ')}`);
+  }
+};
@@ -0,0 +1,35 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { TransactionRelay, validateRelayConfig } from './TransactionRelay.js';
+import { getProvider } from '../providers/index.js';
+
+dotenv.config();
+
+// Load config once at module level, a bad config stops the bot before it trades
+const RELAY_CONFIG = JSON.parse(
+  fs.readFileSync(new URL('../../data/relay.json', import.meta.url), 'utf8')
+);
+validateRelayConfig(RELAY_CONFIG);
+
+// One relay per chain, shared by the trading instances of the chain
+const relays = new Map();
+
+/**
+ * Gets the private relay of a chain
+ * @param {string} chainId
+ * @returns {TransactionRelay|null} null when the chain sends its swaps publicly
+ */
+export const getRelay = chainId => {
+  const key = String(chainId);
+  const config = RELAY_CONFIG.chains?.[key];
+  if (!config || config.enabled === false) return null;
+
+  if (!relays.has(key)) {
+    relays.set(
+      key,
+      new TransactionRelay(key, config, getProvider(key), process.env.RELAY_AUTH_KEY || null)
+    );
+  }
+
+  return relays.get(key);
+};
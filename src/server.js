@@ -1,23 +1,58 @@
 import { WebSocketServer } from 'ws';
 import { EventEmitter } from 'events';
-import { rugpullDetection, tokenSecurity, rateLimiter } from './audit/index.js';
+import { rateLimiter } from './audit/index.js';
+import { createAuditManager } from './audit/createAuditManager.js';
 import { getTradingInstance } from './trading/index.js';
+import { journal } from './database/index.js';
+import { ControlApi, ERROR_CODES } from './control/ControlApi.js';
+import { buildPortfolio } from './control/portfolio.js';
+import { formatUsd } from './utils/formatUsd.js';
 
 /**
  * This class is responsible for running the GoPlus audit on new tokens and if the token contract passes then it attempt to buy
  * and sells if the stop loss or target price have been hit.
+ *
+ * Clients talk to it with the typed messages of ControlApi: the listeners send pair.detected and
+ * authenticated clients can list and sell positions, move their targets, blacklist tokens or pause
+ * buying. Subscribed clients get the pipeline's events pushed to them, the same events are emitted
+ * on the controller.
  */
 export class WebSocketController extends EventEmitter {
   /**
    * Constructor
+   * @param {number} port
+   * @param {Object} tradingInstances - trading instances keyed by name
+   * @param {AuditManager} auditManager
+   * @param {Object} options
+   * @param {string} options.authToken - token clients authenticate with
+   * @param {Function} options.getEthUsdPrice - async (chainId) => ETH price in USD, the portfolio is
+   * only in ETH without it
+   * @param {number} options.portfolioInterval - ms between portfolio updates to subscribed clients
    */
-  constructor(port = 8069, tradingInstances = {}) {
+  constructor(
+    port = 8069,
+    tradingInstances = {},
+    auditManager = createAuditManager(),
+    { authToken, getEthUsdPrice = null, portfolioInterval = 10000 } = {}
+  ) {
     super();
     this.port = port;
+    this.auditManager = auditManager;
     this.wss = null;
     this.isRunning = false;
     this.rateLimiterMonitor = null;
     this.tradingInstances = tradingInstances;
+    this.controlApi = new ControlApi(this, authToken);
+    this.getEthUsdPrice = getEthUsdPrice;
+    this.portfolioInterval = portfolioInterval;
+    this.portfolioMonitor = null;
+    this.publishingPortfolio = false;
+
+    // New pairs are still journaled while paused, they just aren't audited or bought
+    this.paused = false;
+
+    // chainId:token of the buys in flight
+    this.buying = new Set();
   }
 
   /**
@@ -37,6 +72,7 @@ export class WebSocketController extends EventEmitter {
 
       this.setupEventHandlers();
       this.startRateLimiterMonitor();
+      this.startPortfolioMonitor();
       this.isRunning = true;
 
       console.log(`WebSocket server started on port ${this.port}`);
@@ -63,6 +99,60 @@ export class WebSocketController extends EventEmitter {
     }, 30000);
   }
 
+  /**
+   * Sends the portfolio to the clients every portfolioInterval
+   */
+  startPortfolioMonitor() {
+    this.portfolioMonitor = setInterval(() => this.publishPortfolio(), this.portfolioInterval);
+  }
+
+  /**
+   * Broadcasts the portfolio when a client subscribed to events, skipped while the last one is
+   * still being priced
+   */
+  async publishPortfolio() {
+    if (this.publishingPortfolio) return;
+    if (!Array.from(this.wss?.clients ?? []).some(ws => ws.subscribed)) return;
+
+    this.publishingPortfolio = true;
+    try {
+      this.broadcast({
+        type: 'event',
+        event: 'portfolio.updated',
+        data: await this.getPortfolio(),
+      });
+    } catch (error) {
+      console.error('Failed to publish the portfolio:', error);
+    } finally {
+      this.publishingPortfolio = false;
+    }
+  }
+
+  /**
+   * Gets the realized and unrealized P&L of every journaled position
+   * @returns {Promise<Object>} see buildPortfolio
+   */
+  async getPortfolio() {
+    const open = await this.controlApi.listPositions({ prices: true });
+    const quotes = new Map(
+      open.filter(position => position.positionId).map(position => [position.positionId, position])
+    );
+
+    const positions = journal.getPortfolioPositions();
+
+    const ethUsdPrices = {};
+    if (this.getEthUsdPrice) {
+      const chainIds = [...new Set(positions.map(position => position.chain_id))];
+      await Promise.all(
+        chainIds.map(async chainId => {
+          ethUsdPrices[chainId] = await this.getEthUsdPrice(chainId).catch(() => null);
+        })
+      );
+    }
+
+    return buildPortfolio(positions, quotes, ethUsdPrices);
+  }
+
   /**
    * Setup and initialize connections
    */
@@ -73,6 +163,7 @@ export class WebSocketController extends EventEmitter {
       // Add connection metadata
       ws.id = this.generateConnectionId();
       ws.connectedAt = new Date();
+      ws.authenticated = this.controlApi.isAuthorizedRequest(request);
 
       this.handleConnection(ws);
     });
@@ -95,24 +186,27 @@ export class WebSocketController extends EventEmitter {
 
     ws.on('message', async rawData => {
       try {
-        let token = await this.deserializeData(rawData);
-        console.log('');
-
-        console.log(token);
-        console.log('');
-        // Make sure the data is valid
-        if (!token) {
+        let message;
+        try {
+          message = await this.deserializeData(rawData);
+        } catch (error) {
           console.log('*******   ERROR: Invalid data format   ******');
+          this.send(ws, {
+            id: null,
+            ok: false,
+            error: { code: ERROR_CODES.BAD_REQUEST, message: error.message },
+          });
           return;
         }
 
-        // Runs the GoPlus audits
-        token = await this.runAudit(token);
-
-        if (!token) return;
+        const reply = await this.controlApi.handle(message, ws);
+        this.send(ws, reply);
 
-        // snipe the token
-        await this.runTrade(token);
+        // Don't let clients guess the token
+        if (reply.error?.code === ERROR_CODES.UNAUTHORIZED) {
+          console.log(`🔒 Closing unauthorized connection ${ws.id}`);
+          ws.close(1008, 'Unauthorized');
+        }
       } catch (error) {
         console.error('Error processing message:', error);
       }
@@ -129,14 +223,11 @@ export class WebSocketController extends EventEmitter {
   }
 
   /**
-   * Yet to be implemented
+   * Cleans up after a client disconnects
    */
   handleDisconnection(ws) {
     // Clean up any connection-specific data
     this.emit('connectionClosed', ws.id);
-
-    // TODO: Implement your save logic here
-    this.saveDataToFile();
   }
 
   /**
@@ -197,8 +288,9 @@ export class WebSocketController extends EventEmitter {
         clearInterval(this.rateLimiterMonitor);
       }
 
-      // Save data before closing
-      this.saveDataToFile();
+      if (this.portfolioMonitor) {
+        clearInterval(this.portfolioMonitor);
+      }
 
       // Close all connections gracefully
       this.wss.clients.forEach(ws => {
@@ -216,9 +308,145 @@ export class WebSocketController extends EventEmitter {
   }
 
   /**
-   * Runs 2 GoPlus Security audits to see if the token is safe
+   * Starts the pipeline of a pair sent by a listener without waiting for it
+   * @param {Object} token - pair data from a listener
+   * @returns {Object} { queued, paused }
+   */
+  queuePair(token) {
+    this.processPair(token).catch(error => {
+      console.error('Error processing pair:', error);
+    });
+    return { queued: !this.paused, paused: this.paused };
+  }
+
+  /**
+   * Journals a new pair, audits it and buys it if it passes
+   * @param {Object} token - pair data from a listener
+   */
+  async processPair(token) {
+    console.log('');
+    console.log(token);
+    console.log('');
+
+    // Keep a record of every pair we see
+    this.saveToJournal(() => journal.recordPair(token));
+    this.publish('pair.detected', token);
+
+    if (this.paused) {
+      console.log(`⏸️  Paused, skipping ${token.newTokenAddress}`);
+      return;
+    }
+
+    if (this.isBlacklisted(token)) {
+      console.log(`⛔ Blacklisted, skipping ${token.newTokenAddress}`);
+      return;
+    }
+
+    // Runs the GoPlus audits
+    token = await this.runAudit(token);
+
+    this.publish('audit.verdict', {
+      chainId: token.chainId,
+      newTokenAddress: token.newTokenAddress,
+      pairAddress: token.pairAddress,
+      passed: token.auditPassed,
+      score: token.auditScore,
+      failedRules: token.failedRules,
+    });
+
+    if (!token.auditPassed) return;
+
+    // snipe the token
+    const result = await this.runTrade(token);
+
+    if (result) {
+      this.publish('trade.result', {
+        chainId: token.chainId,
+        newTokenAddress: token.newTokenAddress,
+        pairAddress: token.pairAddress,
+        ...result,
+      });
+      if (result.success) this.publishPortfolio();
+    }
+  }
+
+  /**
+   * Checks the journal blacklist, a failed lookup doesn't block the pair
+   * @param {Object} token - pair data from a listener
+   * @returns {boolean}
+   */
+  isBlacklisted(token) {
+    try {
+      return journal.isBlacklisted(token.chainId, token.newTokenAddress);
+    } catch (error) {
+      console.error('Failed to read the blacklist:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stops a token from being audited or bought
+   * @param {string} chainId
+   * @param {string} tokenAddress
+   * @param {string} reason
+   * @returns {Object} { chainId, tokenAddress, blacklisted }
+   */
+  blacklistToken(chainId, tokenAddress, reason = null) {
+    journal.addToBlacklist(chainId, tokenAddress, reason);
+    console.log(`⛔ Blacklisted ${tokenAddress} on chain ${chainId}`);
+    this.publish('token.blacklisted', { chainId, tokenAddress, reason });
+    return { chainId, tokenAddress, blacklisted: true };
+  }
+
+  /**
+   * Lets a blacklisted token be bought again
+   * @param {string} chainId
+   * @param {string} tokenAddress
+   * @returns {Object} { chainId, tokenAddress, blacklisted, removed } removed is false if it
+   * wasn't blacklisted
+   */
+  unblacklistToken(chainId, tokenAddress) {
+    const removed = journal.removeFromBlacklist(chainId, tokenAddress);
+    if (removed) console.log(`✅ Removed ${tokenAddress} on chain ${chainId} from the blacklist`);
+    return { chainId, tokenAddress, blacklisted: false, removed };
+  }
+
+  /**
+   * Gets every blacklisted token
+   * @returns {Array<Object>}
+   */
+  getBlacklist() {
+    return journal.getBlacklist();
+  }
+
+  /**
+   * Stops auditing and buying new pairs, open positions are still watched and sold
+   * @returns {Object} { paused }
+   */
+  pause() {
+    if (!this.paused) console.log('⏸️  Buying paused');
+    this.paused = true;
+    this.emit('paused');
+    this.publish('bot.paused', { paused: true });
+    return { paused: true };
+  }
+
+  /**
+   * Resumes auditing and buying new pairs
+   * @returns {Object} { paused }
+   */
+  resume() {
+    if (this.paused) console.log('▶️  Buying resumed');
+    this.paused = false;
+    this.emit('resumed');
+    this.publish('bot.resumed', { paused: false });
+    return { paused: false };
+  }
+
+  /**
+   * Runs the registered audit providers to see if the token is safe
    * @param {*} token
-   * @returns
+   * @returns {Object} the token with auditPassed, auditScore, failedRules and auditResults added
    */
   async runAudit(token) {
     // Send rate limiter status before processing
@@ -231,28 +459,34 @@ export class WebSocketController extends EventEmitter {
       waitTime: `${rateLimiterStatus.waitTime}ms`,
     });
 
-    // Runs a detailed GoPlus token security check
-    const securityCheck = await tokenSecurity(token.chainId, token.newTokenAddress);
+    const verdict = await this.auditManager.run(token);
 
-    // Stop if token is unsafe
-    if (!securityCheck.success) {
-      return false;
+    for (const check of verdict.checks) {
+      this.saveToJournal(() => journal.recordAudit(token, check.name, check));
     }
 
-    // Run a security audit for rugpull detection
-    const rugCheck = await rugpullDetection(token.chainId, token.newTokenAddress);
+    const failedRules = verdict.failedRules.map(
+      rule => `${rule.check}.${rule.id}${rule.severity === 'warn' ? ' (warn)' : ''}`
+    );
 
-    // Stop if its token is unsafe
-    if (!rugCheck.success) {
-      return false;
+    if (verdict.success) {
+      console.log('******   TOKEN PASSED AUDIT   ******\n', token.newTokenAddress);
+      if (failedRules.length) console.log('Audit warnings:', failedRules.join(', '));
+    } else {
+      console.log(
+        `Token failed audit${verdict.vetoedBy ? `, vetoed by ${verdict.vetoedBy}` : ''}:`,
+        token.newTokenAddress,
+        failedRules.join(', ')
+      );
     }
 
-    console.log('******   TOKEN PASSED AUDIT   ******\n', token.newTokenAddress);
-
     // Add the audit results to the token
     return {
       ...token,
-      auditResults: { ...securityCheck.results, ...rugCheck.results },
+      auditPassed: verdict.success,
+      auditScore: verdict.score,
+      failedRules: verdict.failedRules,
+      auditResults: Object.assign({}, ...verdict.checks.map(check => check.results)),
       timestamp: new Date().toISOString(),
     };
   }
@@ -271,47 +505,76 @@ export class WebSocketController extends EventEmitter {
           chain: token.chain,
           chainId: token.chainId,
           version: token.v3 ? 'V3' : 'V2',
+          dex: token.dex,
+          factory: token.factoryAddress,
           tokenAddress: token.newTokenAddress,
         });
         return;
       }
 
-      const version = token.v3 ? 'V3' : 'V2';
-      const instanceName = `${token.chain || 'unknown'}${version}`;
+      const instanceName = tradingInstance.name;
 
       console.log(`🎯 Using ${instanceName} instance for trading`);
-      console.log(`****   SNIPING ${token.newTokenAddress}   ****`);
-
-      // Execute the trade
-      const result = await tradingInstance.buyToken(token);
 
-      if (result && result.success) {
-        console.log(`✅ Trade successful:`, {
-          txHash: result.txHash,
-          entryPrice: result.entryPrice,
-          amount: result.amount.toString(),
-          instanceUsed: instanceName,
-        });
-      } else {
-        console.error(`❌ Trade failed for ${token.newTokenAddress}`);
+      // A pending liquidity add and the PairCreated log it leads to can both get here
+      const key = `${token.chainId}:${token.newTokenAddress.toLowerCase()}`;
+      if (this.buying.has(key) || tradingInstance.positions.has(token.newTokenAddress)) {
+        console.log(`⏭️  Already buying or holding ${token.newTokenAddress}, skipping`);
+        return;
       }
+      this.buying.add(key);
+
+      try {
+        // Skip dust pools and pairs outside the strategy's market cap and price impact limits
+        const filters = await tradingInstance.checkTradeFilters(token);
+        if (!filters.passed) {
+          console.log(`🚫 Pre-trade filters rejected ${token.newTokenAddress}:`, filters.failures);
+          return { success: false, filtered: true, failures: filters.failures };
+        }
 
-      return result;
+        console.log(`****   SNIPING ${token.newTokenAddress}   ****`);
+
+        // Execute the trade
+        const result = await tradingInstance.buyToken(token);
+
+        if (result && result.success) {
+          console.log(`✅ Trade successful:`, {
+            txHash: result.txHash,
+            entryPrice: result.entryPrice,
+            entryPriceUsd: formatUsd(result.entryPriceUsd),
+            amount: result.amount.toString(),
+            instanceUsed: instanceName,
+          });
+        } else {
+          console.error(`❌ Trade failed for ${token.newTokenAddress}`);
+        }
+
+        return result;
+      } finally {
+        this.buying.delete(key);
+      }
     } catch (error) {
       console.error(`❌ Error executing trade for ${token.newTokenAddress}:`, error);
+      this.publish('trade.error', {
+        chainId: token.chainId,
+        tokenAddress: token.newTokenAddress,
+        action: 'buy',
+        error: error.message,
+      });
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Should be used to save a buy tx to file
-   *
-   * Note: This will probably get moved to the utils dir and be called in the trading classes instead.
+   * Runs a trade journal write without letting a database error stop the pipeline
+   * @param {Function} write - callback that writes to the journal
    */
-  saveDataToFile() {
-    // Implement your save logic here
-    console.log(`This should save a token to file`);
-    // Example: fs.writeFileSync('data.json', JSON.stringify([...this.newtokens]));
+  saveToJournal(write) {
+    try {
+      write();
+    } catch (error) {
+      console.error('Failed to write to the trade journal:', error);
+    }
   }
 
   /**
@@ -326,6 +589,7 @@ export class WebSocketController extends EventEmitter {
     const rateLimiterStatus = rateLimiter.getStatus();
     return {
       isRunning: this.isRunning,
+      paused: this.paused,
       connectedClients: this.wss ? this.wss.clients.size : 0,
       rateLimiter: rateLimiterStatus,
       tradingInstances: Object.keys(this.tradingInstances),
@@ -333,19 +597,46 @@ export class WebSocketController extends EventEmitter {
   }
 
   /**
-   * Broadcast a message to a client
+   * Sends a message to a client
+   */
+  send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(serialize(message));
+    }
+  }
+
+  /**
+   * Broadcast a message to every authenticated client
    */
   broadcast(message) {
     if (!this.wss) return;
 
-    const data = JSON.stringify(message);
+    const data = serialize(message);
     this.wss.clients.forEach(ws => {
-      if (ws.readyState === ws.OPEN) {
+      if (ws.readyState === ws.OPEN && ws.authenticated) {
         ws.send(data);
       }
     });
   }
 
+  /**
+   * Pushes an event to the clients that subscribed to events and emits it for in process listeners
+   * like the notifier
+   * @param {string} event - e.g. pair.detected
+   * @param {Object} data
+   */
+  publish(event, data) {
+    this.emit(event, data);
+    if (!this.wss) return;
+
+    const message = serialize({ type: 'event', event, data });
+    this.wss.clients.forEach(ws => {
+      if (ws.readyState === ws.OPEN && ws.authenticated && ws.subscribed) {
+        ws.send(message);
+      }
+    });
+  }
+
   // Get rate limiter status
   getRateLimiterStatus() {
     return rateLimiter.getStatus();
@@ -362,3 +653,9 @@ export class WebSocketController extends EventEmitter {
     return Object.keys(this.tradingInstances);
   }
 }
+
+/**
+ * Positions and trade results hold BigInt amounts, they are sent as strings
+ */
+const serialize = message =>
+  JSON.stringify(message, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
@@ -0,0 +1,175 @@
+// Log line for each exit reason
+export const EXIT_LOGS = {
+  TARGET_HIT: '🚀 Target price reached!',
+  TAKE_PROFIT: '💰 Take profit tier reached!',
+  STOP_LOSS: '🛑 Stop loss triggered!',
+  TRAILING_STOP: '📉 Trailing stop triggered!',
+  TIME_EXIT: '⏰ Max hold time reached!',
+};
+
+// Exit reasons that sell at a loss limit rather than a profit target
+export const STOP_REASONS = ['STOP_LOSS', 'TRAILING_STOP'];
+
+/**
+ * Decides when and how much of a position to sell. It holds no chain state, the trading classes feed
+ * it prices from their Swap listeners and execute whatever it returns.
+ *
+ * - Take-profit tiers sell a percent of the original position once the price reaches a multiple of
+ *   the entry price. Without tiers the whole position is sold at the target price.
+ * - The stop ratchets up to highestPrice * (1 - trailingStop) when a trailing stop is set.
+ * - The whole position is sold after maxHoldMinutes if no take-profit tier has been hit yet.
+ *
+ * Stop and time exits keep firing on every update until the position is gone, so a failed sell is
+ * retried on the next swap.
+ */
+export class ExitStrategy {
+  /**
+   * Constructor
+   * @param {Object} params
+   * @param {number} params.entryPrice - price we bought at
+   * @param {number} params.entryTime - ms timestamp of the buy
+   * @param {number} params.targetPrice - sells everything here when there are no takeProfits
+   * @param {number} params.stopLoss - fixed stop loss price
+   * @param {number|null} params.trailingStop - fraction below the highest price to trail the stop
+   * @param {Array|null} params.takeProfits - [{ multiplier, percent }] of the original position
+   * @param {number|null} params.maxHoldMinutes - sell everything after this long without a target hit
+   * @param {number} params.highestPrice - highest price seen, restored after a restart
+   * @param {number} params.tiersHit - take-profit tiers already sold, restored after a restart
+   */
+  constructor({
+    entryPrice,
+    entryTime = Date.now(),
+    targetPrice,
+    stopLoss,
+    trailingStop = null,
+    takeProfits = null,
+    maxHoldMinutes = null,
+    highestPrice = entryPrice,
+    tiersHit = 0,
+  }) {
+    this.entryPrice = entryPrice;
+    this.entryTime = entryTime;
+    this.stopLoss = stopLoss;
+    this.trailingStop = trailingStop;
+    this.maxHoldMs = maxHoldMinutes ? maxHoldMinutes * 60000 : null;
+    this.highestPrice = Math.max(highestPrice ?? 0, entryPrice ?? 0);
+
+    // Tiers as absolute prices, the target price is a single tier selling everything
+    this.ladder = Boolean(takeProfits?.length && entryPrice);
+    this.tiers = this.ladder
+      ? [...takeProfits]
+          .sort((a, b) => a.multiplier - b.multiplier)
+          .map(({ multiplier, percent }) => ({ price: entryPrice * multiplier, percent }))
+      : targetPrice
+        ? [{ price: targetPrice, percent: 1 }]
+        : [];
+
+    this.tiersHit = tiersHit;
+    this.remaining = roundRemaining(
+      1 - this.tiers.slice(0, tiersHit).reduce((sum, { percent }) => sum + percent, 0)
+    );
+  }
+
+  /**
+   * Gets the current stop price, the trailing stop if it's above the fixed stop loss
+   * @returns {number|null}
+   */
+  getStopPrice() {
+    const trailing = this.trailingStop ? this.highestPrice * (1 - this.trailingStop) : null;
+
+    if (trailing && (!this.stopLoss || trailing > this.stopLoss)) {
+      return trailing;
+    }
+
+    return this.stopLoss || null;
+  }
+
+  /**
+   * Gets the price of the next take-profit tier, or the target price
+   * @returns {number|null}
+   */
+  getTargetPrice() {
+    return this.tiers[this.tiersHit]?.price ?? null;
+  }
+
+  /**
+   * Moves the target price and/or the fixed stop loss of a running position
+   * @param {Object} targets
+   * @param {number} [targets.targetPrice] - can't be set on a take-profit ladder
+   * @param {number} [targets.stopLoss]
+   */
+  setTargets({ targetPrice, stopLoss }) {
+    if (targetPrice !== undefined) {
+      if (this.ladder) {
+        throw new Error('The target of a take-profit ladder cannot be moved');
+      }
+      this.tiers = [{ price: targetPrice, percent: 1 }];
+    }
+
+    if (stopLoss !== undefined) {
+      this.stopLoss = stopLoss;
+    }
+  }
+
+  /**
+   * Gets the ms left until the time based exit, null if it no longer applies
+   * @param {number} now
+   * @returns {number|null}
+   */
+  getTimeLeft(now = Date.now()) {
+    if (!this.maxHoldMs || this.tiersHit > 0) return null;
+    return Math.max(0, this.entryTime + this.maxHoldMs - now);
+  }
+
+  /**
+   * Feeds a new price and gets the sell to make, if any
+   * @param {number} price - current price
+   * @param {number} now - ms timestamp of the price
+   * @returns {Object|null} { reason, portion } where portion is the fraction of the current
+   * holdings to sell
+   */
+  update(price, now = Date.now()) {
+    if (!price) return null;
+
+    this.highestPrice = Math.max(this.highestPrice, price);
+
+    // Take profits, several tiers can be crossed by a single swap
+    let percent = 0;
+    while (this.tiersHit < this.tiers.length && price >= this.tiers[this.tiersHit].price) {
+      percent += this.tiers[this.tiersHit].percent;
+      this.tiersHit++;
+    }
+
+    if (percent > 0) {
+      const portion = Math.min(1, percent / this.remaining);
+      this.remaining = roundRemaining(this.remaining - percent);
+
+      return { reason: this.remaining > 0 ? 'TAKE_PROFIT' : 'TARGET_HIT', portion };
+    }
+
+    // Stop loss, trailing or fixed
+    const stopPrice = this.getStopPrice();
+    if (stopPrice && price <= stopPrice) {
+      return { reason: stopPrice === this.stopLoss ? 'STOP_LOSS' : 'TRAILING_STOP', portion: 1 };
+    }
+
+    // Time based exit
+    if (this.getTimeLeft(now) === 0) {
+      return { reason: 'TIME_EXIT', portion: 1 };
+    }
+
+    return null;
+  }
+
+  /**
+   * State that needs to survive a restart
+   */
+  getState() {
+    return { highestPrice: this.highestPrice, tiersHit: this.tiersHit };
+  }
+}
+
+/**
+ * Treats float dust left after summing tier percents as nothing left
+ */
+const roundRemaining = remaining => (remaining > 1e-9 ? remaining : 0);
@@ -0,0 +1,127 @@
+import { ethers } from 'ethers';
+
+/**
+ * Simulated wallet used by the trading classes in dry-run mode. Keeps an ETH balance, token balances
+ * and the ETH cost basis of every token so realized P&L can be reported without sending transactions.
+ *
+ * All amounts are bigints in the smallest unit (wei / token units).
+ */
+export class PaperWallet {
+  /**
+   * Constructor
+   * @param {bigint} startingBalance - simulated ETH balance in wei
+   */
+  constructor(startingBalance) {
+    this.startingBalance = startingBalance;
+    this.balance = startingBalance;
+    this.tokens = new Map();
+    this.costBasis = new Map();
+    this.realizedPnl = 0n;
+    this.tradeCount = 0;
+  }
+
+  /**
+   * Gets the simulated ETH balance
+   * @returns {bigint}
+   */
+  getBalance() {
+    return this.balance;
+  }
+
+  /**
+   * Gets the simulated balance of a token
+   * @param {string} tokenAddress
+   * @returns {bigint}
+   */
+  getTokenBalance(tokenAddress) {
+    return this.tokens.get(tokenAddress.toLowerCase()) ?? 0n;
+  }
+
+  /**
+   * Adds tokens without spending ETH, used when recovering dry-run positions after a restart
+   * @param {string} tokenAddress
+   * @param {bigint} amount - token amount
+   * @param {bigint} cost - ETH that was spent on the tokens
+   */
+  seed(tokenAddress, amount, cost) {
+    const key = tokenAddress.toLowerCase();
+    this.tokens.set(key, this.getTokenBalance(key) + amount);
+    this.costBasis.set(key, (this.costBasis.get(key) ?? 0n) + cost);
+  }
+
+  /**
+   * Simulates buying tokens with ETH
+   * @param {string} tokenAddress
+   * @param {bigint} amountIn - ETH spent
+   * @param {bigint} amountOut - tokens received
+   * @returns {Object} fake transaction with a hash
+   */
+  buy(tokenAddress, amountIn, amountOut) {
+    if (this.balance < amountIn) {
+      throw new Error(
+        `Insufficient paper ETH. Need ${ethers.formatEther(amountIn)} ETH, have ${ethers.formatEther(
+          this.balance
+        )} ETH`
+      );
+    }
+
+    this.balance -= amountIn;
+    this.seed(tokenAddress, amountOut, amountIn);
+
+    return this.createTransaction();
+  }
+
+  /**
+   * Simulates selling tokens for ETH
+   * @param {string} tokenAddress
+   * @param {bigint} amountIn - tokens sold
+   * @param {bigint} amountOut - ETH received
+   * @returns {Object} fake transaction with a hash
+   */
+  sell(tokenAddress, amountIn, amountOut) {
+    const key = tokenAddress.toLowerCase();
+    const held = this.getTokenBalance(key);
+
+    if (held < amountIn) {
+      throw new Error(`Insufficient paper balance for ${tokenAddress}`);
+    }
+
+    // Portion of the cost basis that belongs to the tokens being sold
+    const totalCost = this.costBasis.get(key) ?? 0n;
+    const cost = (totalCost * amountIn) / held;
+
+    this.tokens.set(key, held - amountIn);
+    this.costBasis.set(key, totalCost - cost);
+    this.balance += amountOut;
+    this.realizedPnl += amountOut - cost;
+
+    if (held === amountIn) {
+      this.tokens.delete(key);
+      this.costBasis.delete(key);
+    }
+
+    return this.createTransaction();
+  }
+
+  /**
+   * Creates a fake transaction so dry-run trades can be told apart in logs and the journal
+   */
+  createTransaction() {
+    this.tradeCount++;
+    return { hash: `paper-${Date.now()}-${this.tradeCount}` };
+  }
+
+  /**
+   * Gets the simulated balances and realized P&L in ETH
+   * @returns {Object}
+   */
+  getSummary() {
+    return {
+      startingBalance: ethers.formatEther(this.startingBalance),
+      balance: ethers.formatEther(this.balance),
+      realizedPnl: ethers.formatEther(this.realizedPnl),
+      openTokens: this.tokens.size,
+      trades: this.tradeCount,
+    };
+  }
+}
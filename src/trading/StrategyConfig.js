@@ -0,0 +1,240 @@
+/**
+ * Trading strategy parameters loaded from data/strategy.json.
+ *
+ * The file is made of layers that are applied from least to most specific. Every layer can hold
+ * parameters, a v2/v3 layer and a base_tokens map keyed by base token address:
+ *
+ *   root -> root.v2|v3 -> root.base_tokens[base] -> chains[id] -> chains[id].v2|v3 -> ...
+ */
+
+// Values used for anything the config doesn't set
+export const DEFAULT_STRATEGY = {
+  buy_amount: 0.00001,
+  slippage: 0.02,
+  target_multiplier: 2,
+  stop_loss_multiplier: 0.5,
+  trailing_stop: null,
+  take_profits: null,
+  max_hold_minutes: null,
+  min_base_reserve: null,
+  min_market_cap: null,
+  max_market_cap: null,
+  max_price_impact: null,
+  min_base_reserve_usd: null,
+  min_market_cap_usd: null,
+  max_market_cap_usd: null,
+};
+
+// Validators for every parameter, each returns an error message or null
+const PARAM_VALIDATORS = {
+  buy_amount: value => (isNumber(value) && value > 0 ? null : 'must be a number greater than 0'),
+  slippage: value =>
+    isNumber(value) && value >= 0 && value < 1 ? null : 'must be a number between 0 and 1',
+  target_multiplier: value =>
+    isNumber(value) && value > 1 ? null : 'must be a number greater than 1',
+  stop_loss_multiplier: value =>
+    isNumber(value) && value > 0 && value < 1 ? null : 'must be a number between 0 and 1',
+  trailing_stop: value =>
+    value === null || (isNumber(value) && value > 0 && value < 1)
+      ? null
+      : 'must be null or a number between 0 and 1',
+  take_profits: value => validateTakeProfits(value),
+  max_hold_minutes: value =>
+    value === null || (isNumber(value) && value > 0) ? null : 'must be null or a number above 0',
+  min_base_reserve: value => validateOptionalMinimum(value),
+  min_market_cap: value => validateOptionalMinimum(value),
+  max_market_cap: value =>
+    value === null || (isNumber(value) && value > 0) ? null : 'must be null or a number above 0',
+  max_price_impact: value =>
+    value === null || (isNumber(value) && value > 0 && value < 1)
+      ? null
+      : 'must be null or a number between 0 and 1',
+  min_base_reserve_usd: value => validateOptionalMinimum(value),
+  min_market_cap_usd: value => validateOptionalMinimum(value),
+  max_market_cap_usd: value =>
+    value === null || (isNumber(value) && value > 0) ? null : 'must be null or a number above 0',
+};
+
+const VERSIONS = ['v2', 'v3'];
+
+export class StrategyConfig {
+  /**
+   * Constructor validates the config and throws listing every problem found
+   * @param {Object} config - parsed strategy.json
+   */
+  constructor(config = {}) {
+    const errors = [];
+    validateLayer(config, 'strategy', errors, { root: true });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid strategy config:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.config = config;
+  }
+
+  /**
+   * Resolves the parameters for a trade
+   * @param {string} chainId - id of blockchain
+   * @param {string} version - 'v2' or 'v3'
+   * @param {string} [baseToken] - base token of the pair
+   * @returns {Object} buyAmount, slippage, targetMultiplier, stopLossMultiplier, trailingStop,
+   * takeProfits, maxHoldMinutes, minBaseReserve, minMarketCap, maxMarketCap, maxPriceImpact,
+   * minBaseReserveUsd, minMarketCapUsd, maxMarketCapUsd
+   */
+  getParams(chainId, version, baseToken) {
+    let params = { ...DEFAULT_STRATEGY };
+    params = applyLayer(params, this.config, version, baseToken);
+    params = applyLayer(params, this.config.chains?.[String(chainId)], version, baseToken);
+
+    return {
+      buyAmount: params.buy_amount,
+      slippage: params.slippage,
+      targetMultiplier: params.target_multiplier,
+      stopLossMultiplier: params.stop_loss_multiplier,
+      trailingStop: params.trailing_stop,
+      takeProfits: params.take_profits,
+      maxHoldMinutes: params.max_hold_minutes,
+      minBaseReserve: params.min_base_reserve,
+      minMarketCap: params.min_market_cap,
+      maxMarketCap: params.max_market_cap,
+      maxPriceImpact: params.max_price_impact,
+      minBaseReserveUsd: params.min_base_reserve_usd,
+      minMarketCapUsd: params.min_market_cap_usd,
+      maxMarketCapUsd: params.max_market_cap_usd,
+    };
+  }
+}
+
+/**
+ * Validates a single parameter
+ * @param {string} key - parameter name e.g. target_multiplier
+ * @param {*} value
+ * @returns {string|null} error message
+ */
+export const validateParam = (key, value) =>
+  key in PARAM_VALIDATORS ? PARAM_VALIDATORS[key](value) : 'is not a known setting';
+
+/**
+ * Merges a layer's parameters, then its version layer, then its base token layer
+ */
+const applyLayer = (params, layer, version, baseToken) => {
+  if (!layer) return params;
+
+  params = { ...params, ...pickParams(layer) };
+
+  if (layer[version]) {
+    params = applyLayer(params, layer[version], version, baseToken);
+  }
+
+  if (baseToken && layer.base_tokens) {
+    const match = Object.keys(layer.base_tokens).find(
+      address => address.toLowerCase() === baseToken.toLowerCase()
+    );
+    if (match) {
+      params = { ...params, ...pickParams(layer.base_tokens[match]) };
+    }
+  }
+
+  return params;
+};
+
+/**
+ * Gets only the parameter keys of a layer
+ */
+const pickParams = layer =>
+  Object.fromEntries(Object.entries(layer).filter(([key]) => key in PARAM_VALIDATORS));
+
+/**
+ * Validates a layer and everything nested in it, pushing messages onto errors
+ */
+const validateLayer = (layer, path, errors, { root = false, inVersion = false } = {}) => {
+  if (!isObject(layer)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(layer)) {
+    const keyPath = `${path}.${key}`;
+
+    if (key in PARAM_VALIDATORS) {
+      const error = PARAM_VALIDATORS[key](value);
+      if (error) errors.push(`${keyPath} ${error}`);
+    } else if (VERSIONS.includes(key) && !inVersion) {
+      validateLayer(value, keyPath, errors, { inVersion: true });
+    } else if (key === 'base_tokens') {
+      if (!isObject(value)) {
+        errors.push(`${keyPath} must be an object keyed by token address`);
+        continue;
+      }
+      for (const [address, tokenLayer] of Object.entries(value)) {
+        if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+          errors.push(`${keyPath} has an invalid address: ${address}`);
+        }
+        validateParamsOnly(tokenLayer, `${keyPath}.${address}`, errors);
+      }
+    } else if (key === 'chains' && root) {
+      if (!isObject(value)) {
+        errors.push(`${keyPath} must be an object keyed by chain id`);
+        continue;
+      }
+      for (const [chainId, chainLayer] of Object.entries(value)) {
+        validateLayer(chainLayer, `${keyPath}.${chainId}`, errors);
+      }
+    } else {
+      errors.push(`${keyPath} is not a known setting`);
+    }
+  }
+};
+
+/**
+ * Validates a layer that may only hold parameters
+ */
+const validateParamsOnly = (layer, path, errors) => {
+  if (!isObject(layer)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  for (const [key, value] of Object.entries(layer)) {
+    if (!(key in PARAM_VALIDATORS)) {
+      errors.push(`${path}.${key} is not a known setting`);
+      continue;
+    }
+    const error = PARAM_VALIDATORS[key](value);
+    if (error) errors.push(`${path}.${key} ${error}`);
+  }
+};
+
+/**
+ * Take profits are a list of { multiplier, percent } whose percents add up to at most 1
+ */
+const validateTakeProfits = value => {
+  if (value === null) return null;
+
+  const error = 'must be null or a list of { multiplier > 1, percent 0-1 } adding up to at most 1';
+  if (!Array.isArray(value) || value.length === 0) return error;
+
+  const valid = value.every(
+    tier =>
+      isObject(tier) &&
+      Object.keys(tier).every(key => key === 'multiplier' || key === 'percent') &&
+      isNumber(tier.multiplier) &&
+      tier.multiplier > 1 &&
+      isNumber(tier.percent) &&
+      tier.percent > 0 &&
+      tier.percent <= 1
+  );
+  const total = value.reduce((sum, tier) => sum + (tier?.percent ?? 0), 0);
+
+  return valid && total <= 1 + 1e-9 ? null : error;
+};
+
+const validateOptionalMinimum = value =>
+  value === null || (isNumber(value) && value >= 0)
+    ? null
+    : 'must be null or a number of at least 0';
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
@@ -1,8 +1,7 @@
-import { Alchemy, Wallet } from "alchemy-sdk";
 import util from "util";
 import { exec } from "child_process";
 import dotenv from "dotenv";
-import { getAlchemySettings } from "../utils/getAlchemySettings.js";
+import { getProvider } from "../providers/index.js";
 
 const execPromise = util.promisify(exec);
 dotenv.config();
@@ -13,8 +12,8 @@ dotenv.config();
  * @returns
  */
 export const getWallet = async (chainId) => {
-  // Create Alchemy provider
-  const alchemy = new Alchemy(getAlchemySettings(String(chainId)));
+  // Get the chain's provider
+  const provider = getProvider(chainId);
 
   // Runs the cast wallet command to get the private key for the trading wallet
   let command = `cast wallet decrypt-keystore ${process.env.CAST_WALLET_NAME} --unsafe-password "${process.env.CAST_WALLET_PASSWORD}"`;
@@ -28,7 +27,6 @@ export const getWallet = async (chainId) => {
   // The private key is returned in the stdout
   const privateKey = stdout.slice(26).trim();
 
-  // Use ethers Wallet instead of Alchemy Wallet
-  // Connect the wallet to the Alchemy provider
-  return new Wallet(privateKey, alchemy);
+  // Connect the wallet to the provider
+  return provider.getSigner(privateKey);
 };
@@ -1,13 +1,25 @@
 import { UniswapV2 } from './UniswapV2.js';
 import { UniswapV3 } from './UniswapV3.js';
+import { StrategyConfig } from './StrategyConfig.js';
 import { chainIdToString } from '../utils/chainIdToString.js';
+import { isLocalChain } from '../providers/index.js';
 
 /**
  * Creates and initializes trading instances for all DEXs in the config
  * @param {Array} config - The JSON config array containing DEX information
+ * @param {StrategyConfig} strategy - Buy amount, slippage, target and stop loss settings
+ * @param {Object} [options]
+ * @param {boolean} [options.offline] - backfilling or replaying, only chains on a local node may
+ * trade for real
  * @returns {Object} Object containing all initialized trading instances
  */
-export async function createTradingInstances(config) {
+export async function createTradingInstances(
+  config,
+  strategy = new StrategyConfig(),
+  { offline = false } = {}
+) {
+  validateDexConfig(config);
+
   const instances = {};
 
   for (const dexConfig of config) {
@@ -17,13 +29,26 @@ export async function createTradingInstances(config) {
     if (v2?.factory && v2?.router) {
       const v2InstanceName = `${dex}${chain}V2`;
 
-      console.log(`Creating ${v2InstanceName} instance...`);
+      const v2DryRun = isDryRun(dexConfig, v2, offline);
+
+      console.log(`Creating ${v2InstanceName} instance${v2DryRun ? ' (dry run)' : ''}...`);
 
-      const v2Instance = new UniswapV2(chain_id, v2.router, v2.factory);
+      const v2Instance = new UniswapV2(chain_id, v2.router, v2.factory, {
+        name: v2InstanceName,
+        strategy,
+        dryRun: v2DryRun,
+        paperBalance: process.env.PAPER_BALANCE,
+        dex,
+        fee: v2.fee,
+        initCodeHash: v2.init_code_hash,
+      });
 
       // Initialize the instance
       await v2Instance.initialize();
 
+      // Re-arm the watchers of positions we still hold
+      await recoverInstancePositions(v2InstanceName, v2Instance);
+
       instances[v2InstanceName] = v2Instance;
       console.log(`✅ ${v2InstanceName} initialized successfully`);
     }
@@ -32,13 +57,27 @@ export async function createTradingInstances(config) {
     if (v3?.factory && v3?.router && v3?.quoter) {
       const v3InstanceName = `${dex}${chain}V3`;
 
-      console.log(`Creating ${v3InstanceName} instance...`);
+      const v3DryRun = isDryRun(dexConfig, v3, offline);
 
-      const v3Instance = new UniswapV3(chain_id, v3.router, v3.factory, v3.quoter);
+      console.log(`Creating ${v3InstanceName} instance${v3DryRun ? ' (dry run)' : ''}...`);
+
+      const v3Instance = new UniswapV3(chain_id, v3.router, v3.factory, v3.quoter, {
+        name: v3InstanceName,
+        strategy,
+        dryRun: v3DryRun,
+        paperBalance: process.env.PAPER_BALANCE,
+        dex,
+        feeTiers: v3.fee_tiers,
+        initCodeHash: v3.init_code_hash,
+        poolDeployer: v3.pool_deployer,
+      });
 
       // Initialize the instance
       await v3Instance.initialize();
 
+      // Re-arm the watchers of positions we still hold
+      await recoverInstancePositions(v3InstanceName, v3Instance);
+
       instances[v3InstanceName] = v3Instance;
       console.log(`✅ ${v3InstanceName} initialized successfully`);
     }
@@ -48,37 +87,149 @@ export async function createTradingInstances(config) {
 }
 
 /**
- * Helper function to get the correct trading instance based on token data
+ * An instance runs in dry-run mode when DRY_RUN=true or when dry_run is set on the dex entry or its
+ * v2/v3 section in uniswap.json. Offline runs are always dry-run unless the chain is a local node
+ * @param {Object} dexConfig - dex entry from uniswap.json
+ * @param {Object} versionConfig - the v2 or v3 section of the entry
+ * @param {boolean} [offline] - backfilling or replaying
+ * @returns {boolean}
+ */
+function isDryRun(dexConfig, versionConfig, offline = false) {
+  if (process.env.DRY_RUN === 'true') return true;
+  if (offline && !isLocalChain(dexConfig.chain_id)) return true;
+  return Boolean(versionConfig.dry_run ?? dexConfig.dry_run);
+}
+
+/**
+ * Validates the fork settings of every dex entry and throws listing every problem found. A factory
+ * can only be listed once since pairs are routed to the instance of the factory that created them
+ * @param {Array} config - dex entries from uniswap.json
+ */
+function validateDexConfig(config) {
+  const errors = [];
+  const factories = new Map();
+
+  config.forEach((dexConfig, i) => {
+    const name = `${dexConfig.dex ?? 'dex'}[${i}]`;
+
+    if (typeof dexConfig.dex !== 'string' || dexConfig.dex.length === 0) {
+      errors.push(`${name}.dex must be a non-empty string`);
+    }
+    if (
+      dexConfig.stale_after_seconds !== undefined &&
+      !(typeof dexConfig.stale_after_seconds === 'number' && dexConfig.stale_after_seconds > 0)
+    ) {
+      errors.push(`${name}.stale_after_seconds must be a number above 0`);
+    }
+    if (dexConfig.mempool !== undefined && typeof dexConfig.mempool !== 'boolean') {
+      errors.push(`${name}.mempool must be true or false`);
+    }
+
+    for (const version of ['v2', 'v3']) {
+      const versionConfig = dexConfig[version];
+      if (!versionConfig?.factory) continue;
+
+      const path = `${name}.${version}`;
+      const factory = `${dexConfig.chain_id}:${versionConfig.factory.toLowerCase()}`;
+      if (factories.has(factory)) {
+        errors.push(`${path}.factory is already used by ${factories.get(factory)}`);
+      }
+      factories.set(factory, path);
+
+      if (versionConfig.init_code_hash !== undefined && !isHash(versionConfig.init_code_hash)) {
+        errors.push(`${path}.init_code_hash must be a 32 byte hex string`);
+      }
+    }
+
+    const { v2, v3 } = dexConfig;
+    if (v2?.fee !== undefined && !(Number.isInteger(v2.fee) && v2.fee >= 0 && v2.fee < 10000)) {
+      errors.push(`${name}.v2.fee must be a whole number of basis points below 10000`);
+    }
+    if (
+      v3?.fee_tiers !== undefined &&
+      !(
+        Array.isArray(v3.fee_tiers) &&
+        v3.fee_tiers.length > 0 &&
+        v3.fee_tiers.every(fee => Number.isInteger(fee) && fee > 0 && fee < 1_000_000)
+      )
+    ) {
+      errors.push(`${name}.v3.fee_tiers must be a list of fee tiers in hundredths of a bip`);
+    }
+    if (v3?.position_manager !== undefined && !isAddress(v3.position_manager)) {
+      errors.push(`${name}.v3.position_manager must be an address`);
+    }
+    if (dexConfig.mempool) {
+      for (const [version, versionConfig] of [
+        ['v2', v2],
+        ['v3', v3],
+      ]) {
+        if (versionConfig?.factory && !versionConfig.init_code_hash) {
+          errors.push(`${name}.${version}.init_code_hash is needed to find pairs in the mempool`);
+        }
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid uniswap config:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+const isHash = value => typeof value === 'string' && /^0x[0-9a-fA-F]{64}$/.test(value);
+
+const isAddress = value => typeof value === 'string' && /^0x[0-9a-fA-F]{40}$/.test(value);
+
+/**
+ * Recovers the open positions of an instance, a failure here shouldn't stop the bot from starting
+ * @param {string} name - instance name
+ * @param {Object} instance - initialized trading instance
+ */
+async function recoverInstancePositions(name, instance) {
+  try {
+    const recovered = await instance.recoverPositions();
+    if (recovered > 0) {
+      console.log(`♻️  Recovered ${recovered} open position(s) for ${name}`);
+    }
+  } catch (error) {
+    console.error(`❌ Failed to recover positions for ${name}:`, error);
+  }
+}
+
+/**
+ * Helper function to get the correct trading instance based on token data. Pairs are traded on the
+ * instance of the factory that created them, so a pair is never swapped through another dex's router
  * @param {Object} instances - All trading instances
- * @param {Object} token - Token data containing chain and version info
+ * @param {Object} token - Token data containing chain, version, dex and factory info
  * @returns {Object|null} The appropriate trading instance
  */
 export function getTradingInstance(instances, token) {
-  const { chainId, v3 } = token;
-
-  const chain = chainIdToString(chainId);
+  const { chainId, v3, dex, factoryAddress } = token;
 
   // Determine version
   const version = v3 ? 'V3' : 'V2';
 
-  // Try to find instance by chain name first
-  let instanceName = `uniswap${chain}${version}`;
+  // Match the factory that emitted the pair
+  if (factoryAddress) {
+    const instance = Object.values(instances).find(
+      instance =>
+        String(instance.chainId) === String(chainId) &&
+        instance instanceof UniswapV3 === Boolean(v3) &&
+        instance.factoryAddress.toLowerCase() === factoryAddress.toLowerCase()
+    );
 
-  if (instances[instanceName]) {
-    return instances[instanceName];
-  }
+    if (instance) return instance;
+  } else {
+    // Tokens from clients that don't send the factory go by dex and chain name
+    const chain = chainIdToString(chainId);
+    const instanceName = `${dex ?? 'uniswap'}${chain}${version}`;
 
-  // If not found by chain name, try to find by chain ID
-  for (const [name, instance] of Object.entries(instances)) {
-    if (instance.chainId === chainId || instance.chainId === String(chainId)) {
-      if (name.includes(version)) {
-        return instance;
-      }
+    if (instances[instanceName]) {
+      return instances[instanceName];
     }
   }
 
   console.warn(
-    `No trading instance found for chain: ${chain}, chainId: ${chainId}, version: ${version}`
+    `No trading instance found for chainId: ${chainId}, version: ${version}, dex: ${dex ?? 'unknown'}, factory: ${factoryAddress ?? 'unknown'}`
   );
   return null;
 }
@@ -0,0 +1,80 @@
+import { formatUsd } from '../utils/formatUsd.js';
+
+/**
+ * Checks if any pre-trade filter is set in the strategy parameters
+ * @param {Object} params - parameters from StrategyConfig.getParams
+ * @returns {boolean}
+ */
+export const hasTradeFilters = params =>
+  [
+    params.minBaseReserve,
+    params.minMarketCap,
+    params.maxMarketCap,
+    params.maxPriceImpact,
+    params.minBaseReserveUsd,
+    params.minMarketCapUsd,
+    params.maxMarketCapUsd,
+  ].some(value => value !== null && value !== undefined);
+
+/**
+ * Compares the stats of a pair/pool with the pre-trade filters of the strategy
+ * @param {Object} stats - from getPoolStats of a trading instance
+ * @param {number} stats.baseReserve - base tokens in the pair/pool
+ * @param {bigint|null} stats.inRangeLiquidity - V3 in-range liquidity, null for V2
+ * @param {number} stats.marketCap - market cap in the base token
+ * @param {number|null} stats.priceImpact - price impact of our buy, null when it can't be quoted
+ * @param {number|null} stats.baseReserveUsd - base reserve in USD, null without a USD price
+ * @param {number|null} stats.marketCapUsd - market cap in USD, null without a USD price
+ * @param {Object} params - parameters from StrategyConfig.getParams
+ * @returns {Array<string>} why the pair was rejected, empty if it passed
+ */
+export const getFilterFailures = (stats, params) => {
+  const failures = [];
+
+  if (stats.inRangeLiquidity === 0n) {
+    failures.push('No in-range liquidity');
+  }
+
+  if (params.minBaseReserve !== null && stats.baseReserve < params.minBaseReserve) {
+    failures.push(`Base reserve ${stats.baseReserve} is below ${params.minBaseReserve}`);
+  }
+
+  if (params.minMarketCap !== null && stats.marketCap < params.minMarketCap) {
+    failures.push(`Market cap ${stats.marketCap} is below ${params.minMarketCap}`);
+  }
+
+  if (params.maxMarketCap !== null && stats.marketCap > params.maxMarketCap) {
+    failures.push(`Market cap ${stats.marketCap} is above ${params.maxMarketCap}`);
+  }
+
+  if (params.maxPriceImpact !== null) {
+    if (stats.priceImpact === null) {
+      failures.push('Price impact could not be quoted');
+    } else if (stats.priceImpact > params.maxPriceImpact) {
+      failures.push(
+        `Price impact ${(stats.priceImpact * 100).toFixed(2)}% is above ${params.maxPriceImpact * 100}%`
+      );
+    }
+  }
+
+  // USD limits can't be checked without a USD price of the base token, so they reject the pair
+  const usdLimits = [
+    ['Base reserve', stats.baseReserveUsd, params.minBaseReserveUsd, null],
+    ['Market cap', stats.marketCapUsd, params.minMarketCapUsd, params.maxMarketCapUsd],
+  ];
+  for (const [name, value, min, max] of usdLimits) {
+    const hasMin = min !== null && min !== undefined;
+    const hasMax = max !== null && max !== undefined;
+    if (!hasMin && !hasMax) continue;
+
+    if (value === null || value === undefined) {
+      failures.push(`${name} in USD could not be priced`);
+    } else if (hasMin && value < min) {
+      failures.push(`${name} ${formatUsd(value)} is below ${formatUsd(min)}`);
+    } else if (hasMax && value > max) {
+      failures.push(`${name} ${formatUsd(value)} is above ${formatUsd(max)}`);
+    }
+  }
+
+  return failures;
+};
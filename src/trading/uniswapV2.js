@@ -1,8 +1,21 @@
 import { createRequire } from 'module';
+import { EventEmitter } from 'events';
 import { ethers } from 'ethers';
-import { Alchemy } from 'alchemy-sdk';
 import { getWallet } from './getWallet.js';
-import { getAlchemySettings } from '../utils/getAlchemySettings.js';
+import { PaperWallet } from './PaperWallet.js';
+import { StrategyConfig, DEFAULT_STRATEGY } from './StrategyConfig.js';
+import { ExitStrategy, EXIT_LOGS, STOP_REASONS } from './ExitStrategy.js';
+import { getFilterFailures, hasTradeFilters } from './tradeFilters.js';
+import { getProvider, getSubscriptions } from '../providers/index.js';
+import { getRelay } from '../relay/index.js';
+import { getGasManager } from '../gas/index.js';
+import { getSellAction } from '../gas/GasManager.js';
+import { getNonceManager } from '../nonce/index.js';
+import { getGasSpent } from '../utils/getGasSpent.js';
+import { journal } from '../database/index.js';
+import { usdOracle } from '../pricing/index.js';
+import { tokenRegistry } from '../utils/newTokenChecker.js';
+import { formatUsd } from '../utils/formatUsd.js';
 
 // Allows us to use require
 const require = createRequire(import.meta.url);
@@ -15,16 +28,35 @@ const { abi: UNISWAP_V2_PAIR_ABI } = require('@uniswap/v2-core/build/UniswapV2Pa
 const { abi: UNISWAP_V2_FACTORY_ABI } = require('@uniswap/v2-core/build/UniswapV2Factory.json');
 const { abi: ERC20_ABI } = require('@uniswap/v2-core/build/ERC20.json');
 
+// Swap fee of Uniswap V2 in basis points, forks can set their own in uniswap.json
+const DEFAULT_FEE_BPS = 30;
+
+// Back-runs can't be estimated before the pair exists, enough for a single hop ETH -> token swap
+const BACKRUN_GAS_LIMIT = 300_000n;
+
 /**     ****************   BUYS ARE IN ETH    ******************
  * This class has the functionality to trade tokens on uniswap v2 and comes with some helper functions that get prices, token amounts, set/remove swap listeners
  * keeps a list of positions, sets stop loss & target price.
  *
- * Hard coded to buy 0.00001 ETH and hard coded to sell 100% of a position. These values should be changed if one chooses to run this.
+ * Swaps hop through the pair's base token when it isn't WETH (WETH -> USDC -> token) and positions are priced in the base token.
+ *
+ * Buy amount, slippage and exits come from the StrategyConfig (data/strategy.json). Exits are decided by an ExitStrategy
+ * which can sell the whole position or part of it.
+ *
+ * Emits buy.filled, sell.filled, stoploss.hit and trade.error with the instance, chain and token so
+ * notifications don't have to parse the logs.
+ *
+ * Swaps are sent through the chain's private relay when data/relay.json sets one. Tokens found by the
+ * mempool listener carry the pending liquidity add, they are priced from its amounts and bought in a
+ * bundle right behind it.
+ *
+ * Fees come from the chain's GasManager (data/gas.json) with the action the swap is for, so stop
+ * losses can outbid take profits.
  */
-export class UniswapV2 {
+export class UniswapV2 extends EventEmitter {
   chainId;
   wallet;
-  alchemy;
+  provider;
   wethAddress;
   routerAddress;
   factoryAddress;
@@ -36,12 +68,33 @@ export class UniswapV2 {
    * @param {string} chainId - id of blockchain
    * @param {string} routerAddress a uniswap based router address
    * @param {string} factoryAddress a uniswap based factory address
+   * @param {Object} options
+   * @param {string} options.name - instance name used in the trade journal
+   * @param {StrategyConfig} options.strategy - buy amount, slippage, target and stop loss settings
+   * @param {boolean} options.dryRun - simulate trades with a PaperWallet instead of sending transactions
+   * @param {string} options.paperBalance - starting ETH of the PaperWallet
+   * @param {string} options.dex - id of the dex in uniswap.json
+   * @param {number} options.fee - swap fee of the fork in basis points, 30 on Uniswap
+   * @param {string} options.initCodeHash - pair init code hash, pair addresses are computed locally when set
    */
-  constructor(chainId, routerAddress, factoryAddress) {
+  constructor(chainId, routerAddress, factoryAddress, options = {}) {
+    super();
     this.chainId = chainId;
+    this.name = options.name ?? `V2-${chainId}`;
+    this.dex = options.dex ?? 'uniswap';
     this.routerAddress = routerAddress;
     this.factoryAddress = factoryAddress;
 
+    // Forks differ in swap fee and pair bytecode
+    this.feeBps = BigInt(options.fee ?? DEFAULT_FEE_BPS);
+    this.initCodeHash = options.initCodeHash ?? null;
+
+    // Dry-run trades are quoted on chain but settled against the paper wallet
+    this.dryRun = Boolean(options.dryRun);
+    this.paperWallet = this.dryRun
+      ? new PaperWallet(ethers.parseEther(String(options.paperBalance ?? 1)))
+      : null;
+
     // Interfaces for decoding
     this.pairInterface = new ethers.Interface(UNISWAP_V2_PAIR_ABI);
     this.erc20Interface = new ethers.Interface(ERC20_ABI);
@@ -50,8 +103,9 @@ export class UniswapV2 {
     this.listeners = new Map();
     this.positions = new Map();
 
-    // Default settings
-    this.slippageTolerance = 0.02; // 2%
+    // Strategy parameters, the slippage here is the fallback for positions without their own
+    this.strategy = options.strategy ?? new StrategyConfig();
+    this.slippageTolerance = this.strategy.getParams(chainId, 'v2').slippage;
   }
 
   /**
@@ -61,8 +115,18 @@ export class UniswapV2 {
     // Create a wallet instance
     this.wallet = await getWallet(this.chainId);
 
-    // Get an alchemy instance
-    this.alchemy = new Alchemy(getAlchemySettings(String(this.chainId)));
+    // Shared provider of the chain, Alchemy or the rpc URLs set in uniswap.json
+    this.provider = getProvider(this.chainId);
+    this.subscriptions = getSubscriptions(this.chainId);
+
+    // Swaps skip the public mempool when the chain has a private relay in relay.json
+    this.relay = getRelay(this.chainId);
+
+    // Fees from data/gas.json, public swaps that get stuck are sped up or cancelled
+    this.gas = getGasManager(this.chainId);
+
+    // Nonces of the wallet, shared with the other instances of the chain sending from it
+    this.nonces = getNonceManager(this.chainId);
 
     // Router contract
     this.routerContract = new ethers.Contract(
@@ -88,93 +152,84 @@ export class UniswapV2 {
    * @returns
    */
   async buyToken(token) {
-    const ethAmount = 0.000001;
     const tokenAddress = token.newTokenAddress;
+    const { buyAmount, slippage, targetMultiplier, stopLossMultiplier, ...exitParams } =
+      this.getStrategy(token);
+
+    // A pending liquidity add is priced from the amounts it adds, the pair doesn't exist yet
+    const launch = token.liquidityAdd ?? null;
 
     // Get currentPrice, targetPrice, and stop loss for the token pair
-    const { currentPrice, targetPrice, stopLoss } = await this.getTargetAndStopLoss(tokenAddress);
+    const { currentPrice, targetPrice, stopLoss } = await this.getTargetAndStopLoss(
+      tokenAddress,
+      token.baseTokenAddress,
+      targetMultiplier,
+      stopLossMultiplier,
+      launch ? await this.getLaunchPrice(token) : null
+    );
+    const entryPriceUsd = await this.toUsd(currentPrice, token.baseTokenAddress);
 
     // Parameters for swap
     const deadline = Math.floor(Date.now() / 1000) + 120; // 2 min deadline
-    const path = [this.wethAddress, tokenAddress]; // WETH to token path
-    const amountIn = ethers.parseEther(ethAmount.toString()); // Amount of ETH to spend
-
-    // Check ETH balance first
-    const ethBalance = await this.getETHBalance();
+    const path = this.getBuyPath(tokenAddress, token.baseTokenAddress); // WETH to token path
+    const amountIn = ethers.parseEther(buyAmount.toFixed(18)); // Amount of ETH to spend
 
     // Get expected output
-    const amountsOut = await this.routerContract.getAmountsOut(amountIn, path);
-    const expectedOut = amountsOut[1];
-    const minAmountOut =
-      (expectedOut * BigInt(Math.floor((1 - this.slippageTolerance) * 1000))) / 1000n;
-
-    // Estimate gas for the transaction
-    const gasEstimate = await this.routerContract.swapExactETHForTokens.estimateGas(
-      minAmountOut,
-      path,
-      this.wallet.address,
-      deadline,
-      { value: amountIn }
-    );
-
-    // Convert to BigInt and add 20% buffer
-    const gasEstimateBigInt = gasEstimate.toBigInt ? gasEstimate.toBigInt() : BigInt(gasEstimate);
-    const gasLimit = (gasEstimateBigInt * 120n) / 100n;
-
-    // Calculate gas cost using Alchemy provider
-    const gasPrice = await this.alchemy.core.getGasPrice();
-    const gasPriceBigInt = gasPrice.toBigInt ? gasPrice.toBigInt() : BigInt(gasPrice);
-    const gasCost = gasLimit * gasPriceBigInt;
-
-    // Check if we have enough ETH for swap + gas
-    const totalCost = amountIn + gasCost;
-    if (ethBalance < totalCost) {
-      throw new Error(
-        `Insufficient ETH. Need ${ethers.formatEther(totalCost)} ETH, have ${ethers.formatEther(
-          ethBalance
-        )} ETH`
-      );
+    let expectedOut;
+    if (launch) {
+      expectedOut = this.getLaunchAmountOut(launch, amountIn);
+    } else {
+      const amountsOut = await this.routerContract.getAmountsOut(amountIn, path);
+      expectedOut = amountsOut[amountsOut.length - 1];
     }
+    const minAmountOut = (expectedOut * BigInt(Math.floor((1 - slippage) * 1000))) / 1000n;
 
     let tx;
-    // Make the swap
-    try {
-      tx = await this.routerContract.swapExactETHForTokens(
-        minAmountOut,
-        path,
-        this.wallet.address,
-        deadline
-      );
-    } catch (error) {
-      console.error('****    UNISWAP V2 BUY FAILED   ****');
-      return false;
-    }
-
-    // Get the transaction receipt
     let receipt = null;
-    for (let i = 0; i < 6; i++) {
-      // Try 6 times (30 seconds total)
-      try {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 5 seconds each time
-        receipt = await this.alchemy.core.getTransactionReceipt(tx.hash);
-        if (receipt && receipt.blockNumber) {
-          console.log(`**** UNISWAP V3 BUY SUCCESS ON BLOCK: ${receipt.blockNumber}`);
-          break;
-        }
-      } catch (error) {
-        console.log(`Attempt ${i + 1}: Receipt not ready yet...`);
+    if (this.dryRun) {
+      // Fill the paper trade at the quoted amount
+      tx = this.paperWallet.buy(tokenAddress, amountIn, expectedOut);
+      console.log(`📝 PAPER BUY ${tokenAddress} - ${buyAmount} ETH`);
+    } else {
+      tx = launch
+        ? await this.sendBackrun(launch, amountIn, minAmountOut, path, deadline)
+        : await this.sendBuy(amountIn, minAmountOut, path, deadline);
+      if (!tx) {
+        this.emitTradeEvent('trade.error', { tokenAddress, action: 'buy', error: 'Swap failed' });
+        return false;
       }
+
+      receipt = tx.receipt;
     }
 
-    // Warning if we didn't get a receipt
-    if (!receipt) {
-      console.warn('Transaction sent but could not confirm receipt after 30 seconds');
+    // Journal the buy, a failed write shouldn't stop us from watching the position
+    let positionId = null;
+    try {
+      positionId = journal.recordBuy({
+        instance: this.name,
+        token,
+        amountIn,
+        amount: expectedOut,
+        entryPrice: currentPrice,
+        entryPriceUsd,
+        targetPrice,
+        stopLoss,
+        txHash: tx.hash,
+        gasSpent: getGasSpent(receipt),
+        dryRun: this.dryRun,
+      });
+    } catch (error) {
+      console.error('Failed to journal buy:', error);
     }
 
     // Store position info
     this.positions.set(tokenAddress, {
       ...token,
+      positionId,
+      slippage,
+      exitParams,
       entryPrice: currentPrice,
+      entryPriceUsd,
       amount: expectedOut,
       entryTime: Date.now(),
       txHash: tx.hash,
@@ -193,24 +248,133 @@ export class UniswapV2 {
       throw new Error('****   TARGET LISTENER FAILED TO START   ****');
     }
 
+    this.emitTradeEvent('buy.filled', {
+      tokenAddress,
+      pairAddress: token.pairAddress,
+      amountIn,
+      amount: expectedOut,
+      entryPrice: currentPrice,
+      entryPriceUsd,
+      txHash: tx.hash,
+      ...this.getTradeTokens(token.baseTokenAddress),
+    });
+
     return {
       success: true,
       txHash: tx.hash,
       entryPrice: currentPrice,
+      entryPriceUsd,
       amount: expectedOut,
       entryTime: Date.now(),
     };
   }
 
   /**
-   * Sells 100% of a token position
+   * Checks we can afford the swap plus gas and sends the ETH -> token swap
+   * @param {bigint} amountIn - ETH to spend
+   * @param {bigint} minAmountOut - minimum tokens to receive
+   * @param {Array<string>} path - swap path
+   * @param {number} deadline - swap deadline in seconds
+   * @returns the sent transaction or false if the swap failed
+   */
+  async sendBuy(amountIn, minAmountOut, path, deadline) {
+    // Check ETH balance first
+    const ethBalance = await this.getETHBalance();
+
+    // Estimate gas and set the buy fees, throws when it would cost over max_gas_spend_eth
+    const swap = await this.gas.prepare(
+      this.wallet,
+      await this.routerContract.swapExactETHForTokens.populateTransaction(
+        minAmountOut,
+        path,
+        this.wallet.address,
+        deadline,
+        { value: amountIn }
+      ),
+      'buy'
+    );
+
+    // Check if we have enough ETH for swap + gas at the max fee
+    const totalCost = amountIn + this.gas.getMaxCost(swap);
+    if (ethBalance < totalCost) {
+      throw new Error(
+        `Insufficient ETH. Need ${ethers.formatEther(totalCost)} ETH, have ${ethers.formatEther(
+          ethBalance
+        )} ETH`
+      );
+    }
+
+    // Make the swap
+    let tx;
+    try {
+      tx = await this.sendTransaction(swap, 'buy');
+    } catch (error) {
+      console.error('****    UNISWAP V2 BUY FAILED   ****');
+      return false;
+    }
+
+    return tx;
+  }
+
+  /**
+   * Sends the ETH -> token swap in a bundle right behind a pending liquidity add, it is never
+   * broadcast publicly as it would revert without the pair
+   * @param {Object} liquidityAdd - pending liquidity add from the mempool listener
+   * @param {bigint} amountIn - ETH to spend
+   * @param {bigint} minAmountOut - minimum tokens to receive
+   * @param {Array<string>} path - swap path
+   * @param {number} deadline - swap deadline in seconds
+   * @returns the sent transaction or false if the bundle failed or wasn't mined
+   */
+  async sendBackrun(liquidityAdd, amountIn, minAmountOut, path, deadline) {
+    if (!this.relay) {
+      console.error(`****    NO RELAY TO BACK-RUN ON CHAIN ${this.chainId}   ****`);
+      return false;
+    }
+
+    try {
+      const tx = await this.routerContract.swapExactETHForTokens.populateTransaction(
+        minAmountOut,
+        path,
+        this.wallet.address,
+        deadline,
+        { value: amountIn }
+      );
+      const prepared = await this.gas.prepare(
+        this.wallet,
+        { ...tx, gasLimit: BACKRUN_GAS_LIMIT },
+        'buy'
+      );
+
+      // A bundle that wasn't mined gives its nonce back
+      const result = await this.nonces.send(this.wallet.address, async nonce => {
+        const sent = await this.relay.sendBundle(this.wallet, [liquidityAdd.signedTx], {
+          ...prepared,
+          nonce,
+        });
+        if (!sent.included) throw new Error('Back-run bundle was not mined');
+        return sent;
+      });
+
+      return { ...result, receipt: await this.waitForReceipt(result.hash) };
+    } catch (error) {
+      console.error('****    UNISWAP V2 BACK-RUN FAILED   ****', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Sells a token position, all of it unless an amount is given
    * @param {string} tokenAddress
+   * @param {string} reason - why we are selling, recorded in the trade journal
+   * @param {bigint} [amount] - tokens to sell, capped at the balance
    * @returns
    */
-  async sellToken(tokenAddress) {
-    // Set up swap parameters
+  async sellToken(tokenAddress, reason = 'MANUAL', amount = null) {
+    // Set up swap parameters, back through the base token when the pair isn't against WETH
     const deadline = Math.floor(Date.now() / 1000) + 120;
-    const path = [tokenAddress, this.wethAddress];
+    const baseTokenAddress = this.positions.get(tokenAddress)?.baseTokenAddress;
+    const path = this.getBuyPath(tokenAddress, baseTokenAddress).reverse();
 
     // Get token info
     const decimals = await this.getTokenDecimals(tokenAddress);
@@ -221,58 +385,145 @@ export class UniswapV2 {
     console.log(`📊 Token Balance: ${ethers.formatUnits(tokenBalance, decimals)}`);
     console.log(`📊 Decimals: ${decimals}`);
 
-    // Use the full balance
-    const amountIn = tokenBalance;
+    // Use the requested amount or the full balance
+    const amountIn = amount && amount < tokenBalance ? amount : tokenBalance;
+    const partial = amountIn < tokenBalance;
 
     // Return if we don't have tokens
     if (amountIn === 0n) {
       throw new Error('No tokens to sell!');
     }
 
-    // Make token contract instance
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
-
-    // approve the tx amount
-    await tokenContract.approve(
-      this.routerAddress,
-      ethers.MaxUint256 // Approve unlimited
-    );
-
     // Get the estimated amount out and calculate the minAmountout
     const amountsOut = await this.routerContract.getAmountsOut(amountIn, path);
-    const expectedOut = amountsOut[1];
-    const minAmountOut =
-      (expectedOut * BigInt(Math.floor((1 - this.slippageTolerance) * 1000))) / 1000n;
+    const expectedOut = amountsOut[amountsOut.length - 1];
+    const slippage = this.positions.get(tokenAddress)?.slippage ?? this.slippageTolerance;
+    const minAmountOut = (expectedOut * BigInt(Math.floor((1 - slippage) * 1000))) / 1000n;
 
     let tx;
-    // Make the swap
+    let receipt = null;
+    if (this.dryRun) {
+      // Fill the paper trade at the quoted amount
+      tx = this.paperWallet.sell(tokenAddress, amountIn, expectedOut);
+      console.log(`📝 PAPER SELL ${tokenAddress} - ${ethers.formatEther(expectedOut)} ETH`);
+      console.log('📝 Paper wallet:', this.paperWallet.getSummary());
+    } else {
+      // Make token contract instance
+      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
+      const action = getSellAction(reason);
+
+      // Make the swap once the router may take the tokens, the swap's gas can't be estimated before
+      try {
+        await this.approveRouter(tokenContract, amountIn, action);
+
+        const swap = await this.gas.prepare(
+          this.wallet,
+          await this.routerContract.swapExactTokensForETH.populateTransaction(
+            amountIn,
+            minAmountOut,
+            path,
+            this.wallet.address,
+            deadline
+          ),
+          action
+        );
+        tx = await this.sendTransaction(swap, action);
+      } catch (error) {
+        console.error('****   UNISWAP V2 SELL FAILED   ****');
+        this.emitTradeEvent('trade.error', { tokenAddress, action: 'sell', error: error.message });
+        return { success: false, error: error.message };
+      }
+
+      receipt = tx.receipt;
+    }
+
+    // Price we sold at in terms of the base token, the first hop of the path
+    const baseDecimals = await this.getTokenDecimals(path[1]);
+    const exitPrice =
+      parseFloat(ethers.formatUnits(amountsOut[1], baseDecimals)) /
+      parseFloat(ethers.formatUnits(amountIn, decimals));
+    const exitPriceUsd = await this.toUsd(exitPrice, baseTokenAddress);
+    const position = this.positions.get(tokenAddress);
+
     try {
-      tx = await this.routerContract.swapExactTokensForETH(
+      journal.recordSell({
+        positionId: position?.positionId,
+        tokenAddress,
         amountIn,
-        minAmountOut,
-        path,
-        this.wallet.address,
-        deadline
-      );
+        amountOut: expectedOut,
+        exitPrice,
+        exitPriceUsd,
+        txHash: tx.hash,
+        gasSpent: getGasSpent(receipt),
+        reason,
+        closePosition: !partial,
+      });
     } catch (error) {
-      console.error('****   UNISWAP V2 SELL FAILED   ****');
-      return { success: false, error: error.message };
+      console.error('Failed to journal sell:', error);
     }
 
-    // remove the target listener
-    await this.stopTargetListener(tokenAddress);
+    // Keep watching what's left after a partial sell
+    if (!partial) {
+      // remove the target listener
+      await this.stopTargetListener(tokenAddress);
+
+      // Remove the the token from the positions
+      this.positions.delete(tokenAddress);
+    }
 
-    // Remove the the token from the positions
-    this.positions.delete(tokenAddress);
+    this.emitTradeEvent('sell.filled', {
+      tokenAddress,
+      reason,
+      partial,
+      amountOut: expectedOut,
+      exitPrice,
+      exitPriceUsd,
+      pnl: position?.entryPrice ? exitPrice / position.entryPrice - 1 : null,
+      txHash: tx.hash,
+      ...this.getTradeTokens(baseTokenAddress),
+    });
 
     return {
       success: true,
       txHash: tx.hash,
+      amountIn,
       amountOut: expectedOut,
+      partial,
+      exitPrice,
+      exitPriceUsd,
       exitTime: Date.now(),
     };
   }
 
+  /**
+   * Polls for a transaction receipt
+   * @param {string} txHash
+   * @returns the receipt or null if it wasn't mined in time
+   */
+  async waitForReceipt(txHash) {
+    let receipt = null;
+    for (let i = 0; i < 6; i++) {
+      // Try 6 times (30 seconds total)
+      try {
+        await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds each time
+        receipt = await this.provider.core.getTransactionReceipt(txHash);
+        if (receipt && receipt.blockNumber) {
+          console.log(`**** UNISWAP V2 TX CONFIRMED ON BLOCK: ${receipt.blockNumber}`);
+          break;
+        }
+      } catch (error) {
+        console.log(`Attempt ${i + 1}: Receipt not ready yet...`);
+      }
+    }
+
+    // Warning if we didn't get a receipt
+    if (!receipt) {
+      console.warn('Transaction sent but could not confirm receipt after 30 seconds');
+    }
+
+    return receipt;
+  }
+
   /**
    * Starts a target listener on a token for swap events
    * @param {string} tokenAddress
@@ -289,42 +540,78 @@ export class UniswapV2 {
         topics: [this.pairInterface.getEvent('Swap').topicHash],
       };
 
-      // Listener that checks the stopLoss and targetPrice. If we hit one of them it sells all of the tokens
+      // Decides when to sell, picks up the trailing stop and tiers hit before a restart
+      const position = this.positions.get(tokenAddress);
+      const exit = new ExitStrategy({
+        ...position?.exitParams,
+        ...position?.exitState,
+        entryPrice: position?.entryPrice,
+        entryTime: position?.entryTime,
+        targetPrice,
+        stopLoss,
+      });
+
+      // Listener that feeds the price to the exit strategy and sells whatever it asks for
       const listener = async () => {
         try {
           console.log('🔄 Swap event detected');
 
-          const currentPrice = await this.getPrice(tokenAddress);
           const position = this.positions.get(tokenAddress);
+          if (!position || position.selling) return;
 
-          if (!position) return;
+          const currentPrice = await this.getPrice(tokenAddress, position.baseTokenAddress);
 
-          console.log(`Current price: $${currentPrice}`);
-          console.log(`Target: $${targetPrice}, Stop Loss: $${stopLoss}`);
+          const currentPriceUsd = await this.toUsd(currentPrice, position.baseTokenAddress);
+          console.log(`Current price: ${currentPrice} (${formatUsd(currentPriceUsd)})`);
+          console.log(`Target: ${exit.getTargetPrice()}, Stop: ${exit.getStopPrice()}`);
 
-          // Check target price
-          if (targetPrice && currentPrice >= targetPrice) {
-            console.log('🚀 Target price reached! Executing sell...');
-            await this.executeSell(tokenAddress, 'TARGET_HIT');
+          const before = exit.getState();
+          const action = exit.update(currentPrice);
+          const after = exit.getState();
+
+          if (after.highestPrice !== before.highestPrice || after.tiersHit !== before.tiersHit) {
+            position.exitState = after;
+            this.saveExitState(position.positionId, after);
           }
 
-          // Check stop loss
-          if (stopLoss && currentPrice <= stopLoss) {
-            console.log('🛑 Stop loss triggered! Executing sell...');
-            await this.executeSell(tokenAddress, 'STOP_LOSS');
+          if (!action) return;
+
+          // Stops keep firing until the sell goes through, only the first one is reported
+          if (STOP_REASONS.includes(action.reason) && !position.stopHit) {
+            position.stopHit = true;
+            this.emitTradeEvent('stoploss.hit', {
+              tokenAddress,
+              reason: action.reason,
+              price: currentPrice,
+              stopPrice: exit.getStopPrice(),
+            });
           }
+
+          console.log(`${EXIT_LOGS[action.reason]} Executing sell...`);
+          await this.executeSell(tokenAddress, action.reason, action.portion);
         } catch (error) {
           console.error('Error in swap listener:', error);
+          this.emitTradeEvent('trade.error', {
+            tokenAddress,
+            action: 'watch',
+            error: error.message,
+          });
         }
       };
 
-      // Start listening
-      this.alchemy.ws.on(filter, listener);
+      // Start listening, after a reconnect only the newest missed swap is replayed
+      await this.subscriptions.subscribe(filter, listener, { backfill: 'last' });
+
+      // Pools can go quiet so the time based exit gets its own timer
+      const timeLeft = exit.getTimeLeft();
+      const timer = timeLeft === null ? null : setTimeout(listener, timeLeft + 1000);
 
       // Store listener info
       this.listeners.set(tokenAddress, {
         filter,
         listener,
+        timer,
+        exit,
         tokenAddress,
         pairAddress,
         targetPrice,
@@ -353,7 +640,8 @@ export class UniswapV2 {
     }
 
     try {
-      this.alchemy.ws.off(listenerInfo.filter, listenerInfo.listener);
+      this.subscriptions.unsubscribe(listenerInfo.filter, listenerInfo.listener);
+      clearTimeout(listenerInfo.timer);
       this.listeners.delete(tokenAddress);
       console.log(`🔇 Stopped listening for ${tokenAddress}`);
       return true;
@@ -364,22 +652,23 @@ export class UniswapV2 {
   }
 
   /**
-   * Gets the price of a token in terms of ETH
+   * Gets the price of a token in terms of the pair's base token
    * @param {*} tokenAddress
+   * @param {string} [baseTokenAddress] - defaults to WETH
    * @returns
    */
-  async getPrice(tokenAddress) {
+  async getPrice(tokenAddress, baseTokenAddress = this.wethAddress) {
     try {
-      const path = [tokenAddress, this.wethAddress];
-      const tokenDecimals = await this.getTokenDecimals(tokenAddress);
+      const path = [tokenAddress, baseTokenAddress];
+      const [tokenDecimals, baseDecimals] = await Promise.all([
+        this.getTokenDecimals(tokenAddress),
+        this.getTokenDecimals(baseTokenAddress),
+      ]);
       const oneToken = ethers.parseUnits('1', tokenDecimals);
 
       const amountsOut = await this.routerContract.getAmountsOut(oneToken, path);
-      const priceInWeth = amountsOut[1];
 
-      // Convert to USD (you'd need to get ETH price from an oracle or API)
-      // For now, returning price in ETH
-      return parseFloat(ethers.formatEther(priceInWeth));
+      return parseFloat(ethers.formatUnits(amountsOut[1], baseDecimals));
     } catch (error) {
       console.error('Failed to get price:', error);
       return 0;
@@ -387,16 +676,17 @@ export class UniswapV2 {
   }
 
   /**
-   * Gets the market cap of a token in terms of ETH
+   * Gets the market cap of a token in terms of the pair's base token
    * @param {*} tokenAddress
+   * @param {string} [baseTokenAddress] - defaults to WETH
    * @returns
    */
-  async getMarketCap(tokenAddress) {
+  async getMarketCap(tokenAddress, baseTokenAddress = this.wethAddress) {
     try {
       const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
       const totalSupply = await tokenContract.totalSupply();
       const decimals = await this.getTokenDecimals(tokenAddress);
-      const price = await this.getPrice(tokenAddress);
+      const price = await this.getPrice(tokenAddress, baseTokenAddress);
 
       const supply = parseFloat(ethers.formatUnits(totalSupply, decimals));
       return supply * price;
@@ -406,6 +696,144 @@ export class UniswapV2 {
     }
   }
 
+  /**
+   * Runs the pre-trade filters of the strategy on a new pair, skipped when none are set
+   * @param {Object} token - token object from the Websocket server
+   * @returns {Object} { passed, failures, stats }
+   */
+  async checkTradeFilters(token) {
+    const params = this.getStrategy(token);
+    if (!hasTradeFilters(params)) {
+      return { passed: true, failures: [], stats: null };
+    }
+
+    const stats = await this.getPoolStats(token, ethers.parseEther(params.buyAmount.toFixed(18)));
+    const failures = getFilterFailures(stats, params);
+
+    return { passed: failures.length === 0, failures, stats };
+  }
+
+  /**
+   * Gets the base token reserve, market cap and the price impact of buying amountIn ETH, in terms of
+   * the pair's base token
+   * @param {Object} token - token object from the Websocket server
+   * @param {bigint} amountIn - ETH we would spend
+   * @returns {Object} { baseReserve, inRangeLiquidity, marketCap, priceImpact, baseReserveUsd,
+   * marketCapUsd }
+   */
+  async getPoolStats(token, amountIn) {
+    if (token.liquidityAdd) return this.getLaunchStats(token, amountIn);
+
+    const baseAddress = token.baseTokenAddress ?? this.wethAddress;
+    const pairAddress =
+      token.pairAddress ?? (await this.getPairAddress(token.newTokenAddress, baseAddress));
+    if (!pairAddress) {
+      throw new Error(`No ${this.name} pair for ${token.newTokenAddress} and ${baseAddress}`);
+    }
+    const pairContract = new ethers.Contract(pairAddress, UNISWAP_V2_PAIR_ABI, this.wallet);
+
+    const [[reserve0, reserve1], token0, baseDecimals, marketCap] = await Promise.all([
+      pairContract.getReserves(),
+      pairContract.token0(),
+      this.getTokenDecimals(baseAddress),
+      this.getMarketCap(token.newTokenAddress, baseAddress),
+    ]);
+
+    const baseReserve = token0.toLowerCase() === baseAddress.toLowerCase() ? reserve0 : reserve1;
+
+    // Our ETH becomes base tokens first when the pair isn't against WETH
+    const baseAmountIn = this.isWeth(baseAddress)
+      ? amountIn
+      : (await this.routerContract.getAmountsOut(amountIn, [this.wethAddress, baseAddress]))[1];
+
+    // Constant product impact on the pair after the dex's swap fee
+    const amountInWithFee = (baseAmountIn * (10_000n - this.feeBps)) / 10_000n;
+    const priceImpact =
+      Number((amountInWithFee * 1_000_000n) / (baseReserve + amountInWithFee)) / 1_000_000;
+
+    // USD values for the USD limits of the strategy, null when the base token can't be priced
+    const baseReserveAmount = parseFloat(ethers.formatUnits(baseReserve, baseDecimals));
+    const baseUsd = await usdOracle.getTokenUsdPrice(this.chainId, baseAddress);
+
+    return {
+      baseReserve: baseReserveAmount,
+      inRangeLiquidity: null,
+      marketCap,
+      priceImpact,
+      baseReserveUsd: baseUsd === null ? null : baseReserveAmount * baseUsd,
+      marketCapUsd: baseUsd === null ? null : marketCap * baseUsd,
+    };
+  }
+
+  /**
+   * Gets the pool stats of a pending liquidity add from the amounts it adds, which are the first
+   * reserves of the pair. Only WETH pairs are back-run so amountIn is already in the base token
+   * @param {Object} token - token object from the mempool listener
+   * @param {bigint} amountIn - ETH we would spend
+   * @returns {Object} same as getPoolStats
+   */
+  async getLaunchStats(token, amountIn) {
+    const baseAddress = token.baseTokenAddress ?? this.wethAddress;
+    const baseReserve = BigInt(token.liquidityAdd.baseAmount);
+    const tokenContract = new ethers.Contract(token.newTokenAddress, ERC20_ABI, this.wallet);
+
+    const [totalSupply, decimals, baseDecimals, price] = await Promise.all([
+      tokenContract.totalSupply(),
+      this.getTokenDecimals(token.newTokenAddress),
+      this.getTokenDecimals(baseAddress),
+      this.getLaunchPrice(token),
+    ]);
+    const marketCap = parseFloat(ethers.formatUnits(totalSupply, decimals)) * price;
+
+    const amountInWithFee = (amountIn * (10_000n - this.feeBps)) / 10_000n;
+    const priceImpact =
+      Number((amountInWithFee * 1_000_000n) / (baseReserve + amountInWithFee)) / 1_000_000;
+
+    const baseReserveAmount = parseFloat(ethers.formatUnits(baseReserve, baseDecimals));
+    const baseUsd = await usdOracle.getTokenUsdPrice(this.chainId, baseAddress);
+
+    return {
+      baseReserve: baseReserveAmount,
+      inRangeLiquidity: null,
+      marketCap,
+      priceImpact,
+      baseReserveUsd: baseUsd === null ? null : baseReserveAmount * baseUsd,
+      marketCapUsd: baseUsd === null ? null : marketCap * baseUsd,
+    };
+  }
+
+  /**
+   * Gets the price a pending liquidity add opens the pair at, in terms of the base token
+   * @param {Object} token - token object from the mempool listener
+   * @returns {Promise<number>}
+   */
+  async getLaunchPrice(token) {
+    const { baseAmount, tokenAmount } = token.liquidityAdd;
+    const [decimals, baseDecimals] = await Promise.all([
+      this.getTokenDecimals(token.newTokenAddress),
+      this.getTokenDecimals(token.baseTokenAddress ?? this.wethAddress),
+    ]);
+
+    return (
+      parseFloat(ethers.formatUnits(baseAmount, baseDecimals)) /
+      parseFloat(ethers.formatUnits(tokenAmount, decimals))
+    );
+  }
+
+  /**
+   * Gets the tokens a buy right after a pending liquidity add gets, from the reserves it creates
+   * @param {Object} liquidityAdd - pending liquidity add from the mempool listener
+   * @param {bigint} amountIn - base tokens to spend
+   * @returns {bigint}
+   */
+  getLaunchAmountOut(liquidityAdd, amountIn) {
+    const baseReserve = BigInt(liquidityAdd.baseAmount);
+    const tokenReserve = BigInt(liquidityAdd.tokenAmount);
+    const amountInWithFee = amountIn * (10_000n - this.feeBps);
+
+    return (amountInWithFee * tokenReserve) / (baseReserve * 10_000n + amountInWithFee);
+  }
+
   /**
    * Gets estimated amount out of a trade
    * @param {*} amountIn - amount to trade
@@ -425,14 +853,72 @@ export class UniswapV2 {
   }
 
   /**
-   * Gets the current price, stop loss, and target price, in terms of ETH.
+   * Gets the ETH -> token swap path, hopping through the pair's base token when it isn't WETH
+   * @param {string} tokenAddress
+   * @param {string} [baseTokenAddress] - base token of the pair, WETH when missing
+   * @returns {Array<string>} reverse it to sell
+   */
+  getBuyPath(tokenAddress, baseTokenAddress) {
+    return this.isWeth(baseTokenAddress)
+      ? [this.wethAddress, tokenAddress]
+      : [this.wethAddress, baseTokenAddress, tokenAddress];
+  }
+
+  /**
+   * Gets the address of a pair on this dex, computed from the init code hash when the dex has one
+   * and asked from the factory otherwise
+   * @param {string} tokenA
+   * @param {string} tokenB
+   * @returns {Promise<string|null>} null when the factory has no such pair
+   */
+  async getPairAddress(tokenA, tokenB) {
+    if (!this.initCodeHash) {
+      const pairAddress = await this.factoryContract.getPair(tokenA, tokenB);
+      return pairAddress === ethers.ZeroAddress ? null : pairAddress;
+    }
+
+    const [token0, token1] =
+      tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+    const salt = ethers.solidityPackedKeccak256(['address', 'address'], [token0, token1]);
+
+    return ethers.getCreate2Address(this.factoryAddress, salt, this.initCodeHash);
+  }
+
+  /**
+   * Checks if an address is WETH, a missing address counts as WETH
+   * @param {string} [address]
+   * @returns {boolean}
+   */
+  isWeth(address) {
+    return !address || address.toLowerCase() === this.wethAddress.toLowerCase();
+  }
+
+  /**
+   * Gets the strategy parameters for a token based on this chain, v2 and the pair's base token
+   * @param {Object} token - token object from the Websocket server
+   * @returns {Object} buyAmount, slippage, targetMultiplier, stopLossMultiplier
+   */
+  getStrategy(token) {
+    return this.strategy.getParams(this.chainId, 'v2', token.baseTokenAddress);
+  }
+
+  /**
+   * Gets the current price, stop loss, and target price, in terms of the pair's base token.
    * @param {*} tokenAddress
+   * @param {string} baseTokenAddress
    * @param {*} targetMultiplier
    * @param {*} stopLossMultiplier
+   * @param {number} [price] - known current price, read from the pair when missing
    * @returns
    */
-  async getTargetAndStopLoss(tokenAddress, targetMultiplier = 2, stopLossMultiplier = 0.5) {
-    const currentPrice = await this.getPrice(tokenAddress);
+  async getTargetAndStopLoss(
+    tokenAddress,
+    baseTokenAddress = this.wethAddress,
+    targetMultiplier = DEFAULT_STRATEGY.target_multiplier,
+    stopLossMultiplier = DEFAULT_STRATEGY.stop_loss_multiplier,
+    price = null
+  ) {
+    const currentPrice = price ?? (await this.getPrice(tokenAddress, baseTokenAddress));
     return {
       currentPrice,
       targetPrice: currentPrice * targetMultiplier,
@@ -478,45 +964,139 @@ export class UniswapV2 {
   }
 
   /**
-   * Returns the pair address assositated of two input tokens
-   * @param {string} tokenA
-   * @param {string} tokenB
-   * @returns a pair address
+   * Reloads the open positions of this instance from the trade journal and re-arms their target
+   * listeners. Positions whose tokens are no longer in the wallet are closed as RECONCILED.
+   * @returns {number} number of positions recovered
    */
-  async getPairAddress(tokenA, tokenB) {
-    try {
-      const pairAddress = await this.factoryContract.getPair(tokenA, tokenB);
-      if (pairAddress === ethers.ZeroAddress) {
-        throw new Error('Pair does not exist');
+  async recoverPositions() {
+    const openPositions = journal.getOpenPositions(this.name, this.dryRun);
+    let recovered = 0;
+
+    for (const row of openPositions) {
+      const tokenAddress = row.token_address;
+
+      try {
+        // Paper balances only live in memory so they are rebuilt from the journal
+        if (this.dryRun) {
+          this.paperWallet.seed(
+            tokenAddress,
+            BigInt(row.amount_held ?? row.amount ?? 0),
+            BigInt(row.cost_held ?? row.amount_in ?? 0)
+          );
+        }
+
+        // Make sure we still hold the tokens
+        const balance = await this.getTokenBalance(tokenAddress);
+        if (balance === 0n) {
+          console.log(`🧹 No balance left for ${tokenAddress}, closing position ${row.id}`);
+          journal.closePosition(row.id, 'RECONCILED');
+          continue;
+        }
+
+        this.positions.set(tokenAddress, {
+          chainId: row.chain_id,
+          newTokenAddress: tokenAddress,
+          baseTokenAddress: row.base_token,
+          pairAddress: row.pair_address,
+          v3: false,
+          positionId: row.id,
+          ...this.getRecoveredStrategy(row),
+          entryPrice: row.entry_price,
+          entryPriceUsd: row.entry_price_usd,
+          amount: balance,
+          entryTime: Date.parse(row.opened_at),
+          recovered: true,
+        });
+
+        const started = await this.startTargetListener(
+          tokenAddress,
+          row.pair_address,
+          row.target_price,
+          row.stop_loss
+        );
+
+        if (!started) {
+          console.error(`❌ Failed to re-arm listener for ${tokenAddress}`);
+          continue;
+        }
+
+        recovered++;
+
+        console.log(`♻️  Recovered ${tokenAddress} - Entry: ${row.entry_price}`);
+
+        // The price may have moved past our levels while we were down
+        await this.listeners.get(tokenAddress).listener();
+      } catch (error) {
+        console.error(`Failed to recover position for ${tokenAddress}:`, error);
       }
-      return pairAddress;
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Strategy values of a position loaded from the journal
+   * @param {Object} row - positions row
+   */
+  getRecoveredStrategy(row) {
+    const { slippage, trailingStop, takeProfits, maxHoldMinutes } = this.strategy.getParams(
+      this.chainId,
+      'v2',
+      row.base_token
+    );
+
+    return {
+      slippage,
+      exitParams: { trailingStop, takeProfits, maxHoldMinutes },
+      exitState: { highestPrice: row.highest_price, tiersHit: row.tiers_hit },
+    };
+  }
+
+  /**
+   * Persists the trailing stop high and take-profit tiers hit of a position
+   * @param {number} positionId
+   * @param {Object} state - from ExitStrategy.getState()
+   */
+  saveExitState(positionId, state) {
+    if (!positionId) return;
+
+    try {
+      journal.updateExitState(positionId, state);
     } catch (error) {
-      console.error('Failed to get pair address:', error);
-      return null;
+      console.error('Failed to journal exit state:', error);
     }
   }
 
   /**
-   * Sells all of the tokens and displays if we are selling because of a stop loss or target price hit
+   * Sells part or all of the tokens and displays why we are selling
+   * @param {string} tokenAddress
+   * @param {string} reason - exit reason e.g. TARGET_HIT, STOP_LOSS, TRAILING_STOP
+   * @param {number} portion - fraction of the current balance to sell
    */
-  async executeSell(tokenAddress, reason) {
+  async executeSell(tokenAddress, reason, portion = 1) {
+    const position = this.positions.get(tokenAddress);
+    if (!position || position.selling) return;
+
     try {
-      const position = this.positions.get(tokenAddress);
-      if (!position) return;
+      // Only one sell at a time per position
+      position.selling = true;
 
-      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
-      const balance = await tokenContract.balanceOf(this.wallet.address);
+      const balance = await this.getTokenBalance(tokenAddress);
       const decimals = await this.getTokenDecimals(tokenAddress);
-      const amount = ethers.formatUnits(balance, decimals);
+      const amount =
+        portion >= 1 ? balance : (balance * BigInt(Math.round(portion * 10000))) / 10000n;
 
-      console.log(`Selling ${amount} tokens due to: ${reason}`);
+      console.log(`Selling ${ethers.formatUnits(amount, decimals)} tokens due to: ${reason}`);
 
-      const result = await this.sellToken(tokenAddress);
+      const result = await this.sellToken(tokenAddress, reason, amount);
 
       return result;
     } catch (error) {
       console.error('Auto-sell failed:', error);
+      this.emitTradeEvent('trade.error', { tokenAddress, action: 'sell', error: error.message });
       return { success: false, error: error.message };
+    } finally {
+      position.selling = false;
     }
   }
 
@@ -525,9 +1105,10 @@ export class UniswapV2 {
    * @returns
    */
   async getETHBalance() {
+    if (this.dryRun) return this.paperWallet.getBalance();
     if (!this.wallet) return 0n;
-    const balance = await this.alchemy.core.getBalance(this.wallet.address);
-    return balance.toBigInt(); // Convert to BigInt
+    const balance = await this.provider.core.getBalance(this.wallet.address);
+    return BigInt(balance.toString()); // Convert to BigInt
   }
 
   /**
@@ -536,6 +1117,7 @@ export class UniswapV2 {
    * @returns
    */
   async getTokenBalance(tokenAddress) {
+    if (this.dryRun) return this.paperWallet.getTokenBalance(tokenAddress);
     if (!this.wallet) return 0n;
     const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
     return await tokenContract.balanceOf(this.wallet.address);
@@ -564,6 +1146,153 @@ export class UniswapV2 {
     }));
   }
 
+  /**
+   * Gets the current price of a position and its unrealized P&L
+   * @param {string} tokenAddress
+   * @returns {Promise<Object|null>} { currentPrice, currentPriceUsd, pnl } pnl as a fraction of the
+   * entry price, null if there is no such position
+   */
+  async getPositionPrice(tokenAddress) {
+    const position = this.positions.get(tokenAddress);
+    if (!position) return null;
+
+    const currentPrice = await this.getPrice(tokenAddress, position.baseTokenAddress);
+    const pnl = currentPrice && position.entryPrice ? currentPrice / position.entryPrice - 1 : null;
+
+    const currentPriceUsd = await this.toUsd(currentPrice, position.baseTokenAddress);
+
+    return { currentPrice, currentPriceUsd, pnl };
+  }
+
+  /**
+   * Converts a price or amount in a base token to USD
+   * @param {number} value
+   * @param {string} [baseTokenAddress] - defaults to WETH
+   * @returns {Promise<number|null>} null when the base token can't be priced in USD
+   */
+  toUsd(value, baseTokenAddress) {
+    return usdOracle.toUsd(this.chainId, baseTokenAddress ?? this.wethAddress, value);
+  }
+
+  /**
+   * Moves the target price and/or stop loss of an open position, saved to the journal so a restart
+   * picks them up
+   * @param {string} tokenAddress
+   * @param {Object} targets - targetPrice, stopLoss in the pair's base token
+   * @returns {Object|null} { targetPrice, stopLoss } now in use, null if the token isn't watched
+   */
+  updateTargets(tokenAddress, { targetPrice, stopLoss }) {
+    const listenerInfo = this.listeners.get(tokenAddress);
+    if (!listenerInfo) return null;
+
+    listenerInfo.exit.setTargets({ targetPrice, stopLoss });
+    if (targetPrice !== undefined) listenerInfo.targetPrice = targetPrice;
+    if (stopLoss !== undefined) listenerInfo.stopLoss = stopLoss;
+
+    const targets = { targetPrice: listenerInfo.targetPrice, stopLoss: listenerInfo.stopLoss };
+    console.log(
+      `🎚️  New targets for ${tokenAddress}: target ${targets.targetPrice}, stop ${targets.stopLoss}`
+    );
+
+    const positionId = this.positions.get(tokenAddress)?.positionId;
+    if (positionId) {
+      try {
+        journal.updateTargets(positionId, targets);
+      } catch (error) {
+        console.error('Failed to journal targets:', error);
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Gets the simulated balances and P&L when running in dry-run mode
+   * @returns {Object|null}
+   */
+  getPaperSummary() {
+    return this.dryRun ? this.paperWallet.getSummary() : null;
+  }
+
+  /**
+   * Sends a transaction through the chain's private relay, or to the public mempool without one
+   * where it is sped up or cancelled when it gets stuck, and waits for its receipt
+   * @param {Object} tx - transaction from gas.prepare
+   * @param {string} action - gas action of data/gas.json: buy, take_profit, stop_loss or sell
+   * @returns {Promise<Object>} { hash, receipt } receipt is null when a relayed transaction wasn't
+   * seen mined in time, throws when it reverted
+   */
+  async sendTransaction(tx, action) {
+    const sent = await this.nonces.send(this.wallet.address, nonce =>
+      this.relay
+        ? this.relay.sendTransaction(this.wallet, { ...tx, nonce })
+        : this.gas.sendTransaction(this.wallet, { ...tx, nonce }, action)
+    );
+
+    // The gas manager only returns once it is mined
+    const receipt = sent.receipt ?? (await this.waitForReceipt(sent.hash));
+    if (receipt && Number(receipt.status) !== 1) {
+      throw new Error(`Transaction ${sent.hash} reverted`);
+    }
+
+    return { ...sent, receipt };
+  }
+
+  /**
+   * Approves the router to take all of a token unless it already may take the amount, and waits for
+   * the approval to be mined
+   * @param {ethers.Contract} tokenContract - the token connected to the wallet
+   * @param {bigint} amount - tokens the next swap needs
+   * @param {string} action - gas action of the swap the approval is for
+   * @returns the sent transaction, null when no approval was needed
+   */
+  async approveRouter(tokenContract, amount, action) {
+    const allowance = await tokenContract.allowance(this.wallet.address, this.routerAddress);
+    if (allowance >= amount) return null;
+
+    const approval = await this.gas.prepare(
+      this.wallet,
+      await tokenContract.approve.populateTransaction(this.routerAddress, ethers.MaxUint256),
+      action
+    );
+    const tx = await this.sendTransaction(approval, action);
+
+    if (!tx.receipt) {
+      throw new Error(`Approval ${tx.hash} of ${await tokenContract.getAddress()} wasn't mined`);
+    }
+    return tx;
+  }
+
+  /**
+   * Emits a trading event with the instance it came from
+   * @param {string} event - buy.filled, sell.filled, stoploss.hit or trade.error
+   * @param {Object} data
+   */
+  emitTradeEvent(event, data) {
+    this.emit(event, {
+      instance: this.name,
+      chainId: this.chainId,
+      dex: this.dex,
+      dryRun: this.dryRun,
+      ...data,
+    });
+  }
+  /**
+   * Tokens the filled events are formatted in, swaps spend and return WETH while prices are quoted
+   * in the pair's base token
+   * @param {string} [baseTokenAddress]
+   * @returns {Object} { amountSymbol, amountDecimals, baseSymbol }
+   */
+  getTradeTokens(baseTokenAddress) {
+    const weth = tokenRegistry.getToken(this.chainId, this.wethAddress);
+    const base = baseTokenAddress ? tokenRegistry.getToken(this.chainId, baseTokenAddress) : weth;
+    return {
+      amountSymbol: weth?.symbol ?? 'WETH',
+      amountDecimals: weth?.decimals ?? 18,
+      baseSymbol: base?.symbol ?? null,
+    };
+  }
+
   /**
    * Emergency stop all listeners
    */
@@ -1,8 +1,21 @@
 import { createRequire } from 'module';
+import { EventEmitter } from 'events';
 import { ethers } from 'ethers';
-import { Alchemy } from 'alchemy-sdk';
 import { getWallet } from './getWallet.js';
-import { getAlchemySettings } from '../utils/getAlchemySettings.js';
+import { PaperWallet } from './PaperWallet.js';
+import { StrategyConfig, DEFAULT_STRATEGY } from './StrategyConfig.js';
+import { ExitStrategy, EXIT_LOGS, STOP_REASONS } from './ExitStrategy.js';
+import { getFilterFailures, hasTradeFilters } from './tradeFilters.js';
+import { getProvider, getSubscriptions } from '../providers/index.js';
+import { getRelay } from '../relay/index.js';
+import { getGasManager } from '../gas/index.js';
+import { getSellAction } from '../gas/GasManager.js';
+import { getNonceManager } from '../nonce/index.js';
+import { getGasSpent } from '../utils/getGasSpent.js';
+import { sqrtPriceX96ToPrice } from '../utils/sqrtPriceX96ToPrice.js';
+import { journal } from '../database/index.js';
+import { usdOracle } from '../pricing/index.js';
+import { tokenRegistry } from '../utils/newTokenChecker.js';
 
 // Allows us to use require
 const require = createRequire(import.meta.url);
@@ -22,16 +35,35 @@ const {
 } = require('@uniswap/v3-core/artifacts/contracts/UniswapV3Pool.sol/UniswapV3Pool.json');
 const { abi: ERC20_ABI } = require('@uniswap/v2-core/build/ERC20.json');
 
+// Fee tiers searched for the WETH/base token pool of multi-hop swaps, forks can set their own in uniswap.json
+const DEFAULT_FEE_TIERS = [100, 500, 3000, 10000];
+
+// Back-runs can't be estimated before the pool exists, enough for a single hop WETH -> token swap
+const BACKRUN_GAS_LIMIT = 350_000n;
+
 /**     ****************   BUYS ARE IN WETH    ******************
  * This class has the functionality to trade tokens on uniswap v3 and comes with some helper functions that get prices, token amounts, set/remove swap listeners
  * keeps a list of positions & listeners, sets stop loss & target price.
  *
- * Hard coded to buy 0.00001 ETH and hard coded to sell 100% of a position. These values should be changed if one chooses to run this.
+ * Swaps hop through the pool's base token when it isn't WETH (WETH -> USDC -> token) and positions are priced in the base token.
+ *
+ * Buy amount, slippage and exits come from the StrategyConfig (data/strategy.json). Exits are decided by an ExitStrategy
+ * which can sell the whole position or part of it.
+ *
+ * Emits buy.filled, sell.filled, stoploss.hit and trade.error with the instance, chain and token so
+ * notifications don't have to parse the logs.
+ *
+ * Swaps are sent through the chain's private relay when data/relay.json sets one. Tokens found by the
+ * mempool listener carry the pending pool creation, they are priced from its initial sqrtPriceX96
+ * and bought in a bundle right behind it.
+ *
+ * Fees come from the chain's GasManager (data/gas.json) with the action the swap is for, so stop
+ * losses can outbid take profits.
  */
-export class UniswapV3 {
+export class UniswapV3 extends EventEmitter {
   chainId;
   wallet;
-  alchemy;
+  provider;
   wethAddress;
   routerAddress;
   factoryAddress;
@@ -42,13 +74,36 @@ export class UniswapV3 {
 
   /**
    * Constructor
+   * @param {Object} options
+   * @param {string} options.name - instance name used in the trade journal
+   * @param {StrategyConfig} options.strategy - buy amount, slippage, target and stop loss settings
+   * @param {boolean} options.dryRun - simulate trades with a PaperWallet instead of sending transactions
+   * @param {string} options.paperBalance - starting WETH of the PaperWallet
+   * @param {string} options.dex - id of the dex in uniswap.json
+   * @param {Array<number>} options.feeTiers - fee tiers the fork supports
+   * @param {string} options.initCodeHash - pool init code hash, pool addresses are computed locally when set
+   * @param {string} options.poolDeployer - contract that deploys the pools when it isn't the factory
    */
-  constructor(chainId, routerAddress, factoryAddress, quoterAddress) {
+  constructor(chainId, routerAddress, factoryAddress, quoterAddress, options = {}) {
+    super();
     this.chainId = chainId;
+    this.name = options.name ?? `V3-${chainId}`;
+    this.dex = options.dex ?? 'uniswap';
     this.routerAddress = routerAddress;
     this.factoryAddress = factoryAddress;
     this.quoterAddress = quoterAddress;
 
+    // Forks differ in fee tiers and pool bytecode
+    this.feeTiers = options.feeTiers ?? DEFAULT_FEE_TIERS;
+    this.initCodeHash = options.initCodeHash ?? null;
+    this.poolDeployer = options.poolDeployer ?? factoryAddress;
+
+    // Dry-run trades are quoted on chain but settled against the paper wallet
+    this.dryRun = Boolean(options.dryRun);
+    this.paperWallet = this.dryRun
+      ? new PaperWallet(ethers.parseEther(String(options.paperBalance ?? 1)))
+      : null;
+
     // Interfaces for decoding
     this.poolInterface = new ethers.Interface(UNISWAP_V3_POOL_ABI);
     this.erc20Interface = new ethers.Interface(ERC20_ABI);
@@ -56,9 +111,11 @@ export class UniswapV3 {
     // State management
     this.listeners = new Map();
     this.positions = new Map();
+    this.baseFees = new Map();
 
-    // Default settings
-    this.slippageTolerance = 0.02; // 2%
+    // Strategy parameters, the slippage here is the fallback for positions without their own
+    this.strategy = options.strategy ?? new StrategyConfig();
+    this.slippageTolerance = this.strategy.getParams(chainId, 'v3').slippage;
   }
 
   /**
@@ -68,8 +125,18 @@ export class UniswapV3 {
     // Create a wallet instance
     this.wallet = await getWallet(this.chainId);
 
-    // Create instance of alchemy
-    this.alchemy = new Alchemy(getAlchemySettings(String(this.chainId)));
+    // Shared provider of the chain, Alchemy or the rpc URLs set in uniswap.json
+    this.provider = getProvider(this.chainId);
+    this.subscriptions = getSubscriptions(this.chainId);
+
+    // Swaps skip the public mempool when the chain has a private relay in relay.json
+    this.relay = getRelay(this.chainId);
+
+    // Fees from data/gas.json, public swaps that get stuck are sped up or cancelled
+    this.gas = getGasManager(this.chainId);
+
+    // Nonces of the wallet, shared with the other instances of the chain sending from it
+    this.nonces = getNonceManager(this.chainId);
 
     // Router contract
     this.routerContract = new ethers.Contract(
@@ -104,14 +171,16 @@ export class UniswapV3 {
   async buyToken(token) {
     // Get the token info
     const tokenAddress = token.newTokenAddress;
-    const poolAddress = token.poolAddress;
+    const poolAddress = token.poolAddress ?? token.pairAddress;
+    const baseTokenAddress = token.baseTokenAddress;
     const fee = Number(token.fee);
 
-    // Hard coded buy amount
-    const ethAmount = 0.00001;
+    // Strategy parameters for this pair
+    const { buyAmount, slippage, targetMultiplier, stopLossMultiplier, ...exitParams } =
+      this.getStrategy(token);
 
     // parse amount to ether
-    const amountIn = ethers.parseEther(ethAmount.toString());
+    const amountIn = ethers.parseEther(buyAmount.toFixed(18));
 
     // Check ETH balance
     const wethBalance = await this.getTokenBalance(this.wethAddress);
@@ -119,88 +188,100 @@ export class UniswapV3 {
     // Make sure we have enought eth
     if (wethBalance < amountIn) {
       throw new Error(
-        `Insufficient ETH balance. Need ${ethAmount} ETH, have ${ethers.formatEther(
+        `Insufficient ETH balance. Need ${buyAmount} ETH, have ${ethers.formatEther(
           wethBalance
         )} ETH`
       );
     }
 
-    // get the current price, stop loss, and target prices
-    const { currentPrice, targetPrice, stopLoss } = await this.getTargetAndStopLoss(poolAddress);
-
-    // Create the weth contract
-    const wethContract = new ethers.Contract(this.wethAddress, ERC20_ABI, this.wallet);
-
-    // Approve the router to take the amount in
-    await wethContract.approve(this.routerAddress, ethers.MaxUint256);
-
-    // Configure quote parameters
-    const quoteParams = {
-      tokenIn: this.wethAddress,
-      tokenOut: tokenAddress,
-      amountIn: amountIn,
-      fee: fee,
-      sqrtPriceLimitX96: 0,
-    };
+    // A pending pool creation is priced from its initial price, the pool doesn't exist yet
+    const launch = token.liquidityAdd ?? null;
 
-    // Get the quote
-    const quoteResult = await this.quoterContract.quoteExactInputSingle.staticCall(quoteParams);
+    // get the current price, stop loss, and target prices
+    const { currentPrice, targetPrice, stopLoss } = await this.getTargetAndStopLoss(
+      poolAddress,
+      baseTokenAddress,
+      targetMultiplier,
+      stopLossMultiplier,
+      launch ? await this.getLaunchPrice(token) : null
+    );
+    const entryPriceUsd = await this.toUsd(currentPrice, baseTokenAddress);
 
-    // Set the amountOut and gasEstimate
-    const amountOut = quoteResult[0];
+    // Get the quote, through the base token when the pool isn't against WETH
+    const { amountOut, path } = launch
+      ? { amountOut: this.getLaunchAmountOut(token, amountIn), path: null }
+      : await this.quoteSwap(tokenAddress, baseTokenAddress, fee, amountIn);
 
     // Calculate minimum amount out with slippage
-    const slippageMultiplier = BigInt(Math.floor((1 - this.slippageTolerance) * 10000));
+    const slippageMultiplier = BigInt(Math.floor((1 - slippage) * 10000));
     const minAmountOut = (amountOut * slippageMultiplier) / 10000n;
 
-    // Parameters for the swap
-    const params = {
-      tokenIn: this.wethAddress,
-      tokenOut: tokenAddress,
-      fee: fee,
-      recipient: this.wallet.address,
-      amountIn: amountIn,
-      amountOutMinimum: minAmountOut,
-      sqrtPriceLimitX96: 0,
-    };
-
-    // Execute swap with value for ETH
     let tx;
-    try {
-      tx = await this.routerContract.exactInputSingle(params);
-    } catch {
-      console.error('****   UNISWAP V3 BUY FAIL   ****');
-      return false;
-    }
-
-    // Wait for confirmation
     let receipt = null;
-    for (let i = 0; i < 12; i++) {
+    if (this.dryRun) {
+      // Fill the paper trade at the quoted amount
+      tx = this.paperWallet.buy(tokenAddress, amountIn, amountOut);
+      console.log(`📝 PAPER BUY ${tokenAddress} - ${buyAmount} WETH`);
+    } else {
+      // Create the weth contract
+      const wethContract = new ethers.Contract(this.wethAddress, ERC20_ABI, this.wallet);
+
+      // Approve the router to take the amount in first, the swap's gas can't be estimated before and
+      // a back-run's nonce has to follow a mined approval
       try {
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        receipt = await this.alchemy.core.getTransactionReceipt(tx.hash);
-        if (receipt) {
-          if (receipt.status === 1) {
-            console.log(`✅ Transaction confirmed in block: ${receipt.blockNumber}`);
-            break;
-          } else {
-            console.error(`❌ Transaction failed with status: ${receipt.status}`);
-            throw new Error(`Transaction reverted. Gas used: ${receipt.gasUsed}`);
-          }
-        }
+        await this.approveRouter(wethContract, amountIn, 'buy');
+
+        tx = launch
+          ? await this.sendBackrun(launch, tokenAddress, fee, amountIn, minAmountOut)
+          : await this.sendSwap(tokenAddress, fee, amountIn, minAmountOut, path);
       } catch (error) {
-        if (error.message.includes('Transaction reverted')) {
-          throw error;
-        }
-        console.log(`Attempt ${i + 1}: Receipt not ready yet...`);
+        console.error('****   UNISWAP V3 BUY FAIL   ****');
+        this.emitTradeEvent('trade.error', { tokenAddress, action: 'buy', error: error.message });
+        return false;
       }
+
+      // A failed or unsendable back-run returns false, the reason is already logged
+      if (!tx) {
+        this.emitTradeEvent('trade.error', {
+          tokenAddress,
+          action: 'buy',
+          error: 'Back-run failed',
+        });
+        return false;
+      }
+
+      receipt = tx.receipt;
+    }
+
+    // Journal the buy, a failed write shouldn't stop us from watching the position
+    let positionId = null;
+    try {
+      positionId = journal.recordBuy({
+        instance: this.name,
+        token,
+        amountIn,
+        amount: amountOut,
+        entryPrice: currentPrice,
+        entryPriceUsd,
+        targetPrice,
+        stopLoss,
+        txHash: tx.hash,
+        gasSpent: getGasSpent(receipt),
+        dryRun: this.dryRun,
+      });
+    } catch (error) {
+      console.error('Failed to journal buy:', error);
     }
 
     // Store position info
     this.positions.set(tokenAddress, {
       ...token,
+      positionId,
+      slippage,
+      exitParams,
       entryPrice: currentPrice,
-      amount: expectedOut,
+      entryPriceUsd,
+      amount: amountOut,
       entryTime: Date.now(),
       txHash: tx.hash,
     });
@@ -208,7 +289,7 @@ export class UniswapV3 {
     // start the target listener
     const started = await this.startTargetListener(
       tokenAddress,
-      token.poolAddress,
+      poolAddress,
       targetPrice,
       stopLoss
     );
@@ -218,10 +299,22 @@ export class UniswapV3 {
       throw new Error('****   TARGET LISTENER FAILED TO START   ****');
     }
 
+    this.emitTradeEvent('buy.filled', {
+      tokenAddress,
+      pairAddress: poolAddress,
+      amountIn,
+      amount: amountOut,
+      entryPrice: currentPrice,
+      entryPriceUsd,
+      txHash: tx.hash,
+      ...this.getTradeTokens(baseTokenAddress),
+    });
+
     return {
       success: true,
       txHash: tx.hash,
       entryPrice: currentPrice,
+      entryPriceUsd,
       amount: amountOut,
       entryTime: Date.now(),
     };
@@ -231,69 +324,158 @@ export class UniswapV3 {
    * Sell tokens for WETH
    * @param {string} tokenAddress - Token to sell
    * @param {number} fee - Pool fee tier
+   * @param {string} reason - why we are selling, recorded in the trade journal
+   * @param {bigint} [amount] - tokens to sell, capped at the balance. Sells everything by default
    */
-  async sellToken(tokenAddress, fee) {
+  async sellToken(tokenAddress, fee, reason = 'MANUAL', amount = null) {
     fee = Number(fee);
 
     // Get the token balance
-    const amountIn = await this.getTokenBalance(tokenAddress);
+    const tokenBalance = await this.getTokenBalance(tokenAddress);
 
-    // Stop if we don't have a token amount
-    if (amountIn === 0n) {
-      return;
+    // Nothing left to sell, the tokens left the wallet some other way so close it like a recovery
+    if (tokenBalance === 0n) {
+      const position = this.positions.get(tokenAddress);
+      if (position) {
+        console.log(
+          `🧹 No balance left for ${tokenAddress}, closing position ${position.positionId}`
+        );
+        if (position.positionId) journal.closePosition(position.positionId, 'RECONCILED');
+        await this.stopTargetListener(tokenAddress);
+        this.positions.delete(tokenAddress);
+      }
+      return { success: false, error: 'No balance' };
     }
 
-    // Create the token contract
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
-
-    // Approve the router to take the tokens
-    await tokenContract.approve(this.routerAddress, ethers.MaxUint256);
-
-    // Configure quote parameters (note: tokenIn and tokenOut are swapped)
-    const quoteParams = {
-      tokenIn: tokenAddress, // Now selling the token
-      tokenOut: this.wethAddress, // Now receiving WETH
-      amountIn: amountIn,
-      fee: fee,
-      sqrtPriceLimitX96: 0,
-    };
+    // Use the requested amount or the full balance
+    const amountIn = amount && amount < tokenBalance ? amount : tokenBalance;
+    const partial = amountIn < tokenBalance;
 
-    // Get the quote
-    const quoteResult = await this.quoterContract.quoteExactInputSingle.staticCall(quoteParams);
+    // Get the quote for selling back to WETH, through the base token when needed
+    const baseTokenAddress = this.positions.get(tokenAddress)?.baseTokenAddress;
+    const { amountOut, path } = await this.quoteSwap(
+      tokenAddress,
+      baseTokenAddress,
+      fee,
+      amountIn,
+      true
+    );
 
-    // Set the amountOut and gasEstimate
-    const amountOut = quoteResult[0];
+    // Multi-hop sells quote the first hop on its own for the exit price, before our sell moves it
+    const baseOut = path
+      ? (
+          await this.quoterContract.quoteExactInputSingle.staticCall({
+            tokenIn: tokenAddress,
+            tokenOut: baseTokenAddress,
+            amountIn,
+            fee,
+            sqrtPriceLimitX96: 0,
+          })
+        )[0]
+      : amountOut;
 
     // Calculate minimum amount out with slippage
-    const slippageMultiplier = BigInt(Math.floor((1 - this.slippageTolerance) * 10000));
+    const slippage = this.positions.get(tokenAddress)?.slippage ?? this.slippageTolerance;
+    const slippageMultiplier = BigInt(Math.floor((1 - slippage) * 10000));
     const minAmountOut = (amountOut * slippageMultiplier) / 10000n;
 
-    // Parameters for the swap (tokenIn and tokenOut swapped)
-    const params = {
-      tokenIn: tokenAddress, // Selling the token
-      tokenOut: this.wethAddress, // Receiving WETH
-      fee: fee,
-      recipient: this.wallet.address,
-      amountIn: amountIn,
-      amountOutMinimum: minAmountOut,
-      sqrtPriceLimitX96: 0,
-    };
-
     let tx;
-    // Execute swap
+    let receipt = null;
+    if (this.dryRun) {
+      // Fill the paper trade at the quoted amount
+      tx = this.paperWallet.sell(tokenAddress, amountIn, amountOut);
+      console.log(`📝 PAPER SELL ${tokenAddress} - ${ethers.formatEther(amountOut)} WETH`);
+      console.log('📝 Paper wallet:', this.paperWallet.getSummary());
+    } else {
+      // Create the token contract
+      const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
+
+      const action = getSellAction(reason);
+
+      // Execute swap once the router may take the tokens
+      try {
+        await this.approveRouter(tokenContract, amountIn, action);
+
+        tx = await this.sendSwap(tokenAddress, fee, amountIn, minAmountOut, path, true, action);
+      } catch (error) {
+        console.error('****   UNISWAP V3 SELL FAILED   ****');
+        this.emitTradeEvent('trade.error', { tokenAddress, action: 'sell', error: error.message });
+        return { success: false, error: 'UNISWAP V3 SELL FAILED' };
+      }
+
+      receipt = tx.receipt;
+    }
+
+    // Price we sold at in terms of the base token
+    const decimals = await this.getTokenDecimals(tokenAddress);
+    const baseDecimals = await this.getTokenDecimals(baseTokenAddress ?? this.wethAddress);
+    const exitPrice =
+      parseFloat(ethers.formatUnits(baseOut, baseDecimals)) /
+      parseFloat(ethers.formatUnits(amountIn, decimals));
+    const exitPriceUsd = await this.toUsd(exitPrice, baseTokenAddress);
+    const position = this.positions.get(tokenAddress);
+
     try {
-      tx = await this.routerContract.exactInputSingle(params);
-    } catch {
-      console.error('****   UNISWAP V3 SELL FAILED   ****');
-      return { success: false, error: 'UNISWAP V3 SELL FAILED' };
+      journal.recordSell({
+        positionId: position?.positionId,
+        tokenAddress,
+        amountIn,
+        amountOut,
+        exitPrice,
+        exitPriceUsd,
+        txHash: tx.hash,
+        gasSpent: getGasSpent(receipt),
+        reason,
+        closePosition: !partial,
+      });
+    } catch (error) {
+      console.error('Failed to journal sell:', error);
     }
 
-    // Wait for confirmation
+    // Keep watching what's left after a partial sell
+    if (!partial) {
+      // remove the target listener
+      await this.stopTargetListener(tokenAddress);
+
+      // Remove the the token from the positions
+      this.positions.delete(tokenAddress);
+    }
+
+    this.emitTradeEvent('sell.filled', {
+      tokenAddress,
+      reason,
+      partial,
+      amountOut,
+      exitPrice,
+      exitPriceUsd,
+      pnl: position?.entryPrice ? exitPrice / position.entryPrice - 1 : null,
+      txHash: tx.hash,
+      ...this.getTradeTokens(baseTokenAddress),
+    });
+
+    return {
+      success: true,
+      txHash: tx.hash,
+      amountIn,
+      amountOut: amountOut,
+      partial,
+      exitPrice,
+      exitPriceUsd,
+      exitTime: Date.now(),
+    };
+  }
+
+  /**
+   * Polls for a transaction receipt, throws if the transaction reverted
+   * @param {string} txHash
+   * @returns the receipt or null if it wasn't mined in time
+   */
+  async waitForReceipt(txHash) {
     let receipt = null;
     for (let i = 0; i < 12; i++) {
       try {
         await new Promise(resolve => setTimeout(resolve, 5000));
-        receipt = await this.alchemy.core.getTransactionReceipt(tx.hash);
+        receipt = await this.provider.core.getTransactionReceipt(txHash);
         if (receipt) {
           if (receipt.status === 1) {
             console.log(`✅ Transaction confirmed in block: ${receipt.blockNumber}`);
@@ -311,64 +493,43 @@ export class UniswapV3 {
       }
     }
 
-    // remove the target listener
-    await this.stopTargetListener(tokenAddress);
-
-    // Remove the the token from the positions
-    this.positions.delete(tokenAddress);
-
-    return {
-      success: true,
-      txHash: tx.hash,
-      amountOut: amountOut,
-      exitTime: Date.now(),
-    };
+    return receipt;
   }
 
   /**
-   * Get token price in terms of ETH
+   * Get token price in terms of the pool's base token
    * @param {string} poolAddress - The Uniswap V3 pool address
-   * @returns {Promise<number>} - Price of the non-ETH token in terms of ETH
+   * @param {string} [baseTokenAddress] - defaults to WETH
+   * @returns {Promise<number>} - Price of the other token in terms of the base token
    */
-  async getPrice(poolAddress) {
+  async getPrice(poolAddress, baseTokenAddress = this.wethAddress) {
     try {
       const poolContract = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, this.wallet);
 
-      // Get slot0 data
-      const slot0 = await poolContract.slot0();
-      const sqrtPriceX96 = slot0.sqrtPriceX96;
-
-      // Get token addresses
-      const token0Address = await poolContract.token0();
-      const token1Address = await poolContract.token1();
-
-      const token0Contract = new ethers.Contract(token0Address, ERC20_ABI, this.wallet);
-      const token1Contract = new ethers.Contract(token1Address, ERC20_ABI, this.wallet);
-
-      const token0Decimals = await token0Contract.decimals();
-      const token1Decimals = await token1Contract.decimals();
-
-      // Calculate the raw price (token0 in terms of token1)
-      const Q96 = 2n ** 96n;
-      const sqrtPrice = BigInt(sqrtPriceX96.toString());
-
-      const numerator = sqrtPrice * sqrtPrice;
-      const denominator = Q96 * Q96;
+      // Get slot0 data and token addresses
+      const [slot0, token0Address, token1Address] = await Promise.all([
+        poolContract.slot0(),
+        poolContract.token0(),
+        poolContract.token1(),
+      ]);
 
-      const decimalAdjustment = 10n ** BigInt(token0Decimals - token1Decimals);
-      const price = (numerator * decimalAdjustment) / denominator;
+      const [token0Decimals, token1Decimals] = await Promise.all([
+        this.getTokenDecimals(token0Address),
+        this.getTokenDecimals(token1Address),
+      ]);
 
-      const rawPrice = parseFloat(ethers.formatUnits(price, 0));
+      // Price of token0 in terms of token1
+      const rawPrice = sqrtPriceX96ToPrice(slot0.sqrtPriceX96, token0Decimals, token1Decimals);
 
-      // Determine which token is WETH/ETH
-      const wethAddress = this.wethAddress.toLowerCase();
+      // Determine which token is the base
+      const base = baseTokenAddress.toLowerCase();
 
-      if (token0Address.toLowerCase() === wethAddress) {
+      if (token0Address.toLowerCase() === base) {
         return 1 / rawPrice;
-      } else if (token1Address.toLowerCase() === wethAddress) {
+      } else if (token1Address.toLowerCase() === base) {
         return rawPrice;
       } else {
-        throw new Error('This pool does not contain WETH');
+        throw new Error(`This pool does not contain the base token ${baseTokenAddress}`);
       }
     } catch (error) {
       console.error('Error getting price:', error);
@@ -380,15 +541,16 @@ export class UniswapV3 {
    * Calculate market cap for a token
    * @param {string} tokenAddress - Token contract address
    * @param {string} poolAddress - Uniswap V3 pool address (token paired with USDC/USDT/etc)
-   * @returns {Promise<number>}
+   * @param {string} [baseTokenAddress] - defaults to WETH
+   * @returns {Promise<number>} market cap in terms of the base token
    */
-  async getMarketCap(tokenAddress, poolAddress) {
+  async getMarketCap(tokenAddress, poolAddress, baseTokenAddress = this.wethAddress) {
     try {
       const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
       const totalSupply = await tokenContract.totalSupply();
       const decimals = await tokenContract.decimals();
 
-      const price = await this.getPrice(poolAddress);
+      const price = await this.getPrice(poolAddress, baseTokenAddress);
 
       const supply = parseFloat(ethers.formatUnits(totalSupply, decimals));
       const marketCap = supply * price;
@@ -401,35 +563,404 @@ export class UniswapV3 {
   }
 
   /**
-   * Gets the current price, stop loss, and target price, in terms of ETH.
-   * @param {string} tokenAddress
-   * @returns
+   * Runs the pre-trade filters of the strategy on a new pair, skipped when none are set
+   * @param {Object} token - token object from the Websocket server
+   * @returns {Object} { passed, failures, stats }
+   */
+  async checkTradeFilters(token) {
+    const params = this.getStrategy(token);
+    if (!hasTradeFilters(params)) {
+      return { passed: true, failures: [], stats: null };
+    }
+
+    const stats = await this.getPoolStats(token, ethers.parseEther(params.buyAmount.toFixed(18)));
+    const failures = getFilterFailures(stats, params);
+
+    return { passed: failures.length === 0, failures, stats };
+  }
+
+  /**
+   * Gets the base token reserve, in-range liquidity, market cap and the price impact of buying
+   * amountIn WETH, in terms of the pool's base token
+   * @param {Object} token - token object from the Websocket server
+   * @param {bigint} amountIn - WETH we would spend
+   * @returns {Object} { baseReserve, inRangeLiquidity, marketCap, priceImpact, baseReserveUsd,
+   * marketCapUsd }
    */
-  async getTargetAndStopLoss(poolAddress, targetMultiplier = 2, stopLossMultiplier = 0.5) {
-    const currentPrice = await this.getPrice(poolAddress);
+  async getPoolStats(token, amountIn) {
+    if (token.liquidityAdd) return this.getLaunchStats(token);
+
+    const poolAddress = token.poolAddress ?? token.pairAddress;
+    const poolContract = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, this.wallet);
+    const baseAddress = token.baseTokenAddress ?? this.wethAddress;
+    const baseContract = new ethers.Contract(baseAddress, ERC20_ABI, this.wallet);
+
+    // The pool's base token balance covers all positions, liquidity() only the in-range ones
+    const [slot0, inRangeLiquidity, token0, baseBalance, baseDecimals, marketCap] =
+      await Promise.all([
+        poolContract.slot0(),
+        poolContract.liquidity(),
+        poolContract.token0(),
+        baseContract.balanceOf(poolAddress),
+        this.getTokenDecimals(baseAddress),
+        this.getMarketCap(token.newTokenAddress, poolAddress, baseAddress),
+      ]);
+
+    // Quoted amount against the spot price after the pool fee, our WETH becomes base tokens first
+    // when the pool isn't against WETH
+    let priceImpact = 1;
+    if (inRangeLiquidity > 0n) {
+      const baseAmountIn = this.isWeth(baseAddress)
+        ? amountIn
+        : (
+            await this.quoterContract.quoteExactInputSingle.staticCall({
+              tokenIn: this.wethAddress,
+              tokenOut: baseAddress,
+              amountIn,
+              fee: await this.getBaseFee(baseAddress),
+              sqrtPriceLimitX96: 0,
+            })
+          )[0];
+
+      const fee = BigInt(token.fee);
+      const [amountOut] = await this.quoterContract.quoteExactInputSingle.staticCall({
+        tokenIn: baseAddress,
+        tokenOut: token.newTokenAddress,
+        amountIn: baseAmountIn,
+        fee: Number(token.fee),
+        sqrtPriceLimitX96: 0,
+      });
+
+      const sqrtPrice = slot0.sqrtPriceX96;
+      const amountInAfterFee = (baseAmountIn * (1_000_000n - fee)) / 1_000_000n;
+      const Q192 = 2n ** 192n;
+      const spotOut =
+        token0.toLowerCase() === baseAddress.toLowerCase()
+          ? (amountInAfterFee * sqrtPrice * sqrtPrice) / Q192
+          : (amountInAfterFee * Q192) / (sqrtPrice * sqrtPrice);
+
+      priceImpact =
+        spotOut > 0n ? Math.max(0, 1 - Number((amountOut * 1_000_000n) / spotOut) / 1_000_000) : 1;
+    }
+
+    // USD values for the USD limits of the strategy, null when the base token can't be priced
+    const baseReserveAmount = parseFloat(ethers.formatUnits(baseBalance, baseDecimals));
+    const baseUsd = await usdOracle.getTokenUsdPrice(this.chainId, baseAddress);
+
     return {
-      currentPrice,
-      targetPrice: currentPrice * targetMultiplier,
-      stopLoss: currentPrice * stopLossMultiplier,
+      baseReserve: baseReserveAmount,
+      inRangeLiquidity,
+      marketCap,
+      priceImpact,
+      baseReserveUsd: baseUsd === null ? null : baseReserveAmount * baseUsd,
+      marketCapUsd: baseUsd === null ? null : marketCap * baseUsd,
     };
   }
 
   /**
-   * Get pool address for token pair and fee
+   * Gets the pool stats of a pending pool creation. The mint's desired amounts stand in for the
+   * reserves, price impact and in-range liquidity depend on its ticks and are left unknown
+   * @param {Object} token - token object from the mempool listener
+   * @returns {Object} same as getPoolStats
    */
-  async getPoolAddress(tokenA, tokenB, fee) {
+  async getLaunchStats(token) {
+    const baseAddress = token.baseTokenAddress ?? this.wethAddress;
+    const tokenContract = new ethers.Contract(token.newTokenAddress, ERC20_ABI, this.wallet);
+
+    const [totalSupply, decimals, baseDecimals, price] = await Promise.all([
+      tokenContract.totalSupply(),
+      this.getTokenDecimals(token.newTokenAddress),
+      this.getTokenDecimals(baseAddress),
+      this.getLaunchPrice(token),
+    ]);
+    const marketCap = parseFloat(ethers.formatUnits(totalSupply, decimals)) * price;
+
+    const baseReserveAmount = parseFloat(
+      ethers.formatUnits(token.liquidityAdd.baseAmount, baseDecimals)
+    );
+    const baseUsd = await usdOracle.getTokenUsdPrice(this.chainId, baseAddress);
+
+    return {
+      baseReserve: baseReserveAmount,
+      inRangeLiquidity: null,
+      marketCap,
+      priceImpact: null,
+      baseReserveUsd: baseUsd === null ? null : baseReserveAmount * baseUsd,
+      marketCapUsd: baseUsd === null ? null : marketCap * baseUsd,
+    };
+  }
+
+  /**
+   * Gets the price a pending pool creation initializes the pool at, in terms of the base token
+   * @param {Object} token - token object from the mempool listener
+   * @returns {Promise<number>}
+   */
+  async getLaunchPrice(token) {
+    const [token0, token1] = token.newTokenIs0
+      ? [token.newTokenAddress, token.baseTokenAddress]
+      : [token.baseTokenAddress, token.newTokenAddress];
+    const [token0Decimals, token1Decimals] = await Promise.all([
+      this.getTokenDecimals(token0),
+      this.getTokenDecimals(token1),
+    ]);
+
+    // Price of token0 in terms of token1
+    const rawPrice = sqrtPriceX96ToPrice(
+      BigInt(token.liquidityAdd.sqrtPriceX96),
+      token0Decimals,
+      token1Decimals
+    );
+
+    return token.newTokenIs0 ? rawPrice : 1 / rawPrice;
+  }
+
+  /**
+   * Gets the tokens a buy right after a pending pool creation gets at its initial price after the
+   * pool fee. The mint's ticks aren't simulated so this is the best case, slippage covers the rest
+   * @param {Object} token - token object from the mempool listener
+   * @param {bigint} amountIn - WETH to spend
+   * @returns {bigint}
+   */
+  getLaunchAmountOut(token, amountIn) {
+    const sqrtPrice = BigInt(token.liquidityAdd.sqrtPriceX96);
+    const amountInAfterFee = (amountIn * (1_000_000n - BigInt(token.fee))) / 1_000_000n;
+    const Q192 = 2n ** 192n;
+
+    return token.newTokenIs0
+      ? (amountInAfterFee * Q192) / (sqrtPrice * sqrtPrice)
+      : (amountInAfterFee * sqrtPrice * sqrtPrice) / Q192;
+  }
+
+  /**
+   * Quotes a buy (WETH -> token) or a sell (token -> WETH), through the base token when the pool
+   * isn't against WETH
+   * @param {string} tokenAddress
+   * @param {string} [baseTokenAddress] - base token of the pool, WETH when missing
+   * @param {number} fee - fee tier of the token's pool
+   * @param {bigint} amountIn
+   * @param {boolean} isSell
+   * @returns {Object} { amountOut, path } where path is null for single hop swaps
+   */
+  async quoteSwap(tokenAddress, baseTokenAddress, fee, amountIn, isSell = false) {
+    const path = await this.getMultiHopPath(tokenAddress, baseTokenAddress, fee, isSell);
+
+    if (path) {
+      const [amountOut] = await this.quoterContract.quoteExactInput.staticCall(path, amountIn);
+      return { amountOut, path };
+    }
+
+    const [amountOut] = await this.quoterContract.quoteExactInputSingle.staticCall({
+      tokenIn: isSell ? tokenAddress : this.wethAddress,
+      tokenOut: isSell ? this.wethAddress : tokenAddress,
+      amountIn,
+      fee: Number(fee),
+      sqrtPriceLimitX96: 0,
+    });
+
+    return { amountOut, path: null };
+  }
+
+  /**
+   * Sends a swap quoted by quoteSwap
+   * @param {string} tokenAddress
+   * @param {number} fee - fee tier of the token's pool
+   * @param {bigint} amountIn
+   * @param {bigint} amountOutMinimum
+   * @param {string|null} path - encoded multi-hop path from quoteSwap
+   * @param {boolean} isSell
+   * @param {string} [action] - gas action of data/gas.json, buy or sell by default
+   * @returns the sent transaction
+   */
+  async sendSwap(
+    tokenAddress,
+    fee,
+    amountIn,
+    amountOutMinimum,
+    path,
+    isSell = false,
+    action = isSell ? 'sell' : 'buy'
+  ) {
+    const swap = path
+      ? await this.routerContract.exactInput.populateTransaction({
+          path,
+          recipient: this.wallet.address,
+          amountIn,
+          amountOutMinimum,
+        })
+      : await this.routerContract.exactInputSingle.populateTransaction({
+          tokenIn: isSell ? tokenAddress : this.wethAddress,
+          tokenOut: isSell ? this.wethAddress : tokenAddress,
+          fee: Number(fee),
+          recipient: this.wallet.address,
+          amountIn,
+          amountOutMinimum,
+          sqrtPriceLimitX96: 0,
+        });
+
+    return this.sendTransaction(await this.gas.prepare(this.wallet, swap, action), action);
+  }
+
+  /**
+   * Sends a WETH -> token swap in a bundle right behind a pending pool creation, it is never
+   * broadcast publicly as it would revert without the pool
+   * @param {Object} liquidityAdd - pending liquidity add from the mempool listener
+   * @param {string} tokenAddress
+   * @param {number} fee - fee tier of the token's pool
+   * @param {bigint} amountIn
+   * @param {bigint} amountOutMinimum
+   * @returns the sent transaction or false if the bundle failed or wasn't mined
+   */
+  async sendBackrun(liquidityAdd, tokenAddress, fee, amountIn, amountOutMinimum) {
+    if (!this.relay) {
+      console.error(`****    NO RELAY TO BACK-RUN ON CHAIN ${this.chainId}   ****`);
+      return false;
+    }
+
     try {
-      const poolAddress = await this.factoryContract.getPool(tokenA, tokenB, fee);
-      if (poolAddress === ethers.ZeroAddress) {
-        throw new Error('Pool does not exist');
-      }
-      return poolAddress;
+      const tx = await this.routerContract.exactInputSingle.populateTransaction({
+        tokenIn: this.wethAddress,
+        tokenOut: tokenAddress,
+        fee: Number(fee),
+        recipient: this.wallet.address,
+        amountIn,
+        amountOutMinimum,
+        sqrtPriceLimitX96: 0,
+      });
+      const prepared = await this.gas.prepare(
+        this.wallet,
+        { ...tx, gasLimit: BACKRUN_GAS_LIMIT },
+        'buy'
+      );
+
+      // A bundle that wasn't mined gives its nonce back
+      const result = await this.nonces.send(this.wallet.address, async nonce => {
+        const sent = await this.relay.sendBundle(this.wallet, [liquidityAdd.signedTx], {
+          ...prepared,
+          nonce,
+        });
+        if (!sent.included) throw new Error('Back-run bundle was not mined');
+        return sent;
+      });
+
+      return { ...result, receipt: await this.waitForReceipt(result.hash) };
     } catch (error) {
-      console.error('Failed to get pool address:', error);
-      return null;
+      console.error('****    UNISWAP V3 BACK-RUN FAILED   ****', error.message);
+      return false;
     }
   }
 
+  /**
+   * Encodes the WETH -> base token -> token path for pools that aren't against WETH
+   * @param {string} tokenAddress
+   * @param {string} [baseTokenAddress]
+   * @param {number} fee - fee tier of the token's pool
+   * @param {boolean} isSell - encodes token -> base token -> WETH instead
+   * @returns {string|null} encoded path, null when the pool is against WETH
+   */
+  async getMultiHopPath(tokenAddress, baseTokenAddress, fee, isSell = false) {
+    if (this.isWeth(baseTokenAddress)) return null;
+
+    const baseFee = await this.getBaseFee(baseTokenAddress);
+    const hops = [this.wethAddress, baseFee, baseTokenAddress, Number(fee), tokenAddress];
+    if (isSell) hops.reverse();
+
+    return ethers.solidityPacked(['address', 'uint24', 'address', 'uint24', 'address'], hops);
+  }
+
+  /**
+   * Finds the fee tier of the deepest WETH/base token pool, the first hop of multi-hop swaps
+   * @param {string} baseTokenAddress
+   * @returns {number} fee tier
+   */
+  async getBaseFee(baseTokenAddress) {
+    const key = baseTokenAddress.toLowerCase();
+    if (this.baseFees.has(key)) return this.baseFees.get(key);
+
+    let best = null;
+    for (const fee of this.feeTiers) {
+      const poolAddress = await this.getPoolAddress(this.wethAddress, baseTokenAddress, fee);
+      if (!poolAddress) continue;
+
+      // A computed address may not be deployed yet, which reads the same as no liquidity
+      const poolContract = new ethers.Contract(poolAddress, UNISWAP_V3_POOL_ABI, this.wallet);
+      const liquidity = await poolContract.liquidity().catch(() => 0n);
+      if (liquidity > 0n && (!best || liquidity > best.liquidity)) best = { fee, liquidity };
+    }
+
+    if (!best) {
+      throw new Error(`No WETH pool found for base token ${baseTokenAddress}`);
+    }
+
+    this.baseFees.set(key, best.fee);
+    return best.fee;
+  }
+
+  /**
+   * Gets the address of a pool on this dex, computed from the init code hash when the dex has one
+   * and asked from the factory otherwise
+   * @param {string} tokenA
+   * @param {string} tokenB
+   * @param {number} fee - fee tier
+   * @returns {Promise<string|null>} null when the factory has no such pool
+   */
+  async getPoolAddress(tokenA, tokenB, fee) {
+    if (!this.initCodeHash) {
+      const poolAddress = await this.factoryContract.getPool(tokenA, tokenB, fee);
+      return poolAddress === ethers.ZeroAddress ? null : poolAddress;
+    }
+
+    const [token0, token1] =
+      tokenA.toLowerCase() < tokenB.toLowerCase() ? [tokenA, tokenB] : [tokenB, tokenA];
+    const salt = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ['address', 'address', 'uint24'],
+        [token0, token1, fee]
+      )
+    );
+
+    return ethers.getCreate2Address(this.poolDeployer, salt, this.initCodeHash);
+  }
+
+  /**
+   * Checks if an address is WETH, a missing address counts as WETH
+   * @param {string} [address]
+   * @returns {boolean}
+   */
+  isWeth(address) {
+    return !address || address.toLowerCase() === this.wethAddress.toLowerCase();
+  }
+
+  /**
+   * Gets the strategy parameters for a token based on this chain, v3 and the pair's base token
+   * @param {Object} token - token object from the Websocket server
+   * @returns {Object} buyAmount, slippage, targetMultiplier, stopLossMultiplier
+   */
+  getStrategy(token) {
+    return this.strategy.getParams(this.chainId, 'v3', token.baseTokenAddress);
+  }
+
+  /**
+   * Gets the current price, stop loss, and target price, in terms of the pool's base token.
+   * @param {string} poolAddress
+   * @param {string} baseTokenAddress
+   * @param {number} [price] - known current price, read from the pool when missing
+   * @returns
+   */
+  async getTargetAndStopLoss(
+    poolAddress,
+    baseTokenAddress = this.wethAddress,
+    targetMultiplier = DEFAULT_STRATEGY.target_multiplier,
+    stopLossMultiplier = DEFAULT_STRATEGY.stop_loss_multiplier,
+    price = null
+  ) {
+    const currentPrice = price ?? (await this.getPrice(poolAddress, baseTokenAddress));
+    return {
+      currentPrice,
+      targetPrice: currentPrice * targetMultiplier,
+      stopLoss: currentPrice * stopLossMultiplier,
+    };
+  }
+
   /**
    * Start target listener for swap events
    */
@@ -441,38 +972,73 @@ export class UniswapV3 {
         topics: [this.poolInterface.getEvent('Swap').topicHash],
       };
 
+      // Decides when to sell, picks up the trailing stop and tiers hit before a restart
+      const position = this.positions.get(tokenAddress);
+      const exit = new ExitStrategy({
+        ...position?.exitParams,
+        ...position?.exitState,
+        entryPrice: position?.entryPrice,
+        entryTime: position?.entryTime,
+        targetPrice,
+        stopLoss,
+      });
+
       const listener = async () => {
         try {
           console.log('🔄 Swap event detected');
 
-          const currentPrice = await this.getPrice(poolAddress);
           const position = this.positions.get(tokenAddress);
+          if (!position || position.selling) return;
+
+          const currentPrice = await this.getPrice(poolAddress, position.baseTokenAddress);
 
-          if (!position) return;
+          const before = exit.getState();
+          const action = exit.update(currentPrice);
+          const after = exit.getState();
 
-          // Check target price
-          if (targetPrice && currentPrice >= targetPrice) {
-            console.log('🚀 Target price reached! Executing sell...');
-            await this.executeSell(tokenAddress, 'TARGET_HIT');
+          if (after.highestPrice !== before.highestPrice || after.tiersHit !== before.tiersHit) {
+            position.exitState = after;
+            this.saveExitState(position.positionId, after);
           }
 
-          // Check stop loss
-          if (stopLoss && currentPrice <= stopLoss) {
-            console.log('🛑 Stop loss triggered! Executing sell...');
-            await this.executeSell(tokenAddress, 'STOP_LOSS');
+          if (!action) return;
+
+          // Stops keep firing until the sell goes through, only the first one is reported
+          if (STOP_REASONS.includes(action.reason) && !position.stopHit) {
+            position.stopHit = true;
+            this.emitTradeEvent('stoploss.hit', {
+              tokenAddress,
+              reason: action.reason,
+              price: currentPrice,
+              stopPrice: exit.getStopPrice(),
+            });
           }
+
+          console.log(`${EXIT_LOGS[action.reason]} Executing sell...`);
+          await this.executeSell(tokenAddress, action.reason, action.portion);
         } catch (error) {
           console.error('Error in swap listener:', error);
+          this.emitTradeEvent('trade.error', {
+            tokenAddress,
+            action: 'watch',
+            error: error.message,
+          });
         }
       };
 
-      // Start listening
-      this.alchemy.ws.on(filter, listener);
+      // Start listening, after a reconnect only the newest missed swap is replayed
+      await this.subscriptions.subscribe(filter, listener, { backfill: 'last' });
+
+      // Pools can go quiet so the time based exit gets its own timer
+      const timeLeft = exit.getTimeLeft();
+      const timer = timeLeft === null ? null : setTimeout(listener, timeLeft + 1000);
 
       // Store listener info
       this.listeners.set(tokenAddress, {
         filter,
         listener,
+        timer,
+        exit,
         poolAddress,
         targetPrice,
         stopLoss,
@@ -498,7 +1064,8 @@ export class UniswapV3 {
     }
 
     try {
-      this.alchemy.ws.off(listenerInfo.filter, listenerInfo.listener);
+      this.subscriptions.unsubscribe(listenerInfo.filter, listenerInfo.listener);
+      clearTimeout(listenerInfo.timer);
       this.listeners.delete(tokenAddress);
       console.log(`🔇 Stopped listening for ${tokenAddress}`);
       return true;
@@ -509,24 +1076,139 @@ export class UniswapV3 {
   }
 
   /**
-   * Execute sell and gives displays if it was a stop loss or target price hit
+   * Reloads the open positions of this instance from the trade journal and re-arms their target
+   * listeners. Positions whose tokens are no longer in the wallet are closed as RECONCILED.
+   * @returns {number} number of positions recovered
+   */
+  async recoverPositions() {
+    const openPositions = journal.getOpenPositions(this.name, this.dryRun);
+    let recovered = 0;
+
+    for (const row of openPositions) {
+      const tokenAddress = row.token_address;
+
+      try {
+        // Paper balances only live in memory so they are rebuilt from the journal
+        if (this.dryRun) {
+          this.paperWallet.seed(
+            tokenAddress,
+            BigInt(row.amount_held ?? row.amount ?? 0),
+            BigInt(row.cost_held ?? row.amount_in ?? 0)
+          );
+        }
+
+        // Make sure we still hold the tokens
+        const balance = await this.getTokenBalance(tokenAddress);
+        if (balance === 0n) {
+          console.log(`🧹 No balance left for ${tokenAddress}, closing position ${row.id}`);
+          journal.closePosition(row.id, 'RECONCILED');
+          continue;
+        }
+
+        this.positions.set(tokenAddress, {
+          chainId: row.chain_id,
+          newTokenAddress: tokenAddress,
+          baseTokenAddress: row.base_token,
+          pairAddress: row.pair_address,
+          poolAddress: row.pair_address,
+          v3: true,
+          fee: row.fee,
+          positionId: row.id,
+          ...this.getRecoveredStrategy(row),
+          entryPrice: row.entry_price,
+          entryPriceUsd: row.entry_price_usd,
+          amount: balance,
+          entryTime: Date.parse(row.opened_at),
+          recovered: true,
+        });
+
+        const started = await this.startTargetListener(
+          tokenAddress,
+          row.pair_address,
+          row.target_price,
+          row.stop_loss
+        );
+
+        if (!started) {
+          console.error(`❌ Failed to re-arm listener for ${tokenAddress}`);
+          continue;
+        }
+
+        recovered++;
+
+        console.log(`♻️  Recovered ${tokenAddress} - Entry: ${row.entry_price}`);
+
+        // The price may have moved past our levels while we were down
+        await this.listeners.get(tokenAddress).listener();
+      } catch (error) {
+        console.error(`Failed to recover position for ${tokenAddress}:`, error);
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Strategy values of a position loaded from the journal
+   */
+  getRecoveredStrategy(row) {
+    const { slippage, trailingStop, takeProfits, maxHoldMinutes } = this.strategy.getParams(
+      this.chainId,
+      'v3',
+      row.base_token
+    );
+
+    return {
+      slippage,
+      exitParams: { trailingStop, takeProfits, maxHoldMinutes },
+      exitState: { highestPrice: row.highest_price, tiersHit: row.tiers_hit },
+    };
+  }
+
+  /**
+   * Persists the trailing stop high and take-profit tiers hit of a position
    */
-  async executeSell(tokenAddress, reason) {
+  saveExitState(positionId, state) {
+    if (!positionId) return;
+
     try {
-      const position = this.positions.get(tokenAddress);
-      if (!position) return;
+      journal.updateExitState(positionId, state);
+    } catch (error) {
+      console.error('Failed to journal exit state:', error);
+    }
+  }
 
-      console.log(`Selling tokens due to: ${reason}`);
+  /**
+   * Execute a sell of part or all of a position and displays why we are selling
+   * @param {string} tokenAddress
+   * @param {string} reason - exit reason e.g. TARGET_HIT, STOP_LOSS, TRAILING_STOP
+   * @param {number} portion - fraction of the current balance to sell
+   */
+  async executeSell(tokenAddress, reason, portion = 1) {
+    const position = this.positions.get(tokenAddress);
+    if (!position || position.selling) return;
 
-      const result = await this.sellToken(tokenAddress, position.fee);
+    try {
+      // Only one sell at a time per position
+      position.selling = true;
 
-      // Stop the listener after selling
-      await this.stopTargetListener(tokenAddress);
+      const balance = await this.getTokenBalance(tokenAddress);
+      const amount =
+        portion >= 1 ? balance : (balance * BigInt(Math.round(portion * 10000))) / 10000n;
+
+      console.log(
+        `Selling ${portion >= 1 ? 'all' : `${Math.round(portion * 100)}% of`} tokens due to: ${reason}`
+      );
+
+      const result = await this.sellToken(tokenAddress, position.fee, reason, amount);
 
       return result;
     } catch (error) {
       console.error('Auto-sell failed:', error);
+      this.emitTradeEvent('trade.error', { tokenAddress, action: 'sell', error: error.message });
       return { success: false, error: error.message };
+    } finally {
+      position.selling = false;
     }
   }
 
@@ -534,6 +1216,12 @@ export class UniswapV3 {
    * Gets balance for a given token address
    */
   async getTokenBalance(tokenAddress) {
+    if (this.dryRun) {
+      // The paper wallet's ETH balance stands in for our WETH
+      return tokenAddress.toLowerCase() === this.wethAddress.toLowerCase()
+        ? this.paperWallet.getBalance()
+        : this.paperWallet.getTokenBalance(tokenAddress);
+    }
     if (!this.wallet) return 0n;
     const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, this.wallet);
     return await tokenContract.balanceOf(this.wallet.address);
@@ -593,6 +1281,155 @@ export class UniswapV3 {
     }));
   }
 
+  /**
+   * Gets the current price of a position and its unrealized P&L
+   * @param {string} tokenAddress
+   * @returns {Promise<Object|null>} { currentPrice, currentPriceUsd, pnl } pnl as a fraction of the
+   * entry price, null if there is no such position
+   */
+  async getPositionPrice(tokenAddress) {
+    const position = this.positions.get(tokenAddress);
+    if (!position) return null;
+
+    const currentPrice = await this.getPrice(
+      position.poolAddress ?? position.pairAddress,
+      position.baseTokenAddress
+    );
+    const pnl = currentPrice && position.entryPrice ? currentPrice / position.entryPrice - 1 : null;
+
+    const currentPriceUsd = await this.toUsd(currentPrice, position.baseTokenAddress);
+
+    return { currentPrice, currentPriceUsd, pnl };
+  }
+
+  /**
+   * Converts a price or amount in a base token to USD
+   * @param {number} value
+   * @param {string} [baseTokenAddress] - defaults to WETH
+   * @returns {Promise<number|null>} null when the base token can't be priced in USD
+   */
+  toUsd(value, baseTokenAddress) {
+    return usdOracle.toUsd(this.chainId, baseTokenAddress ?? this.wethAddress, value);
+  }
+
+  /**
+   * Moves the target price and/or stop loss of an open position, saved to the journal so a restart
+   * picks them up
+   * @param {string} tokenAddress
+   * @param {Object} targets - targetPrice, stopLoss in the pair's base token
+   * @returns {Object|null} { targetPrice, stopLoss } now in use, null if the token isn't watched
+   */
+  updateTargets(tokenAddress, { targetPrice, stopLoss }) {
+    const listenerInfo = this.listeners.get(tokenAddress);
+    if (!listenerInfo) return null;
+
+    listenerInfo.exit.setTargets({ targetPrice, stopLoss });
+    if (targetPrice !== undefined) listenerInfo.targetPrice = targetPrice;
+    if (stopLoss !== undefined) listenerInfo.stopLoss = stopLoss;
+
+    const targets = { targetPrice: listenerInfo.targetPrice, stopLoss: listenerInfo.stopLoss };
+    console.log(
+      `🎚️  New targets for ${tokenAddress}: target ${targets.targetPrice}, stop ${targets.stopLoss}`
+    );
+
+    const positionId = this.positions.get(tokenAddress)?.positionId;
+    if (positionId) {
+      try {
+        journal.updateTargets(positionId, targets);
+      } catch (error) {
+        console.error('Failed to journal targets:', error);
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Gets the simulated balances and P&L when running in dry-run mode
+   */
+  getPaperSummary() {
+    return this.dryRun ? this.paperWallet.getSummary() : null;
+  }
+
+  /**
+   * Sends a transaction through the chain's private relay, or to the public mempool without one
+   * where it is sped up or cancelled when it gets stuck, and waits for its receipt
+   * @param {Object} tx - transaction from gas.prepare
+   * @param {string} action - gas action of data/gas.json: buy, take_profit, stop_loss or sell
+   * @returns {Promise<Object>} { hash, receipt } receipt is null when a relayed transaction wasn't
+   * seen mined in time, throws when it reverted
+   */
+  async sendTransaction(tx, action) {
+    const sent = await this.nonces.send(this.wallet.address, nonce =>
+      this.relay
+        ? this.relay.sendTransaction(this.wallet, { ...tx, nonce })
+        : this.gas.sendTransaction(this.wallet, { ...tx, nonce }, action)
+    );
+
+    // The gas manager only returns once it is mined
+    const receipt = sent.receipt ?? (await this.waitForReceipt(sent.hash));
+    if (receipt && Number(receipt.status) !== 1) {
+      throw new Error(`Transaction ${sent.hash} reverted`);
+    }
+
+    return { ...sent, receipt };
+  }
+
+  /**
+   * Approves the router to take all of a token unless it already may take the amount, and waits for
+   * the approval to be mined
+   * @param {ethers.Contract} tokenContract - the token connected to the wallet
+   * @param {bigint} amount - tokens the next swap needs
+   * @param {string} action - gas action of the swap the approval is for
+   * @returns the sent transaction, null when no approval was needed
+   */
+  async approveRouter(tokenContract, amount, action) {
+    const allowance = await tokenContract.allowance(this.wallet.address, this.routerAddress);
+    if (allowance >= amount) return null;
+
+    const approval = await this.gas.prepare(
+      this.wallet,
+      await tokenContract.approve.populateTransaction(this.routerAddress, ethers.MaxUint256),
+      action
+    );
+    const tx = await this.sendTransaction(approval, action);
+
+    if (!tx.receipt) {
+      throw new Error(`Approval ${tx.hash} of ${await tokenContract.getAddress()} wasn't mined`);
+    }
+    return tx;
+  }
+
+  /**
+   * Emits a trading event with the instance it came from
+   * @param {string} event - buy.filled, sell.filled, stoploss.hit or trade.error
+   * @param {Object} data
+   */
+  emitTradeEvent(event, data) {
+    this.emit(event, {
+      instance: this.name,
+      chainId: this.chainId,
+      dex: this.dex,
+      dryRun: this.dryRun,
+      ...data,
+    });
+  }
+  /**
+   * Tokens the filled events are formatted in, swaps spend and return WETH while prices are quoted
+   * in the pair's base token
+   * @param {string} [baseTokenAddress]
+   * @returns {Object} { amountSymbol, amountDecimals, baseSymbol }
+   */
+  getTradeTokens(baseTokenAddress) {
+    const weth = tokenRegistry.getToken(this.chainId, this.wethAddress);
+    const base = baseTokenAddress ? tokenRegistry.getToken(this.chainId, baseTokenAddress) : weth;
+    return {
+      amountSymbol: weth?.symbol ?? 'WETH',
+      amountDecimals: weth?.decimals ?? 18,
+      baseSymbol: base?.symbol ?? null,
+    };
+  }
+
   /**
    * stops all listeners
    */
@@ -0,0 +1,126 @@
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+
+/**
+ * Client of the control API of a running bot. Requests resolve with the result of their reply or
+ * reject with its error, and the events the bot pushes are emitted as 'event' (event, data).
+ */
+export class ControlClient extends EventEmitter {
+  /**
+   * Constructor
+   * @param {string} url - e.g. ws://localhost:8069
+   * @param {string} authToken - CONTROL_TOKEN of the bot
+   * @param {Object} options
+   * @param {number} options.timeout - ms to wait for a reply
+   */
+  constructor(url, authToken, { timeout = 15000 } = {}) {
+    super();
+    this.url = url;
+    this.authToken = authToken;
+    this.timeout = timeout;
+    this.ws = null;
+    this.nextId = 1;
+
+    // Requests waiting on a reply keyed by id
+    this.pending = new Map();
+  }
+
+  /**
+   * Connects and subscribes to the bot's events
+   */
+  async connect() {
+    this.ws = new WebSocket(this.url, {
+      headers: { Authorization: `Bearer ${this.authToken}` },
+    });
+
+    this.ws.on('message', data => this.handleMessage(data));
+
+    this.ws.on('close', (code, reason) => {
+      this.rejectPending(new Error(`Connection closed: ${code} ${reason}`));
+      this.emit('close', code, reason.toString());
+    });
+
+    this.ws.on('error', error => this.emit('error', error));
+
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+
+    await this.request('events.subscribe');
+  }
+
+  /**
+   * Sends a request and waits for its reply
+   * @param {string} type - message type e.g. positions.list
+   * @param {Object} payload
+   * @returns {Promise<*>} result of the reply
+   */
+  request(type, payload = {}) {
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Not connected'));
+    }
+
+    const id = String(this.nextId++);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${type} timed out`));
+      }, this.timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.ws.send(JSON.stringify({ id, type, payload }));
+    });
+  }
+
+  /**
+   * Settles the request a reply belongs to or emits a pushed event
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.emit('error', new Error(`Invalid message from the bot: ${error.message}`));
+      return;
+    }
+
+    if (message.type === 'event') {
+      this.emit('event', message.event, message.data);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pending.delete(message.id);
+
+    if (message.ok) {
+      request.resolve(message.result);
+    } else {
+      const error = new Error(message.error?.message ?? 'Request failed');
+      error.code = message.error?.code;
+      request.reject(error);
+    }
+  }
+
+  /**
+   * Fails every request still waiting on a reply
+   */
+  rejectPending(error) {
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Closes the connection
+   */
+  close() {
+    this.ws?.close(1000, 'Client closing');
+  }
+}
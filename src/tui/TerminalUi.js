@@ -0,0 +1,305 @@
+import readline from 'readline';
+import { formatUsd } from '../utils/formatUsd.js';
+
+const REFRESH_INTERVAL = 5000;
+const MAX_ACTIVITY = 12;
+
+const HELP = [
+  'sell <position> [percent]          sell a position, all of it by default',
+  'target <position> <price>          move the target price',
+  'stop <position> <price>            move the stop loss',
+  'blacklist <chainId> <token> [why]  never audit or buy a token',
+  'unblacklist <chainId> <token>      allow a blacklisted token again',
+  'pause | resume                     stop or restart buying new pairs',
+  'refresh | help | quit',
+  '<position> is the # of a row in the positions table or a token address',
+];
+
+/**
+ * Terminal screen of a running bot: status, open positions with their unrealized P&L and the latest
+ * pairs, audit verdicts and trades. Commands typed at the prompt are sent to the bot's control API.
+ */
+export class TerminalUi {
+  /**
+   * Constructor
+   * @param {ControlClient} client - connected client of the bot
+   */
+  constructor(client) {
+    this.client = client;
+    this.rl = null;
+    this.refreshTimer = null;
+    this.stats = null;
+    this.positions = [];
+    this.activity = [];
+    this.output = ['Type help for the commands'];
+  }
+
+  /**
+   * Starts drawing the screen and reading commands
+   * @returns {Promise<void>} resolves when the user quits or the connection closes
+   */
+  start() {
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: 'sniper> ',
+    });
+
+    this.client.on('event', (event, data) => {
+      this.addActivity(event, data);
+      if (event === 'trade.result' || event === 'bot.paused' || event === 'bot.resumed') {
+        this.refresh();
+      } else {
+        this.render();
+      }
+    });
+
+    this.rl.on('line', line => this.runCommand(line.trim()));
+
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL);
+
+    return new Promise(resolve => {
+      this.client.once('close', () => {
+        this.stop();
+        console.log('🔌 Connection to the bot closed');
+        resolve();
+      });
+      this.rl.once('close', () => {
+        this.stop();
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stops refreshing and reading input
+   */
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.rl?.close();
+  }
+
+  /**
+   * Reloads the bot stats and the priced positions
+   */
+  async refresh() {
+    try {
+      const [stats, positions] = await Promise.all([
+        this.client.request('bot.stats'),
+        this.client.request('positions.list', { prices: true }),
+      ]);
+      this.stats = stats;
+      this.positions = positions;
+    } catch (error) {
+      this.output = [`❌ Refresh failed: ${error.message}`];
+    }
+    this.render();
+  }
+
+  /**
+   * Adds a pushed event to the activity feed, newest first
+   */
+  addActivity(event, data) {
+    const line = describeEvent(event, data);
+    if (!line) return;
+
+    this.activity.unshift(`${new Date().toLocaleTimeString()}  ${line}`);
+    this.activity.length = Math.min(this.activity.length, MAX_ACTIVITY);
+  }
+
+  /**
+   * Parses and runs a command typed at the prompt
+   * @param {string} line
+   */
+  async runCommand(line) {
+    const [command, ...args] = line.split(/\s+/);
+
+    try {
+      switch (command) {
+        case '':
+          break;
+        case 'sell': {
+          const position = this.getPosition(args[0]);
+          const percent = args[1] === undefined ? 100 : parseNumber(args[1], 'percent');
+          const result = await this.client.request('position.sell', {
+            tokenAddress: position.tokenAddress,
+            instance: position.instance,
+            portion: percent / 100,
+          });
+          this.output = [
+            result.success
+              ? `✅ Sold ${percent}% of ${shorten(position.tokenAddress)}: ${result.txHash ?? ''}`
+              : `❌ Sell of ${shorten(position.tokenAddress)} failed: ${result.error ?? 'unknown error'}`,
+          ];
+          break;
+        }
+        case 'target':
+        case 'stop': {
+          const position = this.getPosition(args[0]);
+          const price = parseNumber(args[1], 'price');
+          const result = await this.client.request('position.targets', {
+            tokenAddress: position.tokenAddress,
+            instance: position.instance,
+            [command === 'target' ? 'targetPrice' : 'stopLoss']: price,
+          });
+          this.output = [
+            `🎚️  ${shorten(position.tokenAddress)} target ${formatPrice(result.targetPrice)}, stop ${formatPrice(result.stopLoss)}`,
+          ];
+          break;
+        }
+        case 'blacklist': {
+          const [chainId, tokenAddress, ...reason] = args;
+          await this.client.request('token.blacklist', {
+            chainId,
+            tokenAddress,
+            reason: reason.join(' ') || null,
+          });
+          this.output = [`⛔ Blacklisted ${tokenAddress} on chain ${chainId}`];
+          break;
+        }
+        case 'unblacklist': {
+          const [chainId, tokenAddress] = args;
+          const result = await this.client.request('token.unblacklist', { chainId, tokenAddress });
+          this.output = [
+            result.removed
+              ? `✅ Removed ${tokenAddress} from the blacklist`
+              : `🤷 ${tokenAddress} wasn't blacklisted`,
+          ];
+          break;
+        }
+        case 'pause':
+        case 'resume':
+          await this.client.request(`bot.${command}`);
+          this.output = [command === 'pause' ? '⏸️  Buying paused' : '▶️  Buying resumed'];
+          break;
+        case 'refresh':
+          this.output = [];
+          break;
+        case 'help':
+          this.output = HELP;
+          break;
+        case 'quit':
+        case 'exit':
+          this.client.close();
+          return;
+        default:
+          this.output = [`Unknown command ${command}, type help for the commands`];
+      }
+    } catch (error) {
+      this.output = [`❌ ${error.code ? `${error.code}: ` : ''}${error.message}`];
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Finds a position by its row number or token address
+   * @param {string} ref
+   * @returns {Object} position
+   */
+  getPosition(ref) {
+    if (!ref) throw new Error('Name a position by its # or token address');
+
+    const position = /^\d+$/.test(ref)
+      ? this.positions[Number(ref) - 1]
+      : this.positions.find(({ tokenAddress }) => tokenAddress.toLowerCase() === ref.toLowerCase());
+
+    if (!position) throw new Error(`No open position ${ref}`);
+    return position;
+  }
+
+  /**
+   * Redraws the whole screen and puts back the line being typed
+   */
+  render() {
+    const lines = [];
+
+    const status = this.stats
+      ? `${this.stats.paused ? '⏸️  PAUSED' : '▶️  RUNNING'}   instances: ${this.stats.tradingInstances.join(', ')}   audit calls: ${this.stats.rateLimiter.callsInWindow}/${this.stats.rateLimiter.maxCalls}`
+      : 'Connecting...';
+    lines.push(`🎯 EVM Sniper   ${status}`, '');
+
+    lines.push(`Open positions (${this.positions.length})`);
+    if (this.positions.length === 0) {
+      lines.push('  none');
+    } else {
+      lines.push(
+        formatRow(['#', 'instance', 'token', 'entry', 'price', 'USD', 'P&L', 'target', 'stop']),
+        ...this.positions.map((position, index) =>
+          formatRow([
+            index + 1,
+            position.instance,
+            shorten(position.tokenAddress),
+            formatPrice(position.entryPrice),
+            formatPrice(position.currentPrice),
+            formatUsd(position.currentPriceUsd),
+            formatPnl(position.pnl),
+            formatPrice(position.targetPrice),
+            formatPrice(position.stopPrice),
+          ])
+        )
+      );
+    }
+
+    lines.push('', 'Activity');
+    lines.push(...(this.activity.length ? this.activity : ['  waiting for new pairs...']));
+    lines.push('', ...this.output, '');
+
+    // Clear the screen and scrollback, then redraw under the cursor's line
+    process.stdout.write('\x1b[2J\x1b[3J\x1b[H');
+    process.stdout.write(lines.join('\n') + '\n');
+    this.rl?.prompt(true);
+  }
+}
+
+/**
+ * One line of the activity feed for a pushed event
+ */
+const describeEvent = (event, data) => {
+  switch (event) {
+    case 'pair.detected':
+      return `🆕 ${data.dex ?? ''} ${data.v3 ? 'V3' : 'V2'} pair ${shorten(data.newTokenAddress)} on chain ${data.chainId}`;
+    case 'audit.verdict':
+      return data.passed
+        ? `🛡️  ${shorten(data.newTokenAddress)} passed audit (score ${data.score})`
+        : `🚫 ${shorten(data.newTokenAddress)} failed audit: ${(data.failedRules ?? []).map(rule => `${rule.check}.${rule.id}`).join(', ')}`;
+    case 'trade.result':
+      if (data.filtered) return `🚫 ${shorten(data.newTokenAddress)} rejected by the trade filters`;
+      return data.success
+        ? `💰 Bought ${shorten(data.newTokenAddress)} at ${formatPrice(data.entryPrice)}`
+        : `❌ Buy of ${shorten(data.newTokenAddress)} failed`;
+    case 'token.blacklisted':
+      return `⛔ ${shorten(data.tokenAddress)} blacklisted`;
+    case 'bot.paused':
+      return '⏸️  Buying paused';
+    case 'bot.resumed':
+      return '▶️  Buying resumed';
+    default:
+      return null;
+  }
+};
+
+const COLUMN_WIDTHS = [3, 12, 14, 12, 12, 12, 9, 12, 12];
+
+const formatRow = cells =>
+  '  ' + cells.map((cell, index) => String(cell).padEnd(COLUMN_WIDTHS[index])).join(' ');
+
+const shorten = address =>
+  typeof address === 'string' && address.length > 12
+    ? `${address.slice(0, 6)}…${address.slice(-4)}`
+    : String(address ?? '-');
+
+const formatPrice = price =>
+  typeof price === 'number' && Number.isFinite(price) ? price.toPrecision(4) : '-';
+
+const formatPnl = pnl =>
+  typeof pnl === 'number' ? `${pnl >= 0 ? '+' : ''}${(pnl * 100).toFixed(1)}%` : '-';
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === undefined || !Number.isFinite(number) || number <= 0) {
+    throw new Error(`${name} must be a number above 0`);
+  }
+  return number;
+};
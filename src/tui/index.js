@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+import { ControlClient } from './ControlClient.js';
+import { TerminalUi } from './TerminalUi.js';
+
+dotenv.config();
+
+/**
+ * Connects to the bot running on this machine and opens the terminal UI
+ */
+const main = async () => {
+  if (!process.env.CONTROL_TOKEN) {
+    console.error('❌ Set CONTROL_TOKEN in .env to the token the bot was started with');
+    process.exitCode = 1;
+    return;
+  }
+
+  const url = process.env.CONTROL_URL || `ws://localhost:${process.env.PORT}`;
+  const client = new ControlClient(url, process.env.CONTROL_TOKEN);
+
+  client.on('error', error => {
+    console.error('❌ Control connection error:', error.message);
+  });
+
+  try {
+    await client.connect();
+  } catch (error) {
+    console.error(`❌ Could not connect to the bot at ${url}:`, error.message);
+    client.close();
+    process.exitCode = 1;
+    return;
+  }
+
+  await new TerminalUi(client).start();
+  client.close();
+};
+
+main();
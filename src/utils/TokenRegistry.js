@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Known tokens of every chain loaded from data/known_tokens.json, keyed by chain id then address:
+ *
+ *   { "8453": { "0x4200...0006": { "symbol": "WETH", "decimals": 18, "role": "native_wrapper", "priority": 100 } } }
+ *
+ * A pair against a known token is a new token listing. When both tokens of a pair are known the one
+ * with the lower priority is treated as the new token, pairs of equal priority are skipped.
+ *
+ * The file can be edited while the bot runs, watch() reloads it and keeps the previous tokens if
+ * the new file is invalid.
+ */
+
+const ROLES = ['native_wrapper', 'stablecoin', 'blue_chip'];
+const TOKEN_KEYS = ['symbol', 'decimals', 'role', 'priority'];
+
+// Wait for editors to finish writing before reloading
+const RELOAD_DELAY_MS = 200;
+
+export class TokenRegistry {
+  /**
+   * Constructor loads and validates the registry file
+   * @param {URL|string} file - path of known_tokens.json
+   */
+  constructor(file) {
+    this.file = file instanceof URL ? fileURLToPath(file) : file;
+    this.watcher = null;
+    this.reloadTimeout = null;
+    this.tokens = parseRegistry(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+  }
+
+  /**
+   * Gets a known token
+   * @param {string} chainId
+   * @param {string} address
+   * @returns {Object|null} { address, symbol, decimals, role, priority }
+   */
+  getToken(chainId, address) {
+    return this.tokens.get(String(chainId))?.get(address.toLowerCase()) ?? null;
+  }
+
+  /**
+   * Gets every known token of a chain
+   * @param {string} chainId
+   * @returns {Array<Object>}
+   */
+  getChainTokens(chainId) {
+    return Array.from(this.tokens.get(String(chainId))?.values() ?? []);
+  }
+
+  /**
+   * Reloads the registry file, an invalid file is logged and the current tokens are kept
+   * @returns {boolean} true if the registry was reloaded
+   */
+  reload() {
+    try {
+      this.tokens = parseRegistry(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+      const total = Array.from(this.tokens.values()).reduce((sum, tokens) => sum + tokens.size, 0);
+      console.log(`🔄 Reloaded ${total} known tokens`);
+      return true;
+    } catch (error) {
+      console.error('Failed to reload known tokens, keeping the previous list:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Reloads the registry whenever the file changes. The directory is watched since editors often
+   * replace the file instead of writing to it
+   */
+  watch() {
+    if (this.watcher) return;
+
+    const fileName = path.basename(this.file);
+    this.watcher = fs.watch(path.dirname(this.file), (event, changed) => {
+      if (changed !== fileName) return;
+
+      clearTimeout(this.reloadTimeout);
+      this.reloadTimeout = setTimeout(() => this.reload(), RELOAD_DELAY_MS);
+    });
+
+    console.log(`👀 Watching ${fileName} for changes`);
+  }
+
+  /**
+   * Stops watching the registry file
+   */
+  close() {
+    clearTimeout(this.reloadTimeout);
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+/**
+ * Validates the parsed file and indexes it by chain id and lowercased address
+ * @param {Object} config - parsed known_tokens.json
+ * @returns {Map<string, Map<string, Object>>}
+ */
+const parseRegistry = config => {
+  if (!isObject(config)) {
+    throw new Error('Invalid known tokens:\n  known tokens must be an object keyed by chain id');
+  }
+
+  const errors = [];
+  const registry = new Map();
+
+  for (const [chainId, tokens] of Object.entries(config)) {
+    if (!isObject(tokens)) {
+      errors.push(`${chainId} must be an object keyed by token address`);
+      continue;
+    }
+
+    const chainTokens = new Map();
+    for (const [address, token] of Object.entries(tokens)) {
+      const tokenPath = `${chainId}.${address}`;
+
+      if (!/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        errors.push(`${tokenPath} is not a valid address`);
+      }
+      if (chainTokens.has(address.toLowerCase())) {
+        errors.push(`${tokenPath} is listed more than once`);
+      }
+      if (!isObject(token)) {
+        errors.push(`${tokenPath} must be an object`);
+        continue;
+      }
+
+      validateToken(token, tokenPath, errors);
+      chainTokens.set(address.toLowerCase(), { address, ...token });
+    }
+
+    registry.set(chainId, chainTokens);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid known tokens:\n  ${errors.join('\n  ')}`);
+  }
+
+  return registry;
+};
+
+/**
+ * Validates a token entry
+ */
+const validateToken = (token, tokenPath, errors) => {
+  for (const key of Object.keys(token)) {
+    if (!TOKEN_KEYS.includes(key)) errors.push(`${tokenPath}.${key} is not a known setting`);
+  }
+
+  if (typeof token.symbol !== 'string' || token.symbol.length === 0) {
+    errors.push(`${tokenPath}.symbol must be a non-empty string`);
+  }
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 255) {
+    errors.push(`${tokenPath}.decimals must be a whole number between 0 and 255`);
+  }
+  if (!ROLES.includes(token.role)) {
+    errors.push(`${tokenPath}.role must be one of ${ROLES.join(', ')}`);
+  }
+  if (typeof token.priority !== 'number' || !Number.isFinite(token.priority)) {
+    errors.push(`${tokenPath}.priority must be a number`);
+  }
+};
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
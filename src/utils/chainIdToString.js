@@ -1,14 +1,20 @@
+import fs from 'fs';
+
+// Load config once at module level
+const UNISWAP_CONFIG = JSON.parse(
+  fs.readFileSync(new URL('../../data/uniswap.json', import.meta.url), 'utf8')
+);
+
 /**
- * Gets the name of the chain using the chain id
+ * Gets the name of the chain using the chain id, as set in uniswap.json
  */
 export const chainIdToString = chainId => {
-  switch (chainId) {
-    case '8453':
-      return 'Base';
-    case '1':
-      return 'Ethereum';
-    default:
-      console.error('Unkown chain id coming from chainIdToString()');
-      return null;
+  const entry = UNISWAP_CONFIG.find(({ chain_id }) => String(chain_id) === String(chainId));
+
+  if (!entry) {
+    console.error('Unkown chain id coming from chainIdToString()');
+    return null;
   }
+
+  return entry.chain;
 };
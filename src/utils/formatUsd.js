@@ -0,0 +1,10 @@
+/**
+ * Formats a USD value for the logs, cents above a dollar and 4 significant digits below
+ * @param {number|null} value
+ * @returns {string} e.g. $1234.50, $0.0001234 or n/a without a price
+ */
+export const formatUsd = value => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'n/a';
+
+  return Math.abs(value) >= 1 ? `$${value.toFixed(2)}` : `$${value.toPrecision(4)}`;
+};
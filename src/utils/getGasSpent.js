@@ -0,0 +1,13 @@
+/**
+ * Gets the gas spent by a mined transaction in wei
+ * @param {Object} receipt - transaction receipt
+ * @returns {bigint|null}
+ */
+export const getGasSpent = receipt => {
+  if (!receipt) return null;
+
+  const gasUsed = BigInt(receipt.gasUsed.toString());
+  const gasPrice = BigInt((receipt.effectiveGasPrice ?? receipt.gasPrice ?? 0).toString());
+
+  return gasUsed * gasPrice;
+};
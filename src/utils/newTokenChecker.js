@@ -1,55 +1,43 @@
-import fs from 'fs';
-
-// Load known tokens once at module level
-const KNOWN_TOKENS = JSON.parse(
-  fs.readFileSync(new URL('../../data/known_tokens.json', import.meta.url), 'utf8')
-);
-
-/**
- * Checks if the token is in the list of known tokens
- * @param {string} targetAddress
- * @returns {boolean}
- */
-export const isBaseToken = targetAddress => {
-  return KNOWN_TOKENS.some(
-    knownAddress => targetAddress.toLowerCase() === knownAddress.toLowerCase()
-  );
-};
-
-/**
- * Check two tokens to find out which one is the new one
- * @param {string} token0
- * @param {string} token1
- * @returns
- */
-export const findNewToken = (token0, token1) => {
-  let count = 0;
-  let baseToken;
-  let newToken;
-  let newTokenIs0;
-
-  // Return true means its a known token
-  if (isBaseToken(token0)) {
-    count++;
-    baseToken = token0;
-    newToken = token1;
-    newTokenIs0 = false;
-  }
-
-  // Returning true means its a known token
-  if (isBaseToken(token1)) {
-    count++;
-    baseToken = token1;
-    newToken = token0;
-    newTokenIs0 = true;
-  }
-
-  // If both tokens are known or if neither token is known return false
-  if (count == 0) {
-    return { newToken: false, baseToken: false };
-  } else if (count === 2) {
-    return { newToken: false, baseToken: false };
-  }
-
-  return { newToken, baseToken, newTokenIs0 };
-};
+import { TokenRegistry } from './TokenRegistry.js';
+
+// Load known tokens once at module level, watch() in main keeps them up to date
+export const tokenRegistry = new TokenRegistry(
+  new URL('../../data/known_tokens.json', import.meta.url)
+);
+
+/**
+ * Checks if the token is in the list of known tokens of the chain
+ * @param {string} chainId
+ * @param {string} targetAddress
+ * @returns {boolean}
+ */
+export const isBaseToken = (chainId, targetAddress) => {
+  return tokenRegistry.getToken(chainId, targetAddress) !== null;
+};
+
+/**
+ * Check two tokens to find out which one is the new one. When both are known the token with the
+ * lower priority is the new one
+ * @param {string} chainId
+ * @param {string} token0
+ * @param {string} token1
+ * @returns
+ */
+export const findNewToken = (chainId, token0, token1) => {
+  const known0 = tokenRegistry.getToken(chainId, token0);
+  const known1 = tokenRegistry.getToken(chainId, token1);
+
+  // If neither token is known, or both are known with the same priority, return false
+  if (!known0 && !known1) {
+    return { newToken: false, baseToken: false };
+  } else if (known0 && known1 && known0.priority === known1.priority) {
+    return { newToken: false, baseToken: false };
+  }
+
+  // token0 is the base if it's the only known token or has the higher priority
+  if (known0 && (!known1 || known0.priority > known1.priority)) {
+    return { newToken: token1, baseToken: token0, newTokenIs0: false };
+  }
+
+  return { newToken: token0, baseToken: token1, newTokenIs0: true };
+};
@@ -0,0 +1,12 @@
+/**
+ * Converts a Uniswap V3 sqrtPriceX96 to the price of token0 in token1, in floats since it can be far
+ * below 1
+ * @param {bigint|string} sqrtPriceX96 - from slot0 or a Swap/Initialize event
+ * @param {number|bigint} token0Decimals
+ * @param {number|bigint} token1Decimals
+ * @returns {number}
+ */
+export const sqrtPriceX96ToPrice = (sqrtPriceX96, token0Decimals, token1Decimals) => {
+  const sqrtPrice = Number(sqrtPriceX96) / 2 ** 96;
+  return sqrtPrice * sqrtPrice * 10 ** (Number(token0Decimals) - Number(token1Decimals));
+};
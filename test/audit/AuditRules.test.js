@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuditRules, loadAuditRules } from '../../src/audit/AuditRules.js';
+
+const RULES = {
+  tokenSecurity: {
+    honeypot: { field: 'is_honeypot', operator: 'eq', value: '1', description: 'Honeypot' },
+    high_tax: { field: 'buy_tax', operator: 'gt', value: 10 },
+    mintable: { field: 'is_mintable', operator: 'eq', value: '1', severity: 'warn' },
+    disabled: { field: 'is_proxy', operator: 'eq', value: '1', enabled: false },
+    owned_and_mintable: {
+      all: [
+        { field: 'owner.owner_type', operator: 'eq', value: 'eoa' },
+        { field: 'is_mintable', operator: 'eq', value: '1' },
+      ],
+    },
+  },
+  chains: {
+    8453: { tokenSecurity: { high_tax: { value: 20 } } },
+  },
+};
+
+const SAFE = { is_honeypot: '0', buy_tax: '0.05', is_mintable: '0', is_proxy: '1' };
+
+describe('AuditRules.evaluate', () => {
+  const rules = new AuditRules(RULES);
+
+  it('passes clean results and ignores disabled rules', () => {
+    assert.deepEqual(rules.evaluate('tokenSecurity', '1', SAFE), {
+      passed: true,
+      score: 1,
+      failedRules: [],
+    });
+  });
+
+  it('rejects on a failed reject rule and scores the share of rules that passed', () => {
+    const result = rules.evaluate('tokenSecurity', '1', { ...SAFE, buy_tax: '12' });
+
+    assert.equal(result.passed, false);
+    assert.equal(result.score, 0.75);
+    assert.deepEqual(result.failedRules, [
+      { id: 'high_tax', severity: 'reject', description: null, actual: { buy_tax: '12' } },
+    ]);
+  });
+
+  it('reports warnings without rejecting', () => {
+    const result = rules.evaluate('tokenSecurity', '1', { ...SAFE, is_mintable: '1' });
+
+    assert.equal(result.passed, true);
+    assert.deepEqual(
+      result.failedRules.map(({ id, severity }) => [id, severity]),
+      [['mintable', 'warn']]
+    );
+  });
+
+  it('only fails an all rule when every condition matches, following dot paths', () => {
+    const owned = { ...SAFE, is_mintable: '1', owner: { owner_type: 'EOA' } };
+    const result = rules.evaluate('tokenSecurity', '1', owned);
+
+    assert.equal(result.passed, false);
+    assert.deepEqual(result.failedRules.at(-1), {
+      id: 'owned_and_mintable',
+      severity: 'reject',
+      description: null,
+      actual: { 'owner.owner_type': 'EOA', is_mintable: '1' },
+    });
+
+    const contractOwned = rules.evaluate('tokenSecurity', '1', {
+      ...owned,
+      owner: { owner_type: 'contract' },
+    });
+    assert.equal(contractOwned.passed, true);
+  });
+
+  it('applies the overrides of the token chain', () => {
+    const taxed = { ...SAFE, buy_tax: '15' };
+
+    assert.equal(rules.evaluate('tokenSecurity', '1', taxed).passed, false);
+    assert.equal(rules.evaluate('tokenSecurity', 8453, taxed).passed, true);
+  });
+
+  it('passes checks without rules', () => {
+    assert.deepEqual(rules.evaluate('rugpullDetection', '1', {}), {
+      passed: true,
+      score: 1,
+      failedRules: [],
+    });
+  });
+});
+
+describe('AuditRules validation', () => {
+  it('lists every problem of the rules and chain overrides', () => {
+    assert.throws(
+      () =>
+        new AuditRules({
+          tokenSecurity: {
+            tax: { field: 'buy_tax', operator: 'gt', value: '10', severity: 'block' },
+            owner: { field: 'owner', operator: 'like', value: 'x' },
+          },
+          chains: { 1: { tokenSecurity: { tax: { value: 5, enabled: 'yes' } } } },
+        }),
+      {
+        message: [
+          'Invalid audit rules:',
+          '  rules.tokenSecurity.tax.severity must be one of reject, warn',
+          '  rules.tokenSecurity.tax.value must be a number for gt',
+          '  rules.tokenSecurity.owner.operator must be one of eq, neq, gt, gte, lt, lte, in, not_in, matches',
+          '  rules.chains.1.tokenSecurity.tax.severity must be one of reject, warn',
+          '  rules.chains.1.tokenSecurity.tax.enabled must be true or false',
+        ].join('\n'),
+      }
+    );
+  });
+
+  it('loads the shipped rules file', () => {
+    assert.ok(loadAuditRules() instanceof AuditRules);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Backtester } from '../../src/backtest/Backtester.js';
+import { StrategyConfig } from '../../src/trading/StrategyConfig.js';
+
+// Target 2x and stop loss 0.5x unless a test overrides them
+const strategy = new StrategyConfig({});
+
+const START = Date.UTC(2025, 0, 1);
+const MINUTE = 60000;
+
+/**
+ * Pool fixture swapping at the given prices a minute apart, or at [minute, price] pairs
+ */
+const pool = (prices, name = 'pool') => ({
+  chainId: '1',
+  version: 'V2',
+  pool: name,
+  token: `${name}-token`,
+  base: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+  events: prices.map((point, index) => {
+    const [minute, price] = Array.isArray(point) ? point : [index, point];
+    return { price, timestamp: START + minute * MINUTE, swap: true };
+  }),
+});
+
+const run = (pools, combination) => new Backtester(pools, strategy).run(combination);
+
+const assertClose = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+describe('Backtester', () => {
+  it('sells everything at the target price', () => {
+    const [trade] = run([pool([1, 1.5, 2.1, 3])]).trades;
+
+    assert.equal(trade.reason, 'TARGET_HIT');
+    assertClose(trade.return, 1.1);
+    assert.equal(trade.exitTime, START + 2 * MINUTE);
+    assert.equal(trade.holdMinutes, 2);
+  });
+
+  it('sells everything at the stop loss', () => {
+    const [trade] = run([pool([1, 0.8, 0.4, 0.3])]).trades;
+
+    assert.equal(trade.reason, 'STOP_LOSS');
+    assertClose(trade.return, -0.6);
+    assert.equal(trade.sells.length, 1);
+  });
+
+  it('trails the stop below the highest price', () => {
+    const [trade] = run([pool([1, 1.6, 1.3, 1.1])], { trailing_stop: 0.25 }).trades;
+
+    // The stop trailed to 1.2, the fixed stop loss is 0.5
+    assert.equal(trade.reason, 'TRAILING_STOP');
+    assertClose(trade.return, 0.1);
+  });
+
+  it('sells the take-profit ladder tier by tier', () => {
+    const takeProfits = [
+      { multiplier: 2, percent: 0.5 },
+      { multiplier: 3, percent: 0.5 },
+    ];
+    const [trade] = run([pool([1, 2, 2.5, 3])], { take_profits: takeProfits }).trades;
+
+    assert.equal(trade.reason, 'TARGET_HIT');
+    assert.equal(trade.tiersHit, 2);
+    assert.deepEqual(
+      trade.sells.map(({ reason, portion, price }) => [reason, portion, price]),
+      [
+        ['TAKE_PROFIT', 0.5, 2],
+        ['TARGET_HIT', 1, 3],
+      ]
+    );
+    // Half sold at 2x and half at 3x
+    assertClose(trade.return, 1.5);
+  });
+
+  it('fires the time exit at the last price when the pool goes quiet', () => {
+    const [trade] = run(
+      [
+        pool([
+          [0, 1],
+          [1, 1.2],
+          [30, 1.9],
+        ]),
+      ],
+      { max_hold_minutes: 10 }
+    ).trades;
+
+    assert.equal(trade.reason, 'TIME_EXIT');
+    assert.equal(trade.exitTime, START + 10 * MINUTE + 1000);
+    assertClose(trade.return, 0.2);
+  });
+
+  it('keeps a position open when the data ends first and marks it at the last price', () => {
+    const [trade] = run([pool([1, 1.5, 0.9, 1.2])]).trades;
+
+    assert.equal(trade.reason, 'OPEN');
+    assert.equal(trade.exitTime, null);
+    assertClose(trade.return, 0.2);
+    // Equity fell from 1.5 to 0.9
+    assertClose(trade.maxDrawdown, 0.4);
+  });
+
+  it('skips pools without a price', () => {
+    assert.deepEqual(run([{ ...pool([]), events: [] }]).trades, []);
+  });
+
+  it('summarizes returns, hit rates and the drawdown of the running P&L', () => {
+    const { summary } = run([
+      pool([1, 2], 'winner'),
+      pool([1, 1.2, 0.4], 'loser'),
+      pool([1, 1, 1, 0.8], 'open'),
+    ]);
+
+    // Running P&L +1, then 0.4 and 0.2 for the open position marked at the end
+    assert.equal(summary.trades, 3);
+    assertClose(summary.totalReturn, 0.2);
+    assertClose(summary.averageReturn, 0.2 / 3);
+    assertClose(summary.winRate, 1 / 3);
+    assertClose(summary.hitRates.TARGET_HIT, 1 / 3);
+    assertClose(summary.hitRates.STOP_LOSS, 1 / 3);
+    assertClose(summary.hitRates.OPEN, 1 / 3);
+    assertClose(summary.maxDrawdown, 0.8);
+    // Closed trades only
+    assertClose(summary.averageHoldMinutes, 1.5);
+    // The loser fell from 1.2 to 0.4
+    assertClose(summary.worstTradeDrawdown, 0.8 / 1.2);
+  });
+
+  it('runs every combination of a grid', () => {
+    const results = new Backtester([pool([1, 1.6, 1.1])], strategy).runGrid([
+      { target_multiplier: 1.5 },
+      { trailing_stop: 0.25 },
+    ]);
+
+    assert.deepEqual(
+      results.map(({ trades }) => trades[0].reason),
+      ['TARGET_HIT', 'TRAILING_STOP']
+    );
+  });
+});
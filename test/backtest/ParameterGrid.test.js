@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParameterGrid, describeCombination } from '../../src/backtest/ParameterGrid.js';
+
+describe('ParameterGrid', () => {
+  it('expands every combination of the listed values', () => {
+    const grid = new ParameterGrid({
+      target_multiplier: [2, 3],
+      trailing_stop: [null, 0.25],
+      max_hold_minutes: [30],
+    });
+
+    assert.deepEqual(grid.getCombinations(), [
+      { target_multiplier: 2, trailing_stop: null, max_hold_minutes: 30 },
+      { target_multiplier: 2, trailing_stop: 0.25, max_hold_minutes: 30 },
+      { target_multiplier: 3, trailing_stop: null, max_hold_minutes: 30 },
+      { target_multiplier: 3, trailing_stop: 0.25, max_hold_minutes: 30 },
+    ]);
+  });
+
+  it('gives a single empty combination for an empty grid', () => {
+    assert.deepEqual(new ParameterGrid({}).getCombinations(), [{}]);
+  });
+
+  it('lists every problem of an invalid grid', () => {
+    assert.throws(
+      () =>
+        new ParameterGrid({
+          buy_amount: [1],
+          target_multiplier: [],
+          stop_loss_multiplier: [0.5, 2],
+        }),
+      {
+        message: [
+          'Invalid backtest grid:',
+          '  grid.buy_amount is not an exit parameter, use one of target_multiplier, stop_loss_multiplier, trailing_stop, take_profits, max_hold_minutes',
+          '  grid.target_multiplier must be a non-empty list of values',
+          '  grid.stop_loss_multiplier[1] must be a number between 0 and 1',
+        ].join('\n'),
+      }
+    );
+  });
+
+  it('describes combinations for the report', () => {
+    assert.equal(
+      describeCombination({
+        target_multiplier: 2,
+        take_profits: [
+          { multiplier: 2, percent: 0.5 },
+          { multiplier: 4, percent: 0.25 },
+        ],
+      }),
+      'target_multiplier=2 take_profits=50%@2x,25%@4x'
+    );
+    assert.equal(describeCombination({}), 'strategy.json');
+  });
+});
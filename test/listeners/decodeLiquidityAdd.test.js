@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import {
+  decodeV2LiquidityAdd,
+  decodeV3LiquidityAdd,
+} from '../../src/listeners/decodeLiquidityAdd.js';
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const OWNER = '0x3333333333333333333333333333333333333333';
+
+const V2_ROUTER = new ethers.Interface([
+  'function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline)',
+  'function addLiquidityETH(address token, uint amountTokenDesired, uint amountTokenMin, uint amountETHMin, address to, uint deadline) payable',
+  'function swapExactETHForTokens(uint amountOutMin, address[] path, address to, uint deadline) payable',
+]);
+
+const POSITION_MANAGER = new ethers.Interface([
+  'function createAndInitializePoolIfNecessary(address token0, address token1, uint24 fee, uint160 sqrtPriceX96)',
+  'function mint((address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint256 amount0Desired, uint256 amount1Desired, uint256 amount0Min, uint256 amount1Min, address recipient, uint256 deadline) params)',
+  'function multicall(bytes[] data)',
+]);
+
+const SQRT_PRICE = 2n ** 96n;
+
+const create = (fee = 3000) =>
+  POSITION_MANAGER.encodeFunctionData('createAndInitializePoolIfNecessary', [
+    TOKEN,
+    WETH,
+    fee,
+    SQRT_PRICE,
+  ]);
+
+const mint = (fee = 3000) =>
+  POSITION_MANAGER.encodeFunctionData('mint', [
+    [TOKEN, WETH, fee, -887220, 887220, 1000n, 5n, 0n, 0n, OWNER, 1n],
+  ]);
+
+describe('decodeV2LiquidityAdd', () => {
+  it('decodes addLiquidityETH with the ETH sent as the WETH amount', () => {
+    const data = V2_ROUTER.encodeFunctionData('addLiquidityETH', [TOKEN, 1000n, 0n, 0n, OWNER, 1n]);
+
+    assert.deepEqual(decodeV2LiquidityAdd(data, 5n, WETH), {
+      v3: false,
+      tokens: [TOKEN, WETH],
+      amounts: [1000n, 5n],
+    });
+  });
+
+  it('decodes addLiquidity with both desired amounts', () => {
+    const data = V2_ROUTER.encodeFunctionData('addLiquidity', [
+      OTHER,
+      TOKEN,
+      7n,
+      9n,
+      0n,
+      0n,
+      OWNER,
+      1n,
+    ]);
+
+    assert.deepEqual(decodeV2LiquidityAdd(data, 0n, WETH), {
+      v3: false,
+      tokens: [OTHER, TOKEN],
+      amounts: [7n, 9n],
+    });
+  });
+
+  it('ignores other router calls and calldata it cannot parse', () => {
+    const swap = V2_ROUTER.encodeFunctionData('swapExactETHForTokens', [
+      0n,
+      [WETH, TOKEN],
+      OWNER,
+      1n,
+    ]);
+
+    assert.equal(decodeV2LiquidityAdd(swap, 1n, WETH), null);
+    assert.equal(decodeV2LiquidityAdd('0xdeadbeef', 0n, WETH), null);
+  });
+});
+
+describe('decodeV3LiquidityAdd', () => {
+  it('decodes a pool creation and mint sent in one multicall', () => {
+    const data = POSITION_MANAGER.encodeFunctionData('multicall', [[create(), mint()]]);
+
+    assert.deepEqual(decodeV3LiquidityAdd(data), {
+      v3: true,
+      tokens: [TOKEN, WETH],
+      amounts: [1000n, 5n],
+      fee: 3000,
+      sqrtPriceX96: SQRT_PRICE,
+    });
+  });
+
+  it('ignores a mint alone, a creation without a mint and a mint on another pool', () => {
+    const multicall = calls => POSITION_MANAGER.encodeFunctionData('multicall', [calls]);
+
+    assert.equal(decodeV3LiquidityAdd(mint()), null);
+    assert.equal(decodeV3LiquidityAdd(create()), null);
+    assert.equal(decodeV3LiquidityAdd(multicall([create(3000), mint(500)])), null);
+    assert.equal(decodeV3LiquidityAdd('0x'), null);
+  });
+});
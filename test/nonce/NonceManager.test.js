@@ -0,0 +1,113 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { NonceManager } from '../../src/nonce/NonceManager.js';
+
+const WALLET = '0xAbCdEf0000000000000000000000000000000001';
+
+// Provider answering eth_getTransactionCount from counts that tests move like the chain would
+const chain = { latest: 5, pending: 5, syncs: 0 };
+const provider = {
+  core: {
+    send: async (method, [, block]) => {
+      assert.equal(method, 'eth_getTransactionCount');
+      if (block === 'latest') chain.syncs++;
+      return `0x${chain[block].toString(16)}`;
+    },
+  },
+};
+
+const sent = nonce => ({ hash: `0x${nonce}` });
+
+describe('NonceManager', () => {
+  let nonces;
+
+  beforeEach(t => {
+    Object.assign(chain, { latest: 5, pending: 5, syncs: 0 });
+    nonces = new NonceManager(1, provider);
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  it('hands out consecutive nonces to concurrent sends with a single sync', async () => {
+    const results = await Promise.all(
+      [0, 1, 2].map(() => nonces.send(WALLET, async nonce => sent(nonce)))
+    );
+
+    assert.deepEqual(
+      results.map(({ hash }) => hash),
+      ['0x5', '0x6', '0x7']
+    );
+    assert.equal(chain.syncs, 1);
+    assert.deepEqual(nonces.getPending(WALLET.toLowerCase()), [
+      { nonce: 5, hash: '0x5' },
+      { nonce: 6, hash: '0x6' },
+      { nonce: 7, hash: '0x7' },
+    ]);
+  });
+
+  it('resyncs after a failed send and hands out the gap it left first', async () => {
+    const outcomes = await Promise.allSettled([
+      nonces.send(WALLET, async nonce => sent(nonce)),
+      nonces.send(WALLET, async () => {
+        throw new Error('underpriced');
+      }),
+      nonces.send(WALLET, async nonce => sent(nonce)),
+    ]);
+    assert.deepEqual(
+      outcomes.map(({ status }) => status),
+      ['fulfilled', 'rejected', 'fulfilled']
+    );
+
+    // The node saw nonce 5, 7 sits in a private relay
+    chain.pending = 6;
+
+    assert.equal((await nonces.send(WALLET, async nonce => sent(nonce))).hash, '0x6');
+    assert.equal((await nonces.send(WALLET, async nonce => sent(nonce))).hash, '0x8');
+    assert.equal(chain.syncs, 2);
+  });
+
+  it('forgets mined transactions and ones dropped without being seen', async t => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    await nonces.send(WALLET, async nonce => sent(nonce));
+    await nonces.send(WALLET, async nonce => sent(nonce));
+
+    // Nonce 5 was mined, the node never saw 6
+    Object.assign(chain, { latest: 6, pending: 6 });
+    await nonces.sync(WALLET);
+    assert.deepEqual(nonces.getPending(WALLET), [{ nonce: 6, hash: '0x6' }]);
+
+    now += 10 * 60_000 + 1;
+    await nonces.sync(WALLET);
+    assert.deepEqual(nonces.getPending(WALLET), []);
+    assert.equal((await nonces.send(WALLET, async nonce => sent(nonce))).hash, '0x6');
+  });
+
+  it('reads the chain again after a minute to pick up transactions sent elsewhere', async t => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+
+    await nonces.send(WALLET, async nonce => sent(nonce));
+    Object.assign(chain, { latest: 9, pending: 9 });
+
+    now += 30_000;
+    assert.equal((await nonces.send(WALLET, async nonce => sent(nonce))).hash, '0x6');
+
+    now += 60_001;
+    assert.equal((await nonces.send(WALLET, async nonce => sent(nonce))).hash, '0x9');
+  });
+
+  it('does not block the callers behind a failed sync', async t => {
+    const send = t.mock.method(provider.core, 'send', async () => {
+      throw new Error('socket closed');
+    });
+
+    await assert.rejects(
+      nonces.send(WALLET, async nonce => sent(nonce)),
+      /socket closed/
+    );
+
+    send.mock.restore();
+    assert.equal((await nonces.send(WALLET, async nonce => sent(nonce))).hash, '0x5');
+  });
+});
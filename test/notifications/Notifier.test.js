@@ -0,0 +1,116 @@
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Notifier } from '../../src/notifications/Notifier.js';
+import { WebhookSink } from '../../src/notifications/sinks.js';
+
+// Webhook stub, answers with the status of the path e.g. /500 and records what it got
+let server;
+let baseUrl;
+let received = [];
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => (body += chunk));
+    request.on('end', () => {
+      received.push({ path: request.url, body: JSON.parse(body) });
+      const status = Number(request.url.slice(1)) || 200;
+      response.writeHead(status, { 'Content-Type': 'text/plain' });
+      response.end(status === 200 ? 'ok' : 'boom');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+});
+
+const webhook = (settings = {}) =>
+  new Notifier({ sinks: [{ type: 'webhook', url: `${baseUrl}/200`, ...settings }] }, {});
+
+const BUY = {
+  instance: 'base-v2',
+  tokenAddress: '0x1111111111111111111111111111111111111111',
+  amountIn: 10n ** 17n,
+  entryPrice: 0.00025,
+  entryPriceUsd: null,
+  txHash: '0xabc',
+  amountSymbol: 'WETH',
+  amountDecimals: 18,
+  baseSymbol: 'USDC',
+};
+
+describe('Notifier', () => {
+  it('only sends the notifications a sink subscribed to', async () => {
+    const notifier = webhook({ events: ['sell.filled', 'audit.failed'] });
+
+    await notifier.notify('buy.filled', BUY);
+    await notifier.notify('audit.verdict', { newTokenAddress: '0x1', chainId: 8453, passed: true });
+    await notifier.notify('audit.verdict', {
+      newTokenAddress: '0x2',
+      chainId: 8453,
+      passed: false,
+    });
+
+    assert.deepEqual(
+      received.map(({ body }) => body.event),
+      ['audit.failed']
+    );
+  });
+
+  it('formats filled amounts in the token the event says they are in', async () => {
+    await webhook().notify('buy.filled', BUY);
+
+    const [{ body }] = received;
+    assert.match(body.text, /Spent: 0\.1 WETH/);
+    assert.match(body.text, /Entry price: 0\.0002500 USDC/);
+    // BigInts are sent as strings
+    assert.equal(body.data.amountIn, '100000000000000000');
+  });
+
+  it('drops notifications over max_per_minute and counts them in the next one', async t => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    t.mock.method(console, 'warn', () => {});
+    const notifier = webhook({ max_per_minute: 2 });
+
+    for (let i = 0; i < 5; i++) await notifier.notify('buy.filled', BUY);
+    assert.equal(received.length, 2);
+    assert.equal(notifier.sinks[0].dropped, 3);
+
+    now += 60000;
+    await notifier.notify('buy.filled', BUY);
+    assert.equal(received.length, 3);
+    assert.match(received[2].body.text, /\(3 notifications dropped by the rate limit\)$/);
+    assert.equal(notifier.sinks[0].dropped, 0);
+  });
+
+  it('logs sinks answering with an error instead of rejecting', async t => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const notifier = webhook({ url: `${baseUrl}/500` });
+
+    await notifier.notify('buy.filled', BUY);
+
+    assert.equal(received.length, 1);
+    assert.equal(errors.mock.callCount(), 1);
+    assert.match(errors.mock.calls[0].arguments[1], /HTTP 500 boom/);
+  });
+});
+
+describe('WebhookSink', () => {
+  it('throws on a non-2xx answer', async () => {
+    const sink = new WebhookSink({ url: `${baseUrl}/404` });
+    await assert.rejects(sink.send({ event: 'buy.filled', text: 'hi', data: {} }), /HTTP 404 boom/);
+  });
+
+  it('resolves on a 2xx answer', async () => {
+    const sink = new WebhookSink({ url: `${baseUrl}/200` });
+    await sink.send({ event: 'buy.filled', text: 'hi', data: {} });
+    assert.equal(received[0].body.text, 'hi');
+  });
+});
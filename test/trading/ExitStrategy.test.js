@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExitStrategy } from '../../src/trading/ExitStrategy.js';
+
+const ENTRY_TIME = Date.UTC(2025, 0, 1);
+
+const exitStrategy = params =>
+  new ExitStrategy({
+    entryPrice: 1,
+    entryTime: ENTRY_TIME,
+    targetPrice: 2,
+    stopLoss: 0.5,
+    ...params,
+  });
+
+describe('ExitStrategy', () => {
+  it('sells everything at the target price or the stop loss', () => {
+    assert.equal(exitStrategy().update(1.5, ENTRY_TIME), null);
+    assert.deepEqual(exitStrategy().update(2, ENTRY_TIME), { reason: 'TARGET_HIT', portion: 1 });
+    assert.deepEqual(exitStrategy().update(0.5, ENTRY_TIME), { reason: 'STOP_LOSS', portion: 1 });
+  });
+
+  it('ratchets the trailing stop up with the highest price', () => {
+    const exit = exitStrategy({ trailingStop: 0.2 });
+
+    // 20% below the entry price is above the fixed stop loss of 0.5
+    assert.equal(exit.getStopPrice(), 0.8);
+    exit.update(1.5, ENTRY_TIME);
+    assert.ok(Math.abs(exit.getStopPrice() - 1.2) < 1e-9);
+    exit.update(1.3, ENTRY_TIME);
+    assert.deepEqual(exit.update(1.2, ENTRY_TIME), { reason: 'TRAILING_STOP', portion: 1 });
+  });
+
+  it('keeps the fixed stop loss while it is above the trailing stop', () => {
+    const exit = exitStrategy({ stopLoss: 0.9, trailingStop: 0.5 });
+
+    assert.equal(exit.getStopPrice(), 0.9);
+    assert.deepEqual(exit.update(0.85, ENTRY_TIME), { reason: 'STOP_LOSS', portion: 1 });
+  });
+
+  it('sells take-profit tiers as portions of what is left', () => {
+    const exit = exitStrategy({
+      takeProfits: [
+        { multiplier: 3, percent: 0.25 },
+        { multiplier: 2, percent: 0.5 },
+        { multiplier: 4, percent: 0.25 },
+      ],
+    });
+
+    assert.equal(exit.getTargetPrice(), 2);
+    assert.deepEqual(exit.update(2, ENTRY_TIME), { reason: 'TAKE_PROFIT', portion: 0.5 });
+    assert.deepEqual(exit.update(3, ENTRY_TIME), { reason: 'TAKE_PROFIT', portion: 0.5 });
+    assert.deepEqual(exit.update(4, ENTRY_TIME), { reason: 'TARGET_HIT', portion: 1 });
+    assert.equal(exit.getTargetPrice(), null);
+  });
+
+  it('sells every tier a single swap crossed at once', () => {
+    const exit = exitStrategy({
+      takeProfits: [
+        { multiplier: 2, percent: 0.5 },
+        { multiplier: 3, percent: 0.3 },
+      ],
+    });
+
+    const action = exit.update(3.5, ENTRY_TIME);
+    assert.equal(action.reason, 'TAKE_PROFIT');
+    assert.ok(Math.abs(action.portion - 0.8) < 1e-9);
+    assert.equal(exit.tiersHit, 2);
+  });
+
+  it('restores the tiers hit and highest price after a restart', () => {
+    const exit = exitStrategy({
+      takeProfits: [
+        { multiplier: 2, percent: 0.5 },
+        { multiplier: 3, percent: 0.5 },
+      ],
+      trailingStop: 0.5,
+      highestPrice: 2.4,
+      tiersHit: 1,
+    });
+
+    assert.deepEqual(exit.getState(), { highestPrice: 2.4, tiersHit: 1 });
+    assert.equal(exit.getStopPrice(), 1.2);
+    assert.deepEqual(exit.update(3, ENTRY_TIME), { reason: 'TARGET_HIT', portion: 1 });
+  });
+
+  it('sells after max hold minutes unless a tier was hit', () => {
+    const exit = exitStrategy({ maxHoldMinutes: 10 });
+    const deadline = ENTRY_TIME + 10 * 60000;
+
+    assert.equal(exit.getTimeLeft(ENTRY_TIME), 10 * 60000);
+    assert.equal(exit.update(1.1, deadline - 1), null);
+    assert.deepEqual(exit.update(1.1, deadline), { reason: 'TIME_EXIT', portion: 1 });
+
+    const ladder = exitStrategy({
+      maxHoldMinutes: 10,
+      takeProfits: [
+        { multiplier: 2, percent: 0.5 },
+        { multiplier: 3, percent: 0.5 },
+      ],
+    });
+    ladder.update(2, ENTRY_TIME);
+    assert.equal(ladder.getTimeLeft(deadline), null);
+    assert.equal(ladder.update(2.5, deadline), null);
+  });
+
+  it('moves the target and stop loss but not the target of a ladder', () => {
+    const exit = exitStrategy();
+    exit.setTargets({ targetPrice: 3, stopLoss: 0.8 });
+    assert.equal(exit.getTargetPrice(), 3);
+    assert.equal(exit.getStopPrice(), 0.8);
+
+    const ladder = exitStrategy({ takeProfits: [{ multiplier: 2, percent: 1 }] });
+    assert.throws(() => ladder.setTargets({ targetPrice: 3 }), /take-profit ladder/);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { PaperWallet } from '../../src/trading/PaperWallet.js';
+
+const TOKEN = '0xAbCdEf0000000000000000000000000000000001';
+const ETH = ethers.parseEther('1');
+
+describe('PaperWallet', () => {
+  it('spends ETH on buys and credits the tokens whatever the address case', () => {
+    const wallet = new PaperWallet(ETH);
+    const tx = wallet.buy(TOKEN, ETH / 4n, 1000n);
+
+    assert.match(tx.hash, /^paper-\d+-1$/);
+    assert.equal(wallet.getBalance(), (ETH * 3n) / 4n);
+    assert.equal(wallet.getTokenBalance(TOKEN.toLowerCase()), 1000n);
+  });
+
+  it('refuses buys over the ETH balance and sells over the token balance', () => {
+    const wallet = new PaperWallet(ETH);
+
+    assert.throws(() => wallet.buy(TOKEN, ETH * 2n, 1000n), /Insufficient paper ETH/);
+    wallet.buy(TOKEN, ETH / 2n, 1000n);
+    assert.throws(() => wallet.sell(TOKEN, 1001n, ETH), /Insufficient paper balance/);
+  });
+
+  it('realizes P&L against the cost of the tokens sold', () => {
+    const wallet = new PaperWallet(ETH);
+    wallet.buy(TOKEN, ETH / 2n, 1000n);
+
+    // A quarter of the tokens cost 0.125 ETH and return 0.25 ETH
+    wallet.sell(TOKEN, 250n, ETH / 4n);
+    assert.equal(wallet.getTokenBalance(TOKEN), 750n);
+    assert.equal(wallet.costBasis.get(TOKEN.toLowerCase()), (ETH * 3n) / 8n);
+    assert.equal(wallet.realizedPnl, ETH / 8n);
+
+    // The rest is sold at a loss
+    wallet.sell(TOKEN, 750n, ETH / 8n);
+    assert.equal(wallet.getTokenBalance(TOKEN), 0n);
+    assert.equal(wallet.realizedPnl, ETH / 8n - ETH / 4n);
+
+    assert.deepEqual(wallet.getSummary(), {
+      startingBalance: '1.0',
+      balance: '0.875',
+      realizedPnl: '-0.125',
+      openTokens: 0,
+      trades: 3,
+    });
+  });
+
+  it('seeds recovered positions without spending ETH', () => {
+    const wallet = new PaperWallet(ETH);
+    wallet.seed(TOKEN, 500n, ETH / 10n);
+
+    assert.equal(wallet.getBalance(), ETH);
+    assert.equal(wallet.getTokenBalance(TOKEN), 500n);
+
+    wallet.sell(TOKEN, 500n, ETH / 5n);
+    assert.equal(wallet.realizedPnl, ETH / 10n);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { StrategyConfig, DEFAULT_STRATEGY } from '../../src/trading/StrategyConfig.js';
+
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+describe('StrategyConfig', () => {
+  it('uses the defaults for anything the config does not set', () => {
+    const params = new StrategyConfig({}).getParams('1', 'v2');
+
+    assert.equal(params.buyAmount, DEFAULT_STRATEGY.buy_amount);
+    assert.equal(params.targetMultiplier, DEFAULT_STRATEGY.target_multiplier);
+    assert.equal(params.trailingStop, null);
+  });
+
+  it('applies the layers from least to most specific', () => {
+    const strategy = new StrategyConfig({
+      buy_amount: 0.1,
+      slippage: 0.05,
+      v3: { buy_amount: 0.2 },
+      base_tokens: { [USDC]: { target_multiplier: 3 } },
+      chains: {
+        8453: {
+          slippage: 0.1,
+          v3: { base_tokens: { [USDC]: { buy_amount: 0.3 } } },
+        },
+      },
+    });
+
+    assert.deepEqual(pick(strategy.getParams('1', 'v2')), [0.1, 0.05, 2]);
+    assert.deepEqual(pick(strategy.getParams('1', 'v3')), [0.2, 0.05, 2]);
+    // Base token addresses match whatever their case
+    assert.deepEqual(pick(strategy.getParams('1', 'v2', USDC.toLowerCase())), [0.1, 0.05, 3]);
+    assert.deepEqual(pick(strategy.getParams(8453, 'v3', USDC)), [0.3, 0.1, 3]);
+  });
+
+  it('lists every problem found', () => {
+    assert.throws(
+      () =>
+        new StrategyConfig({
+          buy_amount: 0,
+          target_multiplier: 0.5,
+          take_profits: [
+            { multiplier: 2, percent: 0.6 },
+            { multiplier: 3, percent: 0.6 },
+          ],
+          v2: { v3: {} },
+          base_tokens: { nope: { slippage: 1 } },
+          chains: { 1: { chains: {} } },
+          unknown: true,
+        }),
+      {
+        message: [
+          'Invalid strategy config:',
+          '  strategy.buy_amount must be a number greater than 0',
+          '  strategy.target_multiplier must be a number greater than 1',
+          '  strategy.take_profits must be null or a list of { multiplier > 1, percent 0-1 } adding up to at most 1',
+          '  strategy.v2.v3 is not a known setting',
+          '  strategy.base_tokens has an invalid address: nope',
+          '  strategy.base_tokens.nope.slippage must be a number between 0 and 1',
+          '  strategy.chains.1.chains is not a known setting',
+          '  strategy.unknown is not a known setting',
+        ].join('\n'),
+      }
+    );
+  });
+
+  it('accepts the shipped strategy file', () => {
+    const config = JSON.parse(
+      fs.readFileSync(new URL('../../data/strategy.json', import.meta.url), 'utf8')
+    );
+    assert.ok(new StrategyConfig(config));
+  });
+});
+
+const pick = ({ buyAmount, slippage, targetMultiplier }) => [buyAmount, slippage, targetMultiplier];